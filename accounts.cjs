@@ -0,0 +1,197 @@
+/* =============================================
+   |        TEST ACCOUNT REGISTRY & LEASES     |
+   ============================================= */
+// test_accounts { _id, workspaceId, email, brand, environment, region, flow, jobId, tags, status,
+//                 lease: { id, holder, leasedAt, expiresAt } | null,
+//                 createdAt, updatedAt, retiredAt, retiredReason }
+//
+// status is "available", "leased" or "retired". A lease that has passed its expiresAt is
+// free again: the next lease takes it over, and the pool report counts it as available.
+// Every mutation matches on the state it read, so two test runs can never hold one account.
+// Accounts belong to the workspace of the job that created them; every function takes
+// { workspaceId } and treats other workspaces' accounts as not found.
+const { v4: uuidv4 } = require('uuid');
+const { getDb, registerIndexes } = require('./db.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+const { DEFAULT_WORKSPACE, workspaceFilter } = require('./workspaces.cjs');
+
+registerIndexes('test_accounts', [
+  { key: { email: 1 }, unique: true },
+  { key: { workspaceId: 1, brand: 1, environment: 1, region: 1, status: 1, createdAt: 1 } },
+  { key: { tags: 1 } },
+]);
+
+const DEFAULT_LEASE_SECONDS = 30 * 60;
+const MAX_LEASE_SECONDS = 24 * 60 * 60;
+const STATUSES = ['available', 'leased', 'retired'];
+
+const accounts = async () => (await getDb()).collection('test_accounts');
+
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  if (list.some(tag => typeof tag !== 'string')) throw badRequest('"tags" must be strings.');
+  return [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Mongo filter for brand/environment/region/tags in `workspaceId`, normalised like
+// targets.cjs keys.
+function targetFilter({ brand, environment, region, tags } = {}, workspaceId = DEFAULT_WORKSPACE) {
+  const filter = workspaceFilter(workspaceId);
+  if (brand) filter.brand = String(brand).toLowerCase();
+  if (environment) filter.environment = String(environment).toLowerCase();
+  if (region) filter.region = String(region).toUpperCase();
+  const tagList = normalizeTags(tags);
+  if (tagList.length) filter.tags = { $all: tagList };
+  return filter;
+}
+
+// An account that can be leased: available, or leased with the lease run out.
+const leasable = (now) => ({ $or: [{ status: 'available' }, { status: 'leased', 'lease.expiresAt': { $lte: now } }] });
+
+/**
+ * Stores accounts created by a job. `emails` are the job's successes; `context` is
+ * { workspaceId, brand, environment, region, flow, jobId, tags }. Resolves to
+ * { recorded, duplicates }: an email that is already registered is not overwritten.
+ */
+async function recordAccounts(emails, { workspaceId = DEFAULT_WORKSPACE, brand, environment, region, flow, jobId, tags } = {}) {
+  const list = emails.filter(email => typeof email === 'string' && email);
+  if (!list.length) return { recorded: 0, duplicates: [] };
+  const now = new Date();
+  const docs = list.map(email => ({
+    _id: uuidv4(),
+    workspaceId,
+    email: email.toLowerCase(),
+    brand,
+    environment,
+    region,
+    flow,
+    jobId: jobId ? String(jobId) : null,
+    tags: normalizeTags(tags),
+    status: 'available',
+    lease: null,
+    createdAt: now,
+    updatedAt: now,
+  }));
+  try {
+    const { insertedCount } = await (await accounts()).insertMany(docs, { ordered: false });
+    return { recorded: insertedCount, duplicates: [] };
+  } catch (error) {
+    if (error.code !== 11000 && !error.writeErrors) throw error;
+    const failed = [].concat(error.writeErrors || []).filter(e => e.code === 11000).map(e => docs[e.index].email);
+    return { recorded: error.insertedCount ?? docs.length - failed.length, duplicates: failed };
+  }
+}
+
+/**
+ * Searches the registry. `status` may also be "expired" (leased, lease run out).
+ * Resolves to { accounts, total }.
+ */
+async function searchAccounts({ brand, environment, region, tags, status, email, jobId, limit = 50, offset = 0 } = {}, { workspaceId } = {}) {
+  const filter = targetFilter({ brand, environment, region, tags }, workspaceId);
+  const now = new Date();
+  if (status === 'expired') Object.assign(filter, { status: 'leased', 'lease.expiresAt': { $lte: now } });
+  else if (status) {
+    if (!STATUSES.includes(status)) throw badRequest(`"status" must be one of: ${[...STATUSES, 'expired'].join(', ')}.`);
+    filter.status = status;
+  }
+  if (email) filter.email = String(email).toLowerCase();
+  if (jobId) filter.jobId = String(jobId);
+  const collection = await accounts();
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 500);
+  const [list, total] = await Promise.all([
+    collection.find(filter).sort({ createdAt: -1 }).skip(Math.max(Number(offset) || 0, 0)).limit(size).toArray(),
+    collection.countDocuments(filter),
+  ]);
+  return { accounts: list, total };
+}
+
+async function getAccount(accountId, { workspaceId = DEFAULT_WORKSPACE } = {}) {
+  const account = await (await accounts()).findOne({ _id: accountId, ...workspaceFilter(workspaceId) });
+  if (!account) throw notFound('Account not found.');
+  return account;
+}
+
+/**
+ * Leases the oldest free account matching { brand, environment, region, tags } to `holder`
+ * for `ttlSeconds`. Resolves to the account with its lease; 409 when the pool is empty.
+ */
+async function leaseAccount({ brand, environment, region, tags, holder, ttlSeconds = DEFAULT_LEASE_SECONDS } = {}, { workspaceId } = {}) {
+  const ttl = Math.floor(Number(ttlSeconds));
+  if (!Number.isFinite(ttl) || ttl < 1 || ttl > MAX_LEASE_SECONDS) {
+    throw badRequest(`"ttlSeconds" must be between 1 and ${MAX_LEASE_SECONDS}.`);
+  }
+  const now = new Date();
+  const lease = { id: uuidv4(), holder: holder ? String(holder) : null, leasedAt: now, expiresAt: new Date(now.getTime() + ttl * 1000) };
+  const account = await (await accounts()).findOneAndUpdate(
+    { ...targetFilter({ brand, environment, region, tags }, workspaceId), ...leasable(now) },
+    { $set: { status: 'leased', lease, updatedAt: now } },
+    { sort: { createdAt: 1 }, returnDocument: 'after' }
+  );
+  if (!account) throw httpError(409, 'No available account matches; create more with /signup-agent.');
+  return account;
+}
+
+// Matches the account only while `leaseId` is its current lease. Without one it only matches
+// an account nobody holds: available, or with its lease run out.
+async function updateLeased(accountId, leaseId, update, { workspaceId = DEFAULT_WORKSPACE } = {}) {
+  const now = new Date();
+  const filter = { _id: accountId, ...workspaceFilter(workspaceId) };
+  Object.assign(filter, leaseId ? { status: 'leased', 'lease.id': String(leaseId) } : leasable(now));
+  const account = await (await accounts()).findOneAndUpdate(filter, update, { returnDocument: 'after' });
+  if (account) return account;
+  const existing = await getAccount(accountId, { workspaceId });
+  if (existing.status === 'retired') throw httpError(409, 'The account is retired.');
+  if (!leaseId) throw httpError(409, `The account is leased until ${existing.lease.expiresAt.toISOString()}; pass its "leaseId".`);
+  throw httpError(409, 'The lease is no longer held (it expired and was taken, or was released).');
+}
+
+// Returns an account to the pool: the holder passes its `leaseId`; anyone else may only
+// release an account whose lease has run out.
+function releaseAccount(accountId, { leaseId } = {}, scope = {}) {
+  return updateLeased(accountId, leaseId, { $set: { status: 'available', lease: null, updatedAt: new Date() } }, scope);
+}
+
+// Takes an account out of the pool for good (e.g. it is now verified, locked or has orders).
+// A leased account needs its `leaseId` until the lease runs out.
+function retireAccount(accountId, { leaseId, reason } = {}, scope = {}) {
+  const now = new Date();
+  return updateLeased(accountId, leaseId, {
+    $set: { status: 'retired', lease: null, retiredAt: now, retiredReason: reason ? String(reason) : null, updatedAt: now },
+  }, scope);
+}
+
+/**
+ * Pool levels per brand/environment/region of `workspaceId`:
+ * [{ brand, environment, region, available, leased, expired, retired, total }].
+ */
+async function poolLevels({ brand, environment, region, tags } = {}, { workspaceId } = {}) {
+  const now = new Date();
+  const rows = await (await accounts()).aggregate([
+    { $match: targetFilter({ brand, environment, region, tags }, workspaceId) },
+    {
+      $group: {
+        _id: { brand: '$brand', environment: '$environment', region: '$region' },
+        available: { $sum: { $cond: [{ $eq: ['$status', 'available'] }, 1, 0] } },
+        leased: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'leased'] }, { $gt: ['$lease.expiresAt', now] }] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $and: [{ $eq: ['$status', 'leased'] }, { $lte: ['$lease.expiresAt', now] }] }, 1, 0] } },
+        retired: { $sum: { $cond: [{ $eq: ['$status', 'retired'] }, 1, 0] } },
+        total: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.brand': 1, '_id.environment': 1, '_id.region': 1 } },
+  ]).toArray();
+  // Expired leases can be leased again, so they count towards what is available.
+  return rows.map(({ _id, ...counts }) => ({ ..._id, ...counts, available: counts.available + counts.expired }));
+}
+
+module.exports = {
+  normalizeTags,
+  recordAccounts,
+  searchAccounts,
+  getAccount,
+  leaseAccount,
+  releaseAccount,
+  retireAccount,
+  poolLevels,
+};
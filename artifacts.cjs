@@ -0,0 +1,199 @@
+/* =============================================
+   |          JOB ARTIFACT STORE BACKENDS      |
+   ============================================= */
+// Playwright artifacts (traces, screenshots, videos, console/network logs) are stored per
+// job under names like "account-1/trace.zip". Both the worker (writes) and the API (lists and
+// downloads) use this small interface:
+//   save(jobId, name, { file | buffer })   store one artifact
+//   list(jobId)                            -> [{ name, size, contentType, createdAt }]
+//   open(jobId, name)                      -> { stream, size, contentType }
+//   cleanup(maxAgeMs)                      delete jobs older than maxAgeMs -> count removed
+//
+// ARTIFACT_STORE=local | gridfs | off   (default: local)
+// ARTIFACTS_DIR                        directory for the local store (default .data/artifacts)
+// ARTIFACT_RETENTION_DAYS              how long artifacts are kept (default 7)
+// ARTIFACT_SCREENSHOTS=steps | failure | off, ARTIFACT_VIDEO=on | off, ARTIFACT_TRACE=on | off
+//                                      what each run captures (default failure, off, on);
+//                                      a job's "artifacts" option overrides them
+//
+// "local" only works when the API and the worker share a disk; "gridfs" keeps the files in
+// MongoDB so they can run on different hosts.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { GridFSBucket } = require('mongodb');
+const { getDb } = require('./db.cjs');
+const { badRequest, notFound } = require('./errors.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const retentionMs = () => (Number(process.env.ARTIFACT_RETENTION_DAYS) || 7) * DAY_MS;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.zip': 'application/zip',
+  '.webm': 'video/webm',
+  '.log': 'text/plain; charset=utf-8',
+  '.jsonl': 'application/x-ndjson',
+  '.json': 'application/json',
+};
+const contentTypeOf = (name) => CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+
+// Job ids and artifact names end up in file paths, so only plain segments are accepted.
+function checkName(jobId, name) {
+  if (!/^[\w-]+$/.test(String(jobId))) throw badRequest('Invalid job id.');
+  if (name !== undefined && (!/^[\w.-]+(\/[\w.-]+)*$/.test(name) || /(^|\/)\.\.?(\/|$)/.test(name))) {
+    throw badRequest('Invalid artifact name.');
+  }
+}
+
+const sourceStream = ({ file, buffer }) => (file ? fs.createReadStream(file) : Readable.from([buffer]));
+
+/* ---------------- Local directory ---------------- */
+class LocalArtifactStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async save(jobId, name, source) {
+    checkName(jobId, name);
+    const target = path.join(this.dir, String(jobId), name);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(sourceStream(source), fs.createWriteStream(target));
+  }
+
+  async list(jobId) {
+    checkName(jobId);
+    const root = path.join(this.dir, String(jobId));
+    const walk = async (dir) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+      const nested = await Promise.all(entries.map(async entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) return walk(full);
+        const stat = await fs.promises.stat(full);
+        const name = path.relative(root, full).split(path.sep).join('/');
+        return [{ name, size: stat.size, contentType: contentTypeOf(name), createdAt: stat.mtime }];
+      }));
+      return nested.flat();
+    };
+    return (await walk(root)).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async open(jobId, name) {
+    checkName(jobId, name);
+    const file = path.join(this.dir, String(jobId), name);
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat?.isFile()) throw notFound(`Artifact "${name}" not found.`);
+    return { stream: fs.createReadStream(file), size: stat.size, contentType: contentTypeOf(name) };
+  }
+
+  async cleanup(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    const jobs = await fs.promises.readdir(this.dir, { withFileTypes: true }).catch(() => []);
+    let removed = 0;
+    for (const job of jobs.filter(entry => entry.isDirectory())) {
+      const dir = path.join(this.dir, job.name);
+      const { mtimeMs } = await fs.promises.stat(dir);
+      if (mtimeMs < cutoff) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/* ---------------- MongoDB GridFS ---------------- */
+class GridFsArtifactStore {
+  async bucket() {
+    return new GridFSBucket(await getDb(), { bucketName: 'artifacts' });
+  }
+
+  async save(jobId, name, source) {
+    checkName(jobId, name);
+    const bucket = await this.bucket();
+    const upload = bucket.openUploadStream(`${jobId}/${name}`, {
+      metadata: { jobId: String(jobId), name, contentType: contentTypeOf(name) },
+    });
+    await pipeline(sourceStream(source), upload);
+  }
+
+  async list(jobId) {
+    checkName(jobId);
+    const files = await (await this.bucket()).find({ 'metadata.jobId': String(jobId) }).sort({ filename: 1 }).toArray();
+    return files.map(f => ({ name: f.metadata.name, size: f.length, contentType: f.metadata.contentType, createdAt: f.uploadDate }));
+  }
+
+  async open(jobId, name) {
+    checkName(jobId, name);
+    const bucket = await this.bucket();
+    const [file] = await bucket.find({ filename: `${jobId}/${name}` }).sort({ uploadDate: -1 }).limit(1).toArray();
+    if (!file) throw notFound(`Artifact "${name}" not found.`);
+    return { stream: bucket.openDownloadStream(file._id), size: file.length, contentType: file.metadata.contentType };
+  }
+
+  async cleanup(maxAgeMs) {
+    const bucket = await this.bucket();
+    const old = await bucket.find({ uploadDate: { $lt: new Date(Date.now() - maxAgeMs) } }).project({ _id: 1 }).toArray();
+    for (const file of old) await bucket.delete(file._id);
+    return old.length;
+  }
+}
+
+const SCREENSHOT_MODES = ['steps', 'failure', 'off'];
+
+/**
+ * What to capture for a job: the env defaults merged with the job's `artifacts` option
+ * ({ screenshots, video, trace, logs }). Throws a 400 for unknown values.
+ */
+function captureOptions(overrides = {}) {
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw badRequest('"artifacts" must be an object.');
+  const flag = (value, fallback) => (value === undefined ? fallback : value === true || value === 'on');
+  const options = {
+    screenshots: overrides.screenshots ?? process.env.ARTIFACT_SCREENSHOTS ?? 'failure',
+    video: flag(overrides.video, process.env.ARTIFACT_VIDEO === 'on'),
+    trace: flag(overrides.trace, process.env.ARTIFACT_TRACE !== 'off'),
+    logs: flag(overrides.logs, true),
+  };
+  if (!SCREENSHOT_MODES.includes(options.screenshots)) {
+    throw badRequest(`"artifacts.screenshots" must be one of: ${SCREENSHOT_MODES.join(', ')}.`);
+  }
+  return options;
+}
+
+let store;
+
+// Resolves to the configured store, or null when artifacts are turned off.
+function getArtifactStore() {
+  if (store === undefined) {
+    const backend = process.env.ARTIFACT_STORE || 'local';
+    if (backend === 'off') store = null;
+    else if (backend === 'gridfs') store = new GridFsArtifactStore();
+    else if (backend === 'local') store = new LocalArtifactStore(process.env.ARTIFACTS_DIR || path.join(__dirname, '.data', 'artifacts'));
+    else throw new Error(`Unknown ARTIFACT_STORE "${backend}" (expected "local", "gridfs" or "off").`);
+  }
+  return store;
+}
+
+// Deletes artifacts past ARTIFACT_RETENTION_DAYS; failures are logged, not thrown.
+async function cleanupArtifacts() {
+  const artifacts = getArtifactStore();
+  if (!artifacts) return 0;
+  try {
+    const removed = await artifacts.cleanup(retentionMs());
+    if (removed) console.log(`Artifact retention: removed ${removed} item(s).`);
+    return removed;
+  } catch (error) {
+    console.error('Artifact cleanup failed:', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  getArtifactStore,
+  cleanupArtifacts,
+  captureOptions,
+  contentTypeOf,
+  LocalArtifactStore,
+  GridFsArtifactStore,
+};
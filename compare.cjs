@@ -0,0 +1,176 @@
+/* =============================================
+   |   MULTI-MODEL COMPARE & CONSENSUS MERGE   |
+   ============================================= */
+// One generation request is sent to several models in parallel (structured format only).
+// Their test cases are embedded with the knowledge-base embeddings (vector-store.cjs: OpenAI
+// when OPENAI_API_KEY is set) and clustered: cases whose similarity is >= `similarity` are
+// duplicates. Each cluster becomes one case of the merged suite, annotated with
+//   proposedBy   ["openai:gpt-4o", ...] every model that proposed it
+//   agreement    how many models proposed it
+//   singleModel  true when only one model did (worth a reviewer's look)
+//
+// COMPARE_SIMILARITY   default duplicate threshold (0.85); local hash embeddings need lower
+const { cosineSimilarity } = require('@langchain/core/utils/math');
+const { getProvider, listProviders } = require('./providers.cjs');
+const { generateStructured } = require('./test-cases.cjs');
+const { getEmbeddings } = require('./vector-store.cjs');
+const { badRequest, httpError } = require('./errors.cjs');
+
+const MAX_MODELS = 5;
+
+const label = ({ provider, model }) => `${provider}:${model}`;
+
+/**
+ * Normalises `models` ("openai", "openai:gpt-4o" or { provider, model }) to
+ * [{ provider, model }]. Without a list, every configured provider but the mock one is used.
+ */
+function resolveModels(models) {
+  const list = models === undefined
+    ? listProviders().filter(p => p.configured && p.name !== 'mock').map(p => p.name)
+    : models;
+  if (!Array.isArray(list)) throw badRequest('"models" must be an array.');
+  const resolved = list.map(entry => {
+    const [provider, ...rest] = typeof entry === 'string' ? entry.split(':') : [entry?.provider, entry?.model];
+    const p = getProvider(provider);
+    if (!p) throw badRequest(`Unknown provider "${provider}".`);
+    const model = (typeof entry === 'string' ? rest.join(':') : rest[0]) || p.defaultModel;
+    return { provider: p.name, model };
+  });
+  const unique = [...new Map(resolved.map(m => [label(m), m])).values()];
+  if (unique.length < 2) {
+    throw badRequest(models === undefined
+      ? 'Compare needs at least two configured providers; list the "models" to use.'
+      : 'Compare needs at least two different models.');
+  }
+  if (unique.length > MAX_MODELS) throw badRequest(`Compare takes at most ${MAX_MODELS} models.`);
+  return unique;
+}
+
+function parseSimilarity(similarity) {
+  if (similarity === undefined || similarity === null || similarity === '') return Number(process.env.COMPARE_SIMILARITY) || 0.85;
+  const value = Number(similarity);
+  if (!Number.isFinite(value) || value < 0 || value > 1) throw badRequest('"similarity" must be between 0 and 1.');
+  return value;
+}
+
+const caseText = (tc) => [tc.title, ...(tc.steps || []), ...(tc.expectedResults || [])].join('\n');
+
+/**
+ * Groups `cases` ([{ testCase, source }]) into clusters of duplicates. A case joins the cluster
+ * it is most similar to when every member is at least `threshold` similar (complete linkage,
+ * so a chain of near-duplicates does not merge unrelated cases). Resolves to
+ * [{ members: [index], representative: index, sim }] where sim is the pairwise similarity matrix.
+ */
+async function clusterCases(cases, threshold) {
+  if (!cases.length) return [];
+  const vectors = await getEmbeddings().embedDocuments(cases.map(c => caseText(c.testCase)));
+  const sim = cosineSimilarity(vectors, vectors);
+  const clusters = [];
+  cases.forEach((_, i) => {
+    let best = null;
+    let bestScore = -1;
+    clusters.forEach(cluster => {
+      const score = Math.min(...cluster.map(j => sim[i][j]));
+      if (score >= threshold && score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    });
+    if (best) best.push(i);
+    else clusters.push([i]);
+  });
+  // The member closest to all others stands for the cluster; ties go to the earlier model.
+  return clusters.map(members => {
+    const centrality = (i) => members.reduce((sum, j) => sum + sim[i][j], 0);
+    const representative = members.reduce((a, b) => (centrality(b) > centrality(a) ? b : a));
+    return { members, representative, sim };
+  });
+}
+
+/**
+ * Merges the per-model results ([{ provider, model, testCases }]) into one suite. Resolves to
+ * { testCases, summary: { proposed, merged, duplicatesRemoved, singleModel } }.
+ */
+async function mergeResults(results, { similarity } = {}) {
+  const threshold = parseSimilarity(similarity);
+  const cases = results.flatMap(result => result.testCases.map(testCase => ({ testCase, source: label(result) })));
+  const clusters = await clusterCases(cases, threshold);
+  const testCases = clusters.map(({ members, representative, sim }, n) => {
+    const proposedBy = [...new Set(members.map(i => cases[i].source))];
+    return {
+      ...cases[representative].testCase,
+      id: `TC-${String(n + 1).padStart(3, '0')}`,
+      proposedBy,
+      agreement: proposedBy.length,
+      singleModel: proposedBy.length === 1,
+      duplicates: members.filter(i => i !== representative).map(i => ({
+        model: cases[i].source,
+        id: cases[i].testCase.id,
+        title: cases[i].testCase.title,
+        similarity: Math.round(sim[representative][i] * 1000) / 1000,
+      })),
+    };
+  });
+  return {
+    testCases,
+    summary: {
+      proposed: cases.length,
+      merged: testCases.length,
+      duplicatesRemoved: cases.length - testCases.length,
+      singleModel: testCases.filter(tc => tc.singleModel).length,
+      similarity: threshold,
+    },
+  };
+}
+
+/**
+ * Runs a prepared structured generation (generation.cjs prepareGeneration()) on every model
+ * of `models` in parallel, without fallback, and merges the replies. A model that fails is
+ * reported and left out; the call fails only when every model does. Resolves to
+ * { testCases, provider: "compare", model, attempts, models: [{ provider, model, ok, servedBy,
+ *   caseCount, repairs, error }], summary }.
+ */
+async function compareModels(ctx, { models, similarity } = {}) {
+  if (ctx.format !== 'structured') throw badRequest('Compare mode requires format "structured".');
+  const targets = resolveModels(models);
+  const threshold = parseSimilarity(similarity);
+  const settled = await Promise.allSettled(targets.map(target => generateStructured({
+    ...ctx.options,
+    provider: target.provider,
+    model: target.model,
+    fallback: [],
+    maxRepairs: ctx.maxRepairs,
+    withSources: ctx.sources.length > 0,
+  })));
+
+  const attempts = [];
+  const succeeded = [];
+  const report = settled.map((outcome, i) => {
+    const target = targets[i];
+    if (outcome.status === 'rejected') {
+      attempts.push(...(outcome.reason.attempts || []));
+      return { ...target, ok: false, error: outcome.reason.message, details: outcome.reason.details };
+    }
+    const { testCases, attempts: used, repairs, model } = outcome.value;
+    attempts.push(...used);
+    succeeded.push({ provider: target.provider, model: target.model, testCases });
+    return { ...target, servedBy: model, ok: true, caseCount: testCases.length, repairs };
+  });
+  if (!succeeded.length) throw httpError(502, 'Every model failed.', { details: report.map(m => `${label(m)}: ${m.error}`).join('\n'), attempts });
+
+  const merged = await mergeResults(succeeded, { similarity: threshold });
+  return {
+    testCases: merged.testCases,
+    provider: 'compare',
+    model: succeeded.map(label).join(', '),
+    attempts,
+    models: report,
+    summary: merged.summary,
+  };
+}
+
+module.exports = {
+  resolveModels,
+  mergeResults,
+  compareModels,
+};
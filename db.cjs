@@ -0,0 +1,55 @@
+/* =============================================
+   |             MONGODB CONNECTION            |
+   ============================================= */
+// One shared MongoClient per process, connected on first use so the server still
+// boots (and the non-persistent routes still work) when MONGODB_URI is not set.
+const { MongoClient } = require('mongodb');
+const { httpError } = require('./errors.cjs');
+
+let clientPromise;
+let indexesPromise;
+
+// Every collection that needs indexes registers them here; they are created once per process.
+const indexSpecs = [];
+
+function registerIndexes(collection, specs) {
+  indexSpecs.push({ collection, specs });
+}
+
+const isDbConfigured = () => Boolean(process.env.MONGODB_URI);
+
+async function getDb() {
+  if (!isDbConfigured()) throw httpError(503, 'Persistence is not configured (set MONGODB_URI).');
+  if (!clientPromise) {
+    clientPromise = MongoClient.connect(process.env.MONGODB_URI).catch(error => {
+      clientPromise = undefined;
+      throw error;
+    });
+  }
+  const db = (await clientPromise).db(process.env.MONGODB_DB || 'test-case-generator');
+  if (!indexesPromise) {
+    indexesPromise = Promise.all(
+      indexSpecs.map(({ collection, specs }) => db.collection(collection).createIndexes(specs))
+    ).catch(error => {
+      indexesPromise = undefined;
+      console.error('MongoDB index creation failed:', error.message);
+    });
+  }
+  await indexesPromise;
+  return db;
+}
+
+async function closeDb() {
+  if (!clientPromise) return;
+  const client = await clientPromise.catch(() => null);
+  clientPromise = undefined;
+  indexesPromise = undefined;
+  if (client) await client.close();
+}
+
+module.exports = {
+  getDb,
+  closeDb,
+  isDbConfigured,
+  registerIndexes,
+};
@@ -0,0 +1,32 @@
+/* =============================================
+   |            HTTP ERROR HELPERS             |
+   ============================================= */
+// Errors created with httpError() carry a status and a message that is safe to show
+// to API callers. Anything else is logged and reported as a generic 500.
+
+function httpError(status, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  Object.assign(err, extra);
+  return err;
+}
+
+const badRequest = (message) => httpError(400, message);
+const notFound = (message = 'Not found.') => httpError(404, message);
+
+function sendError(res, error, label, message) {
+  if (error.expose) {
+    const { status, message: msg, details } = error;
+    return res.status(status || 400).json({ error: msg, details });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({ error: message });
+}
+
+module.exports = {
+  httpError,
+  badRequest,
+  notFound,
+  sendError,
+};
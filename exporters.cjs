@@ -0,0 +1,236 @@
+/* =============================================
+   |        TEST CASE EXPORT FORMATS           |
+   ============================================= */
+// Each exporter takes structured test cases (see test-case.schema.json) and resolves
+// to { buffer, filename, contentType } so the route can send any of them the same way.
+const XLSX = require('xlsx');
+const JSZip = require('jszip');
+
+const DEFAULT_FEATURE = 'General';
+
+const featureOf = (tc) => (tc.feature && String(tc.feature).trim()) || DEFAULT_FEATURE;
+
+function groupByFeature(testCases) {
+  const groups = new Map();
+  testCases.forEach(tc => {
+    const key = featureOf(tc);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tc);
+  });
+  return groups;
+}
+
+const slugify = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'export';
+
+const csvCell = (value) => {
+  const s = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCsv = (rows) => rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+const numbered = (items = []) => items.map((s, i) => `${i + 1}. ${s}`).join('\n');
+
+// "Spec.pdf (page 4)" for each knowledge-base citation of a case.
+const citationLabels = (tc) => (tc.citations || []).map(c => `${c.docName || c.docId || c.id}${c.location ? ` (${c.location})` : ''}`);
+
+// Step-wise tools want one expected result per step. When the model gave one result per
+// step they are paired up, otherwise every expected result goes on the last step.
+function pairSteps(tc) {
+  const steps = tc.steps || [];
+  const expected = tc.expectedResults || [];
+  if (steps.length === expected.length) return steps.map((action, i) => ({ action, result: expected[i] }));
+  return steps.map((action, i) => ({ action, result: i === steps.length - 1 ? expected.join('\n') : '' }));
+}
+
+/* ---------------- Spreadsheet formats ---------------- */
+const SHEET_HEADER = ['ID', 'Title', 'Preconditions', 'Steps', 'Expected Results', 'Priority', 'Type', 'Tags', 'Sources'];
+const sheetRow = (tc) => [
+  tc.id,
+  tc.title,
+  (tc.preconditions || []).join('\n'),
+  numbered(tc.steps),
+  (tc.expectedResults || []).join('\n'),
+  tc.priority,
+  tc.type,
+  (tc.tags || []).join(', '),
+  citationLabels(tc).join('\n'),
+];
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook.
+function sheetName(feature, used) {
+  const base = feature.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || DEFAULT_FEATURE;
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    name = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+async function exportXlsx(testCases, { name }) {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  groupByFeature(testCases).forEach((cases, feature) => {
+    const sheet = XLSX.utils.aoa_to_sheet([SHEET_HEADER, ...cases.map(sheetRow)]);
+    sheet['!cols'] = [10, 40, 30, 50, 40, 10, 12, 20, 30].map(wch => ({ wch }));
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName(feature, used));
+  });
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    filename: `${slugify(name)}.xlsx`,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  };
+}
+
+async function exportCsv(testCases, { name }) {
+  const rows = [['Feature', ...SHEET_HEADER], ...testCases.map(tc => [featureOf(tc), ...sheetRow(tc)])];
+  return { buffer: Buffer.from(toCsv(rows)), filename: `${slugify(name)}.csv`, contentType: 'text/csv' };
+}
+
+/* ---------------- Gherkin ---------------- */
+const gherkinTag = (s) => '@' + String(s).trim().replace(/\s+/g, '_');
+
+function gherkinSection(keyword, lines) {
+  return lines.map((line, i) => `    ${i === 0 ? keyword : 'And'} ${line}`);
+}
+
+function featureFile(feature, cases) {
+  const out = [`Feature: ${feature}`, ''];
+  cases.forEach(tc => {
+    const tags = [tc.id, tc.type, tc.priority && `priority-${tc.priority.toLowerCase()}`, ...(tc.tags || [])].filter(Boolean);
+    citationLabels(tc).forEach(label => out.push(`  # Source: ${label}`));
+    out.push(`  ${tags.map(gherkinTag).join(' ')}`);
+    out.push(`  Scenario: ${tc.title}`);
+    out.push(...gherkinSection('Given', tc.preconditions?.length ? tc.preconditions : ['the application is available']));
+    out.push(...gherkinSection('When', tc.steps || []));
+    out.push(...gherkinSection('Then', tc.expectedResults || []));
+    out.push('');
+  });
+  return out.join('\n');
+}
+
+async function exportGherkin(testCases, { name }) {
+  const zip = new JSZip();
+  const used = new Set();
+  groupByFeature(testCases).forEach((cases, feature) => {
+    let file = `${slugify(feature)}.feature`;
+    for (let n = 2; used.has(file); n++) file = `${slugify(feature)}-${n}.feature`;
+    used.add(file);
+    zip.file(file, featureFile(feature, cases));
+  });
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    filename: `${slugify(name)}-features.zip`,
+    contentType: 'application/zip',
+  };
+}
+
+/* ---------------- Test management imports ---------------- */
+// TestRail CSV import, "Test Case (Steps)" template: one row per step, case fields on the first row.
+async function exportTestRail(testCases, { name }) {
+  const rows = [['Section', 'Title', 'Type', 'Priority', 'Preconditions', 'References', 'Step', 'Expected Result']];
+  testCases.forEach(tc => {
+    pairSteps(tc).forEach((step, i) => {
+      rows.push(i === 0
+        ? [featureOf(tc), tc.title, tc.type, tc.priority, (tc.preconditions || []).join('\n'), tc.id, step.action, step.result]
+        : ['', '', '', '', '', '', step.action, step.result]);
+    });
+  });
+  return { buffer: Buffer.from(toCsv(rows)), filename: `${slugify(name)}-testrail.csv`, contentType: 'text/csv' };
+}
+
+// Xray Cloud bulk test import (JSON).
+async function exportXray(testCases, { name, projectKey = 'PROJ' }) {
+  const tests = testCases.map(tc => ({
+    testtype: 'Manual',
+    fields: {
+      project: { key: projectKey },
+      summary: tc.title,
+      description: (tc.preconditions || []).length ? `Preconditions:\n${tc.preconditions.join('\n')}` : undefined,
+      priority: tc.priority ? { name: tc.priority } : undefined,
+      labels: [...(tc.tags || []), tc.type].filter(Boolean).map(l => String(l).replace(/\s+/g, '_')),
+    },
+    steps: pairSteps(tc).map(step => ({ action: step.action, data: '', result: step.result })),
+  }));
+  return {
+    buffer: Buffer.from(JSON.stringify(tests, null, 2)),
+    filename: `${slugify(name)}-xray.json`,
+    contentType: 'application/json',
+  };
+}
+
+/* ---------------- Coverage matrix ---------------- */
+/**
+ * A traceability.cjs coverage report as a workbook: "Summary", "Coverage" (one row per
+ * requirement with the cases covering it), "Untested" and "Matrix" (requirements x cases).
+ */
+async function exportCoverageXlsx(report, { name = 'coverage' } = {}) {
+  const { summary, document, suite } = report;
+  const workbook = XLSX.utils.book_new();
+  const append = (title, rows, widths) => {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = widths.map(wch => ({ wch }));
+    XLSX.utils.book_append_sheet(workbook, sheet, title);
+  };
+  append('Summary', [
+    ['Document', document?.name || document?.id || ''],
+    ['Suite', suite ? `${suite.name} (v${suite.version})` : 'Inline test cases'],
+    ['Requirements', summary.requirements],
+    ['Covered', summary.covered],
+    ['Uncovered', summary.uncovered],
+    ['Coverage %', summary.coverage],
+    ['Test cases', summary.testCases],
+    ['Cases mapped to no requirement', summary.unmappedCases],
+    ['Semantic match threshold', summary.minScore],
+  ], [32, 50]);
+  append('Coverage', [
+    ['Requirement', 'Text', 'Location', 'Status', 'Test Cases', 'Match'],
+    ...report.requirements.map(r => [
+      r.id,
+      r.text,
+      r.location || '',
+      r.covered ? 'Covered' : 'Not covered',
+      r.testCases.map(tc => `${tc.id} ${tc.title}`).join('\n'),
+      r.testCases.map(tc => (tc.match === 'explicit' ? 'explicit' : `semantic ${tc.score}`)).join('\n'),
+    ]),
+  ], [14, 60, 16, 12, 50, 16]);
+  append('Untested', [
+    ['Requirement', 'Text', 'Location'],
+    ...report.uncovered.map(r => [r.id, r.text, r.location || '']),
+  ], [14, 80, 16]);
+  append('Matrix', [
+    ['Requirement', ...report.testCases.map(tc => tc.id)],
+    ...report.requirements.map(r => {
+      const covering = new Set(r.testCases.map(tc => tc.id));
+      return [r.id, ...report.testCases.map(tc => (covering.has(tc.id) ? 'X' : ''))];
+    }),
+  ], [14, ...report.testCases.map(() => 10)]);
+  return {
+    buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    filename: `${slugify(name)}-coverage.xlsx`,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  };
+}
+
+const exporters = {
+  xlsx: exportXlsx,
+  csv: exportCsv,
+  gherkin: exportGherkin,
+  testrail: exportTestRail,
+  xray: exportXray,
+};
+
+function exportTestCases(testCases, format, options = {}) {
+  const exporter = exporters[String(format || '').toLowerCase()];
+  if (!exporter) throw new Error(`Unsupported export format "${format}".`);
+  return exporter(testCases, { name: 'test-cases', ...options });
+}
+
+module.exports = {
+  exportFormats: Object.keys(exporters),
+  exportTestCases,
+  exportCoverageXlsx,
+  groupByFeature,
+  slugify,
+};
@@ -0,0 +1,503 @@
+/* =============================================
+   |          FLOW INTERPRETER (WORKER)        |
+   ============================================= */
+// Runs a flow definition (see flow.schema.json and flows.cjs) against a Playwright page.
+//
+// Values may contain {{...}} templates:
+//   {{params.name}}   run parameter       {{vars.name}}   variable set by capture/verifyEmail
+//   {{index}}         1-based run number   {{random(8)}}   8 random digits
+//   {{uuid}}          random UUID          {{timestamp}}   Date.now()
+//
+// Steps with `selectors` try each selector in order and use the first that is visible.
+// `when` skips a step unless its condition holds; `optional` logs a failure and carries on.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const playwright = require('playwright');
+const { getMailbox, extractLink, extractOtp } = require('./mailbox.cjs');
+
+const DEFAULT_STEP_TIMEOUT = 45000;
+// Messages are matched from a little before the run started, in case clocks disagree.
+const MAIL_CLOCK_SKEW_MS = 60000;
+const POLL_MS = 250;
+
+/* ---------------- Templates ---------------- */
+function evaluate(expression, scope) {
+  const expr = expression.trim();
+  const random = /^random\((\d{1,2})\)$/.exec(expr);
+  if (random) {
+    return Array.from({ length: Number(random[1]) }, () => crypto.randomInt(10)).join('');
+  }
+  if (expr === 'uuid') return crypto.randomUUID();
+  if (expr === 'timestamp') return String(Date.now());
+  if (expr === 'index') return String(scope.index);
+  const ref = /^(params|vars)\.([A-Za-z_][A-Za-z0-9_]*)$/.exec(expr);
+  if (ref) {
+    const value = scope[ref[1]][ref[2]];
+    if (value === undefined) throw new Error(`Template {{${expr}}} is not defined.`);
+    return String(value);
+  }
+  throw new Error(`Unknown template expression {{${expr}}}.`);
+}
+
+const render = (value, scope) => (value === undefined ? undefined : String(value).replace(/\{\{([^}]+)\}\}/g, (_, expr) => evaluate(expr, scope)));
+
+/* ---------------- Locating ---------------- */
+const selectorsOf = (step, scope) => (step.selectors || [step.selector]).map(s => render(s, scope));
+
+// First visible match, trying selectors in priority order until the timeout.
+async function locate(page, selectors, timeout) {
+  if (selectors.length === 1) {
+    const locator = page.locator(selectors[0]).first();
+    await locator.waitFor({ state: 'visible', timeout });
+    return locator;
+  }
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    for (const selector of selectors) {
+      const locator = page.locator(selector).first();
+      if (await locator.isVisible().catch(() => false)) return locator;
+    }
+    if (Date.now() >= deadline) throw new Error(`None of the selectors matched a visible element: ${selectors.join(' | ')}`);
+    await page.waitForTimeout(POLL_MS);
+  }
+}
+
+async function checkCondition(page, when, scope) {
+  if (!when) return true;
+  if (when.exists) {
+    const counts = await Promise.all(when.exists.map(s => page.locator(render(s, scope)).count().catch(() => 0)));
+    if (!counts.some(Boolean)) return false;
+  }
+  if (when.visible) {
+    const visible = await Promise.all(when.visible.map(s => page.locator(render(s, scope)).first().isVisible().catch(() => false)));
+    if (!visible.some(Boolean)) return false;
+  }
+  if (when.equals && render(when.equals[0], scope) !== render(when.equals[1], scope)) return false;
+  if (when.notEquals && render(when.notEquals[0], scope) === render(when.notEquals[1], scope)) return false;
+  return true;
+}
+
+/* ---------------- Overlays ---------------- */
+// Removes full-screen overlays that intercept clicks and presses a visible "Close" button.
+async function removeCoveringElements(page, closeButton) {
+  await page.evaluate(() => {
+    document.querySelectorAll('div[tabindex="0"]').forEach(el => {
+      const r = el.getBoundingClientRect();
+      const position = getComputedStyle(el).position;
+      const coversScreen = r.width >= window.innerWidth * 0.8 && r.height >= window.innerHeight * 0.8
+        && (position === 'fixed' || position === 'absolute');
+      if (coversScreen) el.remove();
+    });
+    document.querySelectorAll('[role="dialog"], .ReactModal__Overlay, .modal, .overlay').forEach(el => {
+      const r = el.getBoundingClientRect();
+      if (r.width * r.height > 100000) el.remove();
+    });
+  }).catch(() => {});
+  const close = page.locator(closeButton).first();
+  if (await close.isVisible().catch(() => false)) {
+    await close.click({ timeout: 1000 }).catch(() => {});
+    await page.waitForTimeout(300);
+  }
+}
+
+async function dismissOverlays(page, step) {
+  const closeButton = step.closeButton || 'button[aria-label="Close"]';
+  const timeout = step.timeout ?? 2000;
+  if (timeout > 0) {
+    try {
+      await page.waitForSelector(closeButton, { timeout });
+      await page.click(closeButton);
+      await page.waitForTimeout(800);
+    } catch {
+      // Nothing to close.
+    }
+  }
+  const remove = step.remove || ['#onetrust-consent-sdk'];
+  await page.evaluate((selectors) => {
+    selectors.forEach(s => document.querySelectorAll(s).forEach(el => el.remove()));
+  }, remove).catch(() => {});
+  if (step.coveringElements) await removeCoveringElements(page, closeButton);
+}
+
+/* ---------------- Steps ---------------- */
+const stepTimeout = (step, ctx) => step.timeout ?? ctx.timeout;
+
+async function clickWithFallback(locator, step, ctx) {
+  if (step.force) return locator.click({ force: true, timeout: stepTimeout(step, ctx) });
+  try {
+    await locator.click({ timeout: Math.min(stepTimeout(step, ctx), 10000) });
+  } catch (error) {
+    ctx.warn(`Click intercepted (${error.message.split('\n')[0]}). Forcing click...`);
+    await locator.click({ force: true, timeout: 5000 });
+  }
+}
+
+const actions = {
+  async goto(page, step, ctx) {
+    await page.goto(render(step.url, ctx.scope), { waitUntil: step.waitUntil || 'load', timeout: stepTimeout(step, ctx) });
+  },
+  async fill(page, step, ctx) {
+    const locator = await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+    await locator.fill(render(step.value, ctx.scope));
+  },
+  async press(page, step, ctx) {
+    const locator = await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+    await locator.press(render(step.key, ctx.scope));
+  },
+  async click(page, step, ctx) {
+    const locator = await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+    await clickWithFallback(locator, step, ctx);
+  },
+  async check(page, step, ctx) {
+    const locator = await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+    try {
+      await locator.check({ timeout: stepTimeout(step, ctx) });
+    } catch {
+      // Custom radios are often divs that check() cannot drive.
+      ctx.warn('check() failed, forcing a click instead.');
+      await locator.click({ force: true, timeout: stepTimeout(step, ctx) });
+    }
+    await page.waitForTimeout(150);
+  },
+  async wait(page, step) {
+    await page.waitForTimeout(step.ms);
+  },
+  async waitFor(page, step, ctx) {
+    const state = step.state || 'visible';
+    if (state === 'visible') await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+    else await page.locator(selectorsOf(step, ctx.scope)[0]).first().waitFor({ state, timeout: stepTimeout(step, ctx) });
+  },
+  async dismissOverlays(page, step) {
+    await dismissOverlays(page, step);
+  },
+  // Arms a dialog handler, runs the nested steps (the click that triggers the dialog) and
+  // waits for the page to settle if a dialog was accepted.
+  async acceptDialog(page, step, ctx) {
+    let handler;
+    const accepted = new Promise((resolve) => {
+      handler = async (dialog) => {
+        try { await dialog.accept(); } finally { resolve(true); }
+      };
+      page.once('dialog', handler);
+      setTimeout(() => resolve(false), step.timeout ?? 7000);
+    });
+    try {
+      await runSteps(page, step.steps, ctx);
+      if (await accepted) {
+        await page.waitForLoadState('domcontentloaded', { timeout: 25000 }).catch(() => {});
+        await page.waitForLoadState('networkidle', { timeout: 12000 }).catch(() => {});
+        await page.waitForTimeout(500);
+        ctx.log('Dialog accepted; page reloaded.');
+      } else {
+        ctx.log('No dialog appeared; continued.');
+      }
+    } finally {
+      page.off('dialog', handler);
+    }
+  },
+  async assert(page, step, ctx) {
+    if (step.urlIncludes) {
+      const expected = render(step.urlIncludes, ctx.scope);
+      if (!page.url().includes(expected)) throw new Error(`Expected URL to include "${expected}", got ${page.url()}.`);
+    }
+    if (step.selector || step.selectors) {
+      const locator = await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+      if (step.text) {
+        const expected = render(step.text, ctx.scope);
+        const actual = (await locator.innerText()).trim();
+        if (!actual.includes(expected)) throw new Error(`Expected text "${expected}", got "${actual.slice(0, 200)}".`);
+      }
+    }
+  },
+  async capture(page, step, ctx) {
+    const from = step.from || (step.value !== undefined ? 'value' : 'text');
+    let value;
+    if (from === 'value') value = render(step.value, ctx.scope);
+    else if (from === 'url') value = page.url();
+    else {
+      const locator = await locate(page, selectorsOf(step, ctx.scope), stepTimeout(step, ctx));
+      if (from === 'text') value = (await locator.innerText()).trim();
+      else if (from === 'inputValue') value = await locator.inputValue();
+      else value = await locator.getAttribute(step.attribute);
+    }
+    ctx.scope.vars[step.as] = value;
+  },
+  // Waits for an email (see mailbox.cjs) and takes the link or one-time code from it. A link
+  // is opened in the page unless `open: false`; either is stored in vars[`as`] when given.
+  async verifyEmail(page, step, ctx) {
+    const mailbox = getMailbox();
+    if (!mailbox) throw new Error('No mailbox is configured for email verification (set MAILBOX).');
+    const message = await mailbox.waitForMessage({
+      to: render(step.to, ctx.scope),
+      subject: step.subject && render(step.subject, ctx.scope),
+      since: ctx.startedAt - MAIL_CLOCK_SKEW_MS,
+      timeoutMs: stepTimeout(step, ctx),
+    });
+    ctx.log(`Email received: "${message.subject}"`);
+    if (step.extract === 'otp') {
+      const code = extractOtp(message, { pattern: step.otpPattern });
+      ctx.scope.vars[step.as || 'otp'] = code;
+      return;
+    }
+    const link = extractLink(message, { includes: step.linkIncludes && render(step.linkIncludes, ctx.scope) });
+    ctx.scope.vars[step.as || 'verificationLink'] = link;
+    if (step.open !== false) await page.goto(link, { waitUntil: step.waitUntil || 'load' });
+  },
+  async group(page, step, ctx) {
+    await runSteps(page, step.steps, ctx);
+  },
+};
+
+async function runSteps(page, steps, ctx) {
+  for (const step of steps) {
+    const label = step.name || step.type;
+    if (!(await checkCondition(page, step.when, ctx.scope))) {
+      ctx.trace.push({ step: label, type: step.type, status: 'skipped' });
+      ctx.emit({ type: 'step', step: label, status: 'skipped' });
+      continue;
+    }
+    const number = ++ctx.counter;
+    const started = Date.now();
+    const outer = ctx.current;
+    ctx.current = label;
+    ctx.log(`[Step ${number}] ${label}`);
+    ctx.emit({ type: 'step', number, step: label, status: 'started' });
+    try {
+      await actions[step.type](page, step, ctx);
+      ctx.trace.push({ step: label, type: step.type, status: 'ok', ms: Date.now() - started });
+      ctx.emit({ type: 'step', number, step: label, status: 'ok', ms: Date.now() - started });
+      if (ctx.onStep && step.type !== 'group') await ctx.onStep(ctx.trace[ctx.trace.length - 1], number);
+    } catch (error) {
+      const message = error.message.split('\n')[0];
+      const status = step.optional ? 'failed-optional' : 'failed';
+      ctx.trace.push({ step: label, type: step.type, status, error: message, ms: Date.now() - started });
+      ctx.emit({ type: 'step', number, step: label, status, error: message, ms: Date.now() - started });
+      if (!step.optional) {
+        const err = new Error(`Step ${number} "${label}" failed: ${message}`);
+        err.step = label;
+        throw err;
+      }
+      ctx.warn(`Optional step "${label}" failed, continuing: ${message}`);
+    } finally {
+      ctx.current = outer;
+    }
+  }
+}
+
+/**
+ * Runs `flow` once on `page`. Resolves to { vars, trace }; rejects with an error carrying
+ * `.step` (the failing step) and `.trace`. `onStep(traceEntry, stepNumber)` is awaited
+ * after every step that succeeds; `onEvent(event)` is called synchronously with
+ * { type: 'step', number, step, status, ms, error } and { type: 'warning', step, message }.
+ */
+async function runFlow(page, flow, { params = {}, index = 1, log = console.log, onStep, onEvent } = {}) {
+  const emit = (event) => onEvent && onEvent(event);
+  const ctx = {
+    scope: { params, vars: {}, index },
+    timeout: flow.timeout || DEFAULT_STEP_TIMEOUT,
+    counter: 0,
+    trace: [],
+    current: null,
+    startedAt: Date.now(),
+    log,
+    emit,
+    onStep,
+  };
+  ctx.warn = (message) => {
+    log(message);
+    emit({ type: 'warning', step: ctx.current, message });
+  };
+  try {
+    await runSteps(page, flow.steps, ctx);
+    return { vars: ctx.scope.vars, trace: ctx.trace };
+  } catch (error) {
+    error.trace = ctx.trace;
+    throw error;
+  }
+}
+
+/* ---------------- Artifacts ---------------- */
+const fileSlug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'step';
+
+/**
+ * Opens a fresh context and page for one run. With `artifacts` ({ store, jobId, capture },
+ * see artifacts.cjs) it records what `capture` asks for and close(failed) saves it under
+ * "<name>/"; close() resolves to the saved artifact names.
+ */
+async function openRun(browser, name, artifacts, log) {
+  const capture = artifacts?.capture;
+  const tmpDir = capture ? await fs.promises.mkdtemp(path.join(os.tmpdir(), 'flow-run-')) : null;
+  const context = await browser.newContext(capture?.video ? { recordVideo: { dir: tmpDir } } : {});
+  if (capture?.trace) await context.tracing.start({ screenshots: true, snapshots: true });
+  const page = await context.newPage();
+
+  const consoleLines = [];
+  const network = [];
+  if (capture?.logs) {
+    const stamp = () => new Date().toISOString();
+    page.on('console', message => consoleLines.push(`${stamp()} [${message.type()}] ${message.text()}`));
+    page.on('pageerror', error => consoleLines.push(`${stamp()} [pageerror] ${error.message}`));
+    page.on('requestfinished', async request => {
+      const response = await request.response().catch(() => null);
+      network.push({ at: stamp(), method: request.method(), url: request.url(), type: request.resourceType(), status: response?.status(), ms: Math.round(request.timing().responseEnd) });
+    });
+    page.on('requestfailed', request => {
+      network.push({ at: stamp(), method: request.method(), url: request.url(), type: request.resourceType(), failure: request.failure()?.errorText });
+    });
+  }
+
+  const saved = [];
+  const save = async (file, source) => {
+    try {
+      await artifacts.store.save(artifacts.jobId, `${name}/${file}`, source);
+      saved.push(`${name}/${file}`);
+    } catch (error) {
+      log(`Artifact "${file}" not saved: ${error.message}`);
+    }
+  };
+  const screenshot = async (file) => {
+    const buffer = page.isClosed() ? null : await page.screenshot().catch(() => null);
+    if (buffer) await save(file, { buffer });
+  };
+
+  return {
+    page,
+    onStep: capture?.screenshots === 'steps'
+      ? (entry, number) => screenshot(`steps/${String(number).padStart(2, '0')}-${fileSlug(entry.step)}.png`)
+      : undefined,
+    async close(failed) {
+      try {
+        if (failed && capture && capture.screenshots !== 'off') await screenshot('failure.png');
+        if (capture?.trace) {
+          const file = path.join(tmpDir, 'trace.zip');
+          await context.tracing.stop({ path: file }).then(() => save('trace.zip', { file }), e => log(`Trace error: ${e.message}`));
+        }
+        const video = page.video();
+        await context.close();
+        if (video) {
+          const file = await video.path().catch(() => null);
+          if (file) await save('video.webm', { file });
+        }
+        if (capture?.logs) {
+          await save('console.log', { buffer: Buffer.from(consoleLines.join('\n')) });
+          await save('network.jsonl', { buffer: Buffer.from(network.map(entry => JSON.stringify(entry)).join('\n')) });
+        }
+      } finally {
+        if (tmpDir) await fs.promises.rm(tmpDir, { recursive: true, force: true });
+      }
+      return saved;
+    },
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs `flow` `count` times, each in a fresh browser context, up to `concurrency` at once.
+ * A failed run is retried up to `retries` times after an exponential backoff starting at
+ * `backoffMs`; `beforeRun(account)` is awaited before every attempt (rate limiting).
+ * Runs are numbered from `startIndex` so chunks of one request keep distinct accounts;
+ * `accounts` (a list of run numbers) runs exactly those instead, e.g. a job's failures.
+ * `shouldStop()` is awaited before each run and retry: once it is true no new run starts,
+ * and the runs that never started are reported as failures with `cancelled: true`.
+ *
+ * Resolves to { flow, successes, failures, runs, cancelled } where successes holds each run's `output`
+ * variable (or all captured variables when the flow names no output) and each run lists its
+ * attempts' artifacts. `onEvent` receives runFlow()'s events tagged with `account`, plus
+ * { type: 'run-start', account, attempt } and { type: 'run-end', account, ok, error, step, retrying }.
+ */
+async function runFlowJob(
+  { flow, count = 1, params = {} },
+  { log = console.log, artifacts, onEvent, concurrency = 1, retries = 0, backoffMs = 5000, startIndex = 1, accounts, beforeRun, shouldStop } = {}
+) {
+  const emit = (event) => onEvent && onEvent(event);
+  const numbers = accounts || Array.from({ length: count }, (_, i) => startIndex + i);
+  log(`Starting flow "${flow.name}" x${numbers.length}${concurrency > 1 ? ` (${concurrency} in parallel)` : ''}...`);
+  const results = [];
+  let stopped = false;
+  const stopping = async () => {
+    if (!stopped && shouldStop) stopped = Boolean(await shouldStop());
+    return stopped;
+  };
+  const browser = await playwright.chromium.launch({ headless: true });
+
+  async function attemptRun(account, attempt) {
+    if (beforeRun) await beforeRun(account);
+    const runLog = (message) => log(message, account);
+    const name = attempt > 1 ? `account-${account}-attempt-${attempt}` : `account-${account}`;
+    const run = await openRun(browser, name, artifacts, runLog);
+    const { page } = run;
+    page.setDefaultTimeout(flow.timeout || DEFAULT_STEP_TIMEOUT);
+    page.setDefaultNavigationTimeout(flow.timeout || DEFAULT_STEP_TIMEOUT);
+    runLog(`--- Run #${account}${attempt > 1 ? ` (attempt ${attempt})` : ''} ---`);
+    emit({ type: 'run-start', account, attempt });
+    let result;
+    try {
+      const onRunEvent = (event) => emit({ ...event, account });
+      const { vars, trace } = await runFlow(page, flow, { params, index: account, log: runLog, onStep: run.onStep, onEvent: onRunEvent });
+      result = { index: account, ok: true, attempts: attempt, vars, trace };
+      runLog(`[SUCCESS] Run #${account}${flow.output ? `: ${vars[flow.output]}` : ''}`);
+    } catch (error) {
+      runLog(`[FAILURE] Failed on run #${account}: ${error.message}`);
+      result = { index: account, ok: false, attempts: attempt, error: error.message, step: error.step, trace: error.trace };
+    }
+    result.artifacts = await run.close(!result.ok).catch(e => {
+      runLog(`Closing run #${account} failed: ${e.message}`);
+      return [];
+    });
+    const retrying = !result.ok && attempt <= retries;
+    emit({ type: 'run-end', account, ok: result.ok, error: result.error, step: result.step, retrying });
+    return result;
+  }
+
+  async function runAccount(account) {
+    const artifactsSoFar = [];
+    for (let attempt = 1; ; attempt++) {
+      const result = await attemptRun(account, attempt);
+      artifactsSoFar.push(...result.artifacts);
+      if (result.ok || attempt > retries || await stopping()) return { ...result, artifacts: artifactsSoFar };
+      const delay = backoffMs * 2 ** (attempt - 1);
+      log(`Retrying run #${account} in ${Math.round(delay / 1000)}s...`, account);
+      await sleep(delay);
+    }
+  }
+
+  // A small pool of lanes pulling the next account number until all are taken.
+  let next = 0;
+  try {
+    const lane = async () => {
+      while (next < numbers.length) {
+        if (await stopping() || next >= numbers.length) return;
+        const account = numbers[next++];
+        results.push(await runAccount(account));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, numbers.length)) }, lane));
+  } finally {
+    await browser.close();
+  }
+
+  const runs = results.sort((a, b) => a.index - b.index);
+  const skipped = numbers.slice(next);
+  if (skipped.length) log(`Stopped: ${skipped.length} run(s) not started.`);
+  return {
+    flow: flow.name,
+    successes: runs.filter(run => run.ok).map(run => (flow.output ? run.vars[flow.output] : run.vars)),
+    failures: runs.filter(run => !run.ok).map(run => ({
+      accountIndex: run.index,
+      error: `Failed on run #${run.index}: ${run.error}`,
+      step: run.step,
+      attempts: run.attempts,
+    })).concat(skipped.map(index => ({ accountIndex: index, error: `Run #${index} was cancelled before it started.`, cancelled: true }))),
+    runs,
+    cancelled: stopped,
+  };
+}
+
+module.exports = {
+  render,
+  runFlow,
+  runFlowJob,
+};
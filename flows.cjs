@@ -0,0 +1,166 @@
+/* =============================================
+   |        AUTOMATION FLOW DEFINITIONS        |
+   ============================================= */
+// Browser flows (signup, login, place order, ...) are step lists in JSON or YAML,
+// validated against flow.schema.json and interpreted by flow-runner.cjs in the worker.
+//
+// Built-in flows ship in flows/*.json|yaml. Flows registered through the API live in the
+// "flows" collection { _id: name, definition, source, format, version, createdAt, updatedAt }
+// and take precedence over a built-in of the same name; deleting one restores the built-in.
+// Registering is admin-only: flows are shared by every workspace, and "signup" is the flow
+// every signup job runs. Target secrets only go to flows exactly as shipped (targets.cjs).
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const schema = require('./flow.schema.json');
+const { getDb, isDbConfigured } = require('./db.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+
+const BUILTIN_DIR = path.join(__dirname, 'flows');
+
+const ajv = new Ajv({ allErrors: true });
+const validateDefinition = ajv.compile(schema);
+
+const formatErrors = (errors = []) => errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join('\n');
+
+/**
+ * Parses a flow from a JSON/YAML string or an already-parsed object. `format` is
+ * "json" or "yaml"; strings are sniffed when it is omitted.
+ */
+function parseFlow(source, format) {
+  if (source && typeof source === 'object') return source;
+  const text = String(source ?? '').trim();
+  if (!text) throw badRequest('The flow definition is empty.');
+  try {
+    if (format === 'json' || (!format && text.startsWith('{'))) return JSON.parse(text);
+    return YAML.parse(text);
+  } catch (error) {
+    throw badRequest(`The flow definition does not parse: ${error.message}`);
+  }
+}
+
+function validateFlow(flow) {
+  if (!validateDefinition(flow)) {
+    throw httpError(400, 'Invalid flow definition', { details: formatErrors(validateDefinition.errors) });
+  }
+  return flow;
+}
+
+/* ---------------- Built-in flows ---------------- */
+let builtins;
+
+function builtinFlows() {
+  if (!builtins) {
+    builtins = new Map();
+    fs.readdirSync(BUILTIN_DIR)
+      .filter(file => /\.(json|ya?ml)$/.test(file))
+      .forEach(file => {
+        const text = fs.readFileSync(path.join(BUILTIN_DIR, file), 'utf-8');
+        const flow = validateFlow(parseFlow(text, file.endsWith('.json') ? 'json' : 'yaml'));
+        builtins.set(flow.name, flow);
+      });
+  }
+  return builtins;
+}
+
+const getBuiltinFlow = (name) => {
+  const flow = builtinFlows().get(name);
+  if (!flow) throw notFound(`Flow "${name}" not found.`);
+  return flow;
+};
+
+// True when `flow` is a built-in exactly as shipped, not a registered or edited copy.
+function isBuiltinDefinition(flow) {
+  const builtin = builtinFlows().get(flow?.name);
+  return Boolean(builtin) && JSON.stringify(builtin) === JSON.stringify(flow);
+}
+
+/* ---------------- Registry ---------------- */
+const summary = (flow, extra) => ({
+  name: flow.name,
+  description: flow.description || '',
+  params: flow.params || {},
+  output: flow.output,
+  steps: flow.steps.length,
+  ...extra,
+});
+
+async function listFlows() {
+  const registered = isDbConfigured()
+    ? await (await getDb()).collection('flows').find().sort({ _id: 1 }).toArray()
+    : [];
+  const names = new Set(registered.map(doc => doc._id));
+  return [
+    ...registered.map(doc => summary(doc.definition, {
+      source: 'registered', version: doc.version, updatedAt: doc.updatedAt, overridesBuiltin: builtinFlows().has(doc._id),
+    })),
+    ...Array.from(builtinFlows().values()).filter(flow => !names.has(flow.name)).map(flow => summary(flow, { source: 'builtin' })),
+  ];
+}
+
+/**
+ * Resolves to { flow, source, version }: the registered flow if there is one, else the built-in.
+ */
+async function getFlow(name) {
+  if (isDbConfigured()) {
+    const doc = await (await getDb()).collection('flows').findOne({ _id: name });
+    if (doc) return { flow: doc.definition, source: 'registered', version: doc.version, text: doc.source, format: doc.format };
+  }
+  return { flow: getBuiltinFlow(name), source: 'builtin' };
+}
+
+/**
+ * Registers (or replaces) a flow. `source` is a JSON/YAML string or an object; the name in
+ * the definition, when present, must match `name`.
+ */
+async function saveFlow(name, source, format) {
+  const definition = parseFlow(source, format);
+  if (definition && typeof definition === 'object' && !definition.name) definition.name = name;
+  validateFlow(definition);
+  if (definition.name !== name) throw badRequest(`The definition is named "${definition.name}", not "${name}".`);
+
+  const db = await getDb();
+  const now = new Date();
+  const text = typeof source === 'string' ? source : null;
+  const doc = await db.collection('flows').findOneAndUpdate(
+    { _id: name },
+    {
+      $set: { definition, source: text, format: text ? format || (text.trim().startsWith('{') ? 'json' : 'yaml') : 'json', updatedAt: now },
+      $inc: { version: 1 },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return summary(doc.definition, { source: 'registered', version: doc.version, updatedAt: doc.updatedAt });
+}
+
+async function deleteFlow(name) {
+  const db = await getDb();
+  const { deletedCount } = await db.collection('flows').deleteOne({ _id: name });
+  if (!deletedCount) throw notFound(`Flow "${name}" is not registered.`);
+}
+
+/**
+ * Merges run parameters over the flow's defaults. Unknown parameters are rejected so a
+ * typo does not silently run with the default.
+ */
+function resolveParams(flow, params = {}) {
+  if (typeof params !== 'object' || Array.isArray(params)) throw badRequest('"params" must be an object.');
+  const declared = flow.params || {};
+  const unknown = Object.keys(params).filter(key => !(key in declared));
+  if (unknown.length) throw badRequest(`Unknown parameter(s) for flow "${flow.name}": ${unknown.join(', ')}.`);
+  return { ...declared, ...params };
+}
+
+module.exports = {
+  parseFlow,
+  validateFlow,
+  getBuiltinFlow,
+  isBuiltinDefinition,
+  listFlows,
+  getFlow,
+  saveFlow,
+  deleteFlow,
+  resolveParams,
+};
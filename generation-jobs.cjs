@@ -0,0 +1,196 @@
+/* =============================================
+   |        QUEUED GENERATION (BULLMQ)         |
+   ============================================= */
+// Long generations run as jobs on the "generation" queue instead of holding an HTTP
+// request open. A job carries one or more generation requests (a batch generates one
+// suite per user story) and is processed by generation-worker.cjs.
+//
+//   job.data       { requests: [body], provider, workspaceId, actor, results: [] }   results fill in as items finish
+//   job.progress   { total, completed, failed, current, stage, testCases }
+//   returnvalue    { results: [{ index, input, ok, ...response } | { index, input, ok: false, error }] }
+//
+// Provider rate limits / outages fail the attempt and BullMQ retries it with exponential
+// backoff; items that already finished are kept in job.data and not generated again.
+// Any other error fails only its item (or the job, when it holds a single request), as does
+// a spent budget (usage.cjs): it does not free up within the retry window.
+// Cancellation is a Redis flag the worker polls; it aborts the running model request.
+const { Queue, UnrecoverableError } = require('bullmq');
+const { isRetryableError } = require('./providers.cjs');
+const { validateGenerationRequest, prepareGeneration, streamGeneration } = require('./generation.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+const { inWorkspace } = require('./workspaces.cjs');
+const { runWithCaller } = require('./usage.cjs');
+
+const GENERATION_QUEUE = 'generation';
+const MAX_BATCH = 50;
+const CANCEL_POLL_MS = 1000;
+const PROGRESS_INTERVAL_MS = 2000;
+const CANCELLED = 'Cancelled by user.';
+const KEEP_FINISHED_SECONDS = 7 * 24 * 3600;
+
+const cancelKey = (jobId) => `${GENERATION_QUEUE}:cancel:${jobId}`;
+
+const jobOptions = () => ({
+  attempts: Math.max(Number(process.env.GENERATION_JOB_ATTEMPTS) || 4, 1),
+  backoff: { type: 'exponential', delay: Number(process.env.GENERATION_JOB_BACKOFF_MS) || 5000 },
+  removeOnComplete: { age: KEEP_FINISHED_SECONDS },
+  removeOnFail: { age: KEEP_FINISHED_SECONDS },
+});
+
+// A failed chain is worth retrying later only if some provider was rate limited or down.
+const isRateLimited = (error) => !error.budgetExceeded && (isRetryableError(error)
+  || (error.attempts || []).some(a => a.status !== undefined && isRetryableError({ status: a.status, message: a.error })));
+
+/**
+ * Turns a request body into the list of generation requests for one job. A body with
+ * `stories` is a batch: each story (a string or { input, suiteName, suiteId }) is merged
+ * over the shared options.
+ */
+function expandRequests(body = {}) {
+  const { stories, stream, ...shared } = body;
+  if (stories === undefined) {
+    validateGenerationRequest(shared);
+    return [shared];
+  }
+  if (!Array.isArray(stories) || !stories.length) throw badRequest('"stories" must be a non-empty array.');
+  if (stories.length > MAX_BATCH) throw badRequest(`A batch can hold at most ${MAX_BATCH} stories.`);
+  if (shared.suiteId) throw badRequest('A batch cannot target one "suiteId"; set it per story instead.');
+  return stories.map((story, i) => {
+    const request = { ...shared, ...(typeof story === 'string' ? { input: story } : story) };
+    try {
+      validateGenerationRequest(request);
+    } catch (error) {
+      throw badRequest(`Story ${i + 1}: ${error.message}`);
+    }
+    return request;
+  });
+}
+
+/* ---------------- API side ---------------- */
+function createGenerationJobs(connection) {
+  const queue = new Queue(GENERATION_QUEUE, { connection });
+
+  // `workspaceId` and `actor` (see workspaces.cjs) travel with the job to the worker.
+  async function enqueue(body, { provider, workspaceId, actor } = {}) {
+    const requests = expandRequests(body);
+    const name = requests.length > 1 ? 'generate-batch' : 'generate';
+    const job = await queue.add(name, { requests, provider, workspaceId, actor, results: [] }, jobOptions());
+    return { jobId: job.id, total: requests.length };
+  }
+
+  // A job of another workspace than `workspaceId` (when given) is reported as not found.
+  async function getJob(jobId, workspaceId) {
+    const job = await queue.getJob(jobId);
+    if (!job || (workspaceId && !inWorkspace(job.data, workspaceId))) throw notFound('Job not found.');
+    return job;
+  }
+
+  async function getStatus(jobId, { workspaceId } = {}) {
+    const job = await getJob(jobId, workspaceId);
+    const [state, cancelled] = await Promise.all([job.getState(), connection.exists(cancelKey(jobId))]);
+    const finished = state === 'completed' || state === 'failed';
+    return {
+      jobId: job.id,
+      status: cancelled && (!finished || job.failedReason === CANCELLED) ? 'cancelled' : state,
+      progress: job.progress,
+      total: job.data.requests.length,
+      result: job.returnvalue || undefined,
+      // Items finished so far, so clients can show partial batch results.
+      partialResults: finished ? undefined : job.data.results,
+      error: state === 'failed' ? job.failedReason : undefined,
+      attemptsMade: job.attemptsMade,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : undefined,
+    };
+  }
+
+  async function cancel(jobId, { workspaceId } = {}) {
+    const job = await getJob(jobId, workspaceId);
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') throw httpError(409, `Job already ${state}.`);
+    await connection.set(cancelKey(jobId), '1', 'EX', KEEP_FINISHED_SECONDS);
+    // Waiting and delayed jobs are failed by the worker as soon as it picks them up.
+    return getStatus(jobId);
+  }
+
+  return { queue, enqueue, getStatus, cancel };
+}
+
+/* ---------------- Worker side ---------------- */
+/**
+ * Builds the BullMQ processor. `connection` is used to poll for cancellation.
+ */
+function createGenerationProcessor(connection) {
+  // Model calls are metered to whoever enqueued the job.
+  return (job) => runWithCaller({
+    workspaceId: job.data.workspaceId,
+    actor: job.data.actor && { keyId: job.data.actor.keyId, name: job.data.actor.name },
+    route: 'generation-job',
+  }, () => processGenerationJob(job));
+
+  async function processGenerationJob(job) {
+    const { requests, provider, workspaceId, actor } = job.data;
+    const results = [...(job.data.results || [])];
+    const controller = new AbortController();
+    const isCancelled = async () => Boolean(await connection.exists(cancelKey(job.id)));
+    const poll = setInterval(() => {
+      isCancelled().then(yes => yes && controller.abort()).catch(() => {});
+    }, CANCEL_POLL_MS);
+
+    let lastProgressAt = 0;
+    const report = (progress, force = false) => {
+      const now = Date.now();
+      if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = now;
+      job.updateProgress({
+        total: requests.length,
+        completed: results.filter(r => r.ok).length,
+        failed: results.filter(r => !r.ok).length,
+        ...progress,
+      }).catch(() => {});
+    };
+
+    try {
+      if (await isCancelled()) throw new UnrecoverableError(CANCELLED);
+      for (let index = 0; index < requests.length; index++) {
+        if (results.some(r => r.index === index)) continue;
+        if (controller.signal.aborted) throw new UnrecoverableError(CANCELLED);
+        const request = requests[index];
+        let testCases = 0;
+        report({ current: index, stage: 'retrieving', testCases }, true);
+        try {
+          const ctx = await prepareGeneration(request, { provider, workspaceId, actor });
+          let response;
+          report({ current: index, stage: 'generating', testCases }, true);
+          await streamGeneration(ctx, (event, data) => {
+            if (event === 'testCase') report({ current: index, stage: 'generating', testCases: ++testCases }, true);
+            else if (event === 'repair') report({ current: index, stage: 'repairing', testCases }, true);
+            else if (event === 'token') report({ current: index, stage: 'generating', testCases });
+            else if (event === 'done') response = data;
+          }, controller.signal);
+          if (controller.signal.aborted) throw new UnrecoverableError(CANCELLED);
+          results.push({ index, input: request.input, ok: true, ...response });
+        } catch (error) {
+          if (controller.signal.aborted) throw new UnrecoverableError(CANCELLED);
+          const lastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+          if (isRateLimited(error) && !lastAttempt) throw error;
+          console.error(`Generation job ${job.id} item ${index + 1} failed:`, error.message);
+          results.push({ index, input: request.input, ok: false, error: error.message, details: error.details, attempts: error.attempts });
+        }
+        await job.updateData({ ...job.data, results });
+      }
+      report({ current: null, stage: 'done' }, true);
+      // A single request that failed fails the job; a batch completes with per-item errors.
+      if (requests.length === 1 && !results[0].ok) throw new UnrecoverableError(results[0].error);
+      return { results: results.sort((a, b) => a.index - b.index) };
+    } finally {
+      clearInterval(poll);
+    }
+  }
+}
+
+module.exports = {
+  GENERATION_QUEUE,
+  createGenerationJobs,
+  createGenerationProcessor,
+};
@@ -0,0 +1,46 @@
+/* =============================================
+   |         GENERATION QUEUE WORKER           |
+   ============================================= */
+// Processes the "generation" queue (see generation-jobs.cjs). Run next to the API:
+//   npm run generation-worker
+// GENERATION_CONCURRENCY   jobs processed in parallel (default 2)
+const { Worker } = require('bullmq');
+const dotenv = require('dotenv');
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const { GENERATION_QUEUE, createGenerationProcessor } = require('./generation-jobs.cjs');
+const { createRedisConnection } = require('./redis.cjs');
+const { closeDb } = require('./db.cjs');
+
+console.log('GENERATION WORKER: starting...');
+const connection = createRedisConnection();
+const concurrency = Math.max(Number(process.env.GENERATION_CONCURRENCY) || 2, 1);
+
+const worker = new Worker(GENERATION_QUEUE, createGenerationProcessor(connection), { connection, concurrency });
+
+worker.on('completed', (job, result) => {
+  const ok = result.results.filter(r => r.ok).length;
+  console.log(`GENERATION WORKER: Job ${job.id} completed (${ok}/${result.results.length} succeeded).`);
+});
+
+worker.on('failed', (job, err) => {
+  const willRetry = job && job.attemptsMade < (job.opts.attempts || 1) && err.name !== 'UnrecoverableError';
+  console.error(`GENERATION WORKER: Job ${job?.id} failed${willRetry ? ' (will retry)' : ''}: ${err.message}`);
+});
+
+console.log(`GENERATION WORKER: Ready (concurrency ${concurrency}).`);
+
+const shutdown = async () => {
+  try {
+    await worker.close();
+    await connection.quit();
+    await closeDb();
+  } finally {
+    process.exit(0);
+  }
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,241 @@
+/* =============================================
+   |        TEST CASE GENERATION PIPELINE      |
+   ============================================= */
+// Shared by the HTTP routes (one-shot and streaming) and the generation worker, so every
+// entry point validates, retrieves context, saves to a suite and records history the same way:
+//   prepareGeneration(body)        validate + retrieve + render the prompt template; throws 4xx
+//                                  errors before any tokens are spent
+//   previewGeneration(body)        the prompt prepareGeneration() would send, without a model call
+//   runGeneration(ctx)             one-shot result
+//   streamGeneration(ctx, emit)    same result, emitting events while the model writes
+//   runComparison(ctx, options)    the request on several models, merged (compare.cjs)
+const { generateWithFallback, streamWithFallback } = require('./providers.cjs');
+const { generateStructured, finishStructured, buildStructuredPrompt, createTestCaseStreamParser } = require('./test-cases.cjs');
+const { isDbConfigured } = require('./db.cjs');
+const { badRequest } = require('./errors.cjs');
+const suites = require('./suites.cjs');
+const { retrieveContext, citedSources, attachCitations } = require('./retrieval.cjs');
+const { renderPrompt } = require('./prompt-templates.cjs');
+const { compareModels } = require('./compare.cjs');
+
+// Prompt template modes /api/generate accepts (playwright has its own route).
+const GENERATION_MODES = ['functional', 'negative', 'gherkin'];
+const MAX_CASE_COUNT = 100;
+
+const clampRepairs = (value) => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 5) : undefined;
+};
+
+// History is best-effort: a failed write must not fail a generation the user already paid for.
+const recordGeneration = async (entry) => {
+  if (!isDbConfigured()) return null;
+  try {
+    return await suites.recordGeneration(entry);
+  } catch (error) {
+    console.error('Generation history write failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Cheap checks that need no I/O, so queued requests can be rejected before they are enqueued.
+ */
+function validateGenerationRequest({ input, format = 'text', projectId, suiteId, mode = 'functional', count, testTypes, style } = {}) {
+  if (!input) throw badRequest('Input is required');
+  if (!['text', 'structured'].includes(format)) throw badRequest('format must be "text" or "structured"');
+  if ((projectId || suiteId) && format !== 'structured') throw badRequest('Saving to a suite requires format "structured".');
+  if (!GENERATION_MODES.includes(mode)) throw badRequest(`"mode" must be one of: ${GENERATION_MODES.join(', ')}.`);
+  if (mode === 'gherkin' && format !== 'text') throw badRequest('Gherkin generation requires format "text".');
+  if (count !== undefined && count !== null && count !== ''
+    && !(Number.isInteger(Number(count)) && Number(count) >= 1 && Number(count) <= MAX_CASE_COUNT)) {
+    throw badRequest(`"count" must be a whole number between 1 and ${MAX_CASE_COUNT}.`);
+  }
+  if (testTypes !== undefined && !(typeof testTypes === 'string' || (Array.isArray(testTypes) && testTypes.every(t => typeof t === 'string')))) {
+    throw badRequest('"testTypes" must be a string or an array of strings.');
+  }
+  if (style !== undefined && typeof style !== 'string') throw badRequest('"style" must be a string.');
+}
+
+/**
+ * Validates a generation request body, retrieves knowledge-base context and renders the
+ * prompt from the mode's template (`templateId`/`templateVersion`, else the workspace default).
+ * `provider` pins the provider (legacy per-vendor routes); otherwise the body decides.
+ * `workspaceId` limits suites, templates and retrieval to that workspace; `actor` is recorded in history.
+ * `draft` renders an unsaved template body instead (previews only).
+ */
+async function prepareGeneration(body = {}, { provider: pinnedProvider, workspaceId, actor, draft } = {}) {
+  validateGenerationRequest(body);
+  const {
+    input, useKnowledgeBase, provider, model, temperature, maxTokens, fallback, format = 'text', maxRepairs,
+    projectId, suiteId, suiteName, docIds, tags, k, minScore, retrievalMode,
+    mode = 'functional', templateId, templateVersion, count, testTypes, style,
+  } = body;
+  const chosenProvider = pinnedProvider || provider;
+
+  // Fail before spending tokens if the target suite/project does not exist.
+  if (suiteId) await suites.getSuite(suiteId, { workspaceId });
+  else if (projectId) await suites.getProject(projectId, { workspaceId });
+
+  let context = '';
+  let documents = [];
+  let sources = [];
+  // Naming documents or tags implies using the knowledge base.
+  if (useKnowledgeBase || docIds?.length || tags?.length) {
+    console.log(`${chosenProvider || 'Default chain'}: Augmenting prompt with knowledge base...`);
+    ({ context, documents, sources } = await retrieveContext(input, { docIds, tags, k, minScore, mode: retrievalMode, workspaceId }));
+  }
+  const { prompt, template } = await renderPrompt(mode, {
+    request: input,
+    context,
+    count: count === undefined || count === null || count === '' ? undefined : Number(count),
+    testTypes,
+    style: style?.trim(),
+  }, { templateId, templateVersion, workspaceId, draft });
+  return {
+    input,
+    format,
+    projectId,
+    suiteId,
+    suiteName,
+    documents,
+    sources,
+    template,
+    workspaceId,
+    actor,
+    maxRepairs: clampRepairs(maxRepairs),
+    options: { prompt, provider: chosenProvider, model, temperature, maxTokens, fallback },
+  };
+}
+
+// Saves structured results to the requested suite and records history; returns the response body.
+async function completeStructured(ctx, result) {
+  const { input, format, projectId, suiteId, suiteName, documents, sources, template, workspaceId, actor } = ctx;
+  if (sources.length) result.testCases = attachCitations(result.testCases, sources);
+  const generation = { prompt: input, provider: result.provider, model: result.model, documents, template, createdAt: new Date() };
+  let suite = null;
+  if (suiteId) {
+    suite = await suites.replaceCases(suiteId, result.testCases, 'Regenerated', generation);
+  } else if (projectId) {
+    suite = await suites.createSuite({ projectId, name: suiteName || String(input).slice(0, 80), testCases: result.testCases, generation, workspaceId });
+  }
+  const history = await recordGeneration({
+    ...generation, workspaceId, actor, format, projectId: suite?.projectId, suiteId: suite?._id, version: suite?.version, caseCount: result.testCases.length,
+  });
+  return { ...result, documents, sources, template, generationId: history?._id, suite: suite && { id: suite._id, version: suite.version } };
+}
+
+async function completeText(ctx, result) {
+  const { input, format, documents, sources, template, workspaceId, actor } = ctx;
+  await recordGeneration({ workspaceId, actor, prompt: input, provider: result.provider, model: result.model, documents, template, format });
+  return {
+    output: result.text || 'No response',
+    provider: result.provider,
+    model: result.model,
+    attempts: result.attempts,
+    sources,
+    citations: citedSources(result.text, sources),
+    template,
+  };
+}
+
+/**
+ * Resolves to { prompt, template, sources, documents }: exactly what runGeneration() would
+ * send to the model for `body` (structured instructions included), without calling one.
+ */
+async function previewGeneration(body, options) {
+  const ctx = await prepareGeneration(body, options);
+  const { prompt } = ctx.options;
+  return {
+    prompt: ctx.format === 'structured' ? buildStructuredPrompt(prompt, ctx.sources.length > 0) : prompt,
+    template: ctx.template,
+    sources: ctx.sources,
+    documents: ctx.documents,
+  };
+}
+
+/**
+ * Runs a prepared generation to completion and resolves to the response body.
+ */
+async function runGeneration(ctx) {
+  if (ctx.format === 'structured') {
+    const result = await generateStructured({ ...ctx.options, maxRepairs: ctx.maxRepairs, withSources: ctx.sources.length > 0 });
+    return completeStructured(ctx, result);
+  }
+  return completeText(ctx, await generateWithFallback(ctx.options));
+}
+
+/**
+ * Runs a prepared structured generation on several models (`models`, `similarity`: see
+ * compare.cjs) and saves and records the merged suite like any other generation. Resolves to
+ * the runGeneration() body plus { models, summary }.
+ */
+async function runComparison(ctx, options) {
+  const { models, summary, ...result } = await compareModels(ctx, options);
+  return { ...(await completeStructured(ctx, result)), models, summary };
+}
+
+/**
+ * Streams a prepared generation. `emit(event, data)` receives:
+ *   start     { provider, model, sources }
+ *   token     { text }                    every text delta
+ *   testCase  { testCase, index }         structured mode, as soon as each case is complete
+ *   repair    { attempt, problem }        structured mode, before each repair of an invalid reply
+ *   done      the same body runGeneration() resolves to (+ repaired for structured mode)
+ * Aborting `signal` stops the model request; the promise then rejects with the abort error.
+ */
+async function streamGeneration(ctx, emit, signal) {
+  const structured = ctx.format === 'structured';
+  const withSources = ctx.sources.length > 0;
+  const options = structured
+    ? { ...ctx.options, prompt: buildStructuredPrompt(ctx.options.prompt, withSources), json: true }
+    : ctx.options;
+  const parser = structured ? createTestCaseStreamParser() : null;
+  const streamed = [];
+  let text = '';
+  let end;
+
+  for await (const event of streamWithFallback({ ...options, signal })) {
+    if (event.type === 'start') {
+      emit('start', { provider: event.provider, model: event.model, sources: ctx.sources });
+    } else if (event.type === 'token') {
+      text += event.text;
+      emit('token', { text: event.text });
+      if (parser) {
+        parser.push(event.text).forEach(testCase => {
+          const cited = withSources ? attachCitations([testCase], ctx.sources)[0] : testCase;
+          emit('testCase', { testCase: cited, index: streamed.length });
+          streamed.push(cited);
+        });
+      }
+    } else if (event.type === 'end') {
+      end = event;
+    }
+  }
+  // Nothing is repaired or saved once the caller has gone.
+  signal?.throwIfAborted();
+  const result = { text, provider: end.provider, model: end.model, attempts: end.attempts };
+
+  if (!structured) {
+    emit('done', await completeText(ctx, result));
+    return;
+  }
+  // The streamed cases are previews; the final, validated (and possibly repaired) suite wins.
+  const final = await finishStructured(result, {
+    maxRepairs: ctx.maxRepairs,
+    withSources,
+    options: ctx.options,
+    onRepair: (attempt, problem) => emit('repair', { attempt, problem }),
+  });
+  signal?.throwIfAborted();
+  emit('done', { ...(await completeStructured(ctx, final)), repaired: final.repairs > 0 });
+}
+
+module.exports = {
+  validateGenerationRequest,
+  prepareGeneration,
+  previewGeneration,
+  runGeneration,
+  runComparison,
+  streamGeneration,
+};
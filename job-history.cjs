@@ -0,0 +1,77 @@
+/* =============================================
+   |           SIGNUP JOB HISTORY              |
+   ============================================= */
+// job_history { _id: jobId, workspaceId, type, name, status, brand, environment, region, flow, count,
+//               tags, retryOf, scheduleId, createdAt, startedAt, finishedAt,
+//               successes, failures, error,                  // counts, as in GET /api/jobs
+//               result: { successes, failures, registered } | null, recordedAt }
+//
+// BullMQ drops finished jobs after SIGNUP_JOB_RETENTION_DAYS; the worker copies every
+// finished top-level job here first, so the history of what was created where is kept.
+// Chunks of a large request are not recorded: their parent holds the merged result.
+const { getDb, registerIndexes } = require('./db.cjs');
+const { badRequest, notFound } = require('./errors.cjs');
+const { workspaceFilter, inWorkspace } = require('./workspaces.cjs');
+
+registerIndexes('job_history', [
+  { key: { workspaceId: 1, createdAt: -1 } },
+  { key: { type: 1, status: 1, createdAt: -1 } },
+  { key: { brand: 1, environment: 1, region: 1, createdAt: -1 } },
+]);
+
+const history = async () => (await getDb()).collection('job_history');
+
+// Upserts a job's summary (signup-jobs.cjs summarizeJob()) and the lists from its result.
+async function recordJob(summary, result) {
+  const { jobId, ...fields } = summary;
+  const kept = Array.isArray(result?.successes) ? { successes: result.successes, failures: result.failures, registered: result.registered } : null;
+  await (await history()).updateOne(
+    { _id: String(jobId) },
+    { $set: { ...fields, result: kept, recordedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`"${name}" must be a date.`);
+  return date;
+}
+
+/**
+ * Same filters as the live list (GET /api/jobs): { workspaceId, state, type, brand,
+ * environment, region, from, to } with from/to bounding createdAt. Resolves to { jobs, total }.
+ */
+async function searchHistory({ workspaceId, state, type, brand, environment, region, from, to, limit = 50, offset = 0 } = {}) {
+  const filter = workspaceId ? workspaceFilter(workspaceId) : {};
+  if (state) filter.status = String(state);
+  if (type) filter.type = String(type);
+  if (brand) filter.brand = String(brand).toLowerCase();
+  if (environment) filter.environment = String(environment).toLowerCase();
+  if (region) filter.region = String(region).toUpperCase();
+  const after = parseDate(from, 'from');
+  const before = parseDate(to, 'to');
+  if (after || before) filter.createdAt = { ...(after && { $gte: after }), ...(before && { $lte: before }) };
+  const collection = await history();
+  const size = Math.min(Math.max(Number(limit) || 50, 1), 500);
+  const [docs, total] = await Promise.all([
+    collection.find(filter).sort({ createdAt: -1 }).skip(Math.max(Number(offset) || 0, 0)).limit(size).toArray(),
+    collection.countDocuments(filter),
+  ]);
+  return { jobs: docs.map(({ _id, ...doc }) => ({ jobId: _id, ...doc })), total };
+}
+
+async function getHistory(jobId, { workspaceId } = {}) {
+  const doc = await (await history()).findOne({ _id: String(jobId) });
+  if (!doc || (workspaceId && !inWorkspace(doc, workspaceId))) throw notFound('Job not found.');
+  const { _id, ...fields } = doc;
+  return { jobId: _id, ...fields };
+}
+
+module.exports = {
+  parseDate,
+  recordJob,
+  searchHistory,
+  getHistory,
+};
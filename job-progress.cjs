@@ -0,0 +1,104 @@
+/* =============================================
+   |       SIGNUP JOB PROGRESS & LIVE EVENTS   |
+   ============================================= */
+// The worker turns flow-runner events into BullMQ job progress and job log lines; the API
+// reads them back for /job-status and relays them live over SSE.
+//
+// job.progress (replaced on every event):
+//   { accounts, completed, failed, active: [account], startedAt, elapsedMs,
+//     timeline: [{ account, status, attempt, startedAt, finishedAt, step, steps: [...], warnings: [...] }],
+//     event }    // the event that produced this update: step | warning | log | run-start | run-end
+const { QueueEvents } = require('bullmq');
+const { createRedisConnection } = require('./redis.cjs');
+
+const MAX_WARNINGS = 20;
+
+/**
+ * Returns { onEvent, log, flush } for one job. onEvent takes runFlowJob() events,
+ * log(line, account) appends to the job log; both push a progress update. Updates are chained so they land in
+ * order; await flush() before the job returns.
+ */
+function createJobReporter(job, { accounts = 1, prefix = 'WORKER' } = {}) {
+  const startedAt = Date.now();
+  const state = { accounts, completed: 0, failed: 0, active: [], startedAt, elapsedMs: 0, timeline: [] };
+  let pending = Promise.resolve();
+
+  const push = (event) => {
+    const snapshot = JSON.parse(JSON.stringify({ ...state, elapsedMs: Date.now() - startedAt, event: { ...event, at: Date.now() } }));
+    pending = pending.then(() => job.updateProgress(snapshot)).catch(error => {
+      console.error(`${prefix}: Progress update for job ${job.id} failed: ${error.message}`);
+    });
+  };
+  const entryFor = (account) => state.timeline.find(entry => entry.account === account);
+
+  function onEvent(event) {
+    let entry = entryFor(event.account);
+    if (event.type === 'run-start') {
+      if (!entry) {
+        entry = { account: event.account, steps: [], warnings: [] };
+        state.timeline.push(entry);
+        state.timeline.sort((a, b) => a.account - b.account);
+      }
+      // A retry starts the account's step list over.
+      Object.assign(entry, { status: 'running', attempt: event.attempt || 1, startedAt: Date.now(), finishedAt: null, step: null, steps: [] });
+      state.active = [...state.active, event.account];
+    } else if (event.type === 'step' && entry) {
+      if (event.status === 'started') {
+        entry.step = { number: event.number, name: event.step, startedAt: Date.now() };
+      } else if (event.status !== 'skipped') {
+        entry.steps.push({ number: event.number, name: event.step, status: event.status, ms: event.ms, error: event.error });
+      }
+    } else if (event.type === 'warning' && entry) {
+      if (entry.warnings.length < MAX_WARNINGS) entry.warnings.push({ step: event.step, message: event.message, at: Date.now() });
+    } else if (event.type === 'run-end' && entry) {
+      entry.status = event.ok ? 'succeeded' : event.retrying ? 'retrying' : 'failed';
+      entry.finishedAt = Date.now();
+      entry.step = null;
+      entry.error = event.ok ? undefined : event.error;
+      if (!event.retrying) state[event.ok ? 'completed' : 'failed'] += 1;
+      state.active = state.active.filter(account => account !== event.account);
+    }
+    push(event);
+  }
+
+  // `account` is set for lines from one account's run.
+  function log(message, account) {
+    const tag = account ? ` [account ${account}]` : '';
+    console.log(`${prefix}:${tag} ${message}`);
+    const line = `${new Date().toISOString()}${tag} ${message}`;
+    pending = pending.then(() => job.log(line)).catch(() => {});
+    push({ type: 'log', account, message });
+  }
+
+  return { onEvent, log, flush: () => pending };
+}
+
+/* ---------------- API side ---------------- */
+/**
+ * Subscribes to one queue's job events. watch(jobIds, handlers) calls handlers.progress(data, id),
+ * .completed(result, id) and .failed(reason, id) for those jobs only (one id or an array) and
+ * returns an unsubscribe function. QueueEvents needs its own blocking connection, so it is
+ * opened on first use.
+ */
+function createJobWatcher(queueName) {
+  let events;
+  return function watch(jobIds, handlers) {
+    if (!events) {
+      events = new QueueEvents(queueName, { connection: createRedisConnection() });
+      events.setMaxListeners(0);
+    }
+    const ids = new Set([].concat(jobIds).map(String));
+    const listeners = {
+      progress: ({ jobId, data }) => ids.has(jobId) && handlers.progress?.(data, jobId),
+      completed: ({ jobId, returnvalue }) => ids.has(jobId) && handlers.completed?.(returnvalue, jobId),
+      failed: ({ jobId, failedReason }) => ids.has(jobId) && handlers.failed?.(failedReason, jobId),
+    };
+    Object.entries(listeners).forEach(([name, listener]) => events.on(name, listener));
+    return () => Object.entries(listeners).forEach(([name, listener]) => events.off(name, listener));
+  };
+}
+
+module.exports = {
+  createJobReporter,
+  createJobWatcher,
+};
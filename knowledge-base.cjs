@@ -0,0 +1,409 @@
+/* =============================================
+   |      KNOWLEDGE BASE CATALOG & INDEXING    |
+   ============================================= */
+// kb_documents  { _id: docId, workspaceId, name, mimetype, size, contentHash, status, chunkCount,
+//                 chunkSize, chunkOverlap, embeddingModel, uploadedAt, uploader, reindexedAt }
+// kb_files      GridFS bucket holding the original upload (file _id === docId) for re-indexing.
+// kb_chunks     { _id: vectorId, docId, chunkIndex, text, metadata } chunk text for keyword search.
+// kb_requirements are extracted from documents by traceability.cjs and deleted with them.
+//
+// Vectors are stored with ids "<docId>#<chunk>" so a document's vectors can be deleted
+// by id and attributed to their document when reconciling the catalog against the
+// vector store (Pinecone or the local store, see vector-store.cjs).
+//
+// Documents belong to a workspace (workspaces.cjs). Searches are limited to the workspace's
+// documents through the docId metadata filter, so one index serves every workspace.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GridFSBucket } = require('mongodb');
+const { Document } = require('@langchain/core/documents');
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, registerIndexes, isDbConfigured } = require('./db.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+const { loadDocument } = require('./loaders.cjs');
+const { getVectorStore, embeddingModelName: embeddingModel } = require('./vector-store.cjs');
+const { DEFAULT_WORKSPACE, workspaceFilter, inWorkspace } = require('./workspaces.cjs');
+
+const LEGACY_CATALOG_PATH = path.join(__dirname, 'document-list.json');
+const DEFAULT_CHUNK_SIZE = Number(process.env.KB_CHUNK_SIZE) || 1000;
+const DEFAULT_CHUNK_OVERLAP = Number(process.env.KB_CHUNK_OVERLAP) || 200;
+
+registerIndexes('kb_documents', [
+  { key: { workspaceId: 1, contentHash: 1 }, unique: true, partialFilterExpression: { contentHash: { $type: 'string' } } },
+  { key: { workspaceId: 1, uploadedAt: -1 } },
+  { key: { uploadedAt: -1 } },
+  { key: { tags: 1 } },
+]);
+registerIndexes('kb_chunks', [
+  { key: { docId: 1, chunkIndex: 1 } },
+  { key: { text: 'text' }, name: 'chunk_text' },
+]);
+
+/* ---------------- Vector store ---------------- */
+const vectorId = (docId, i) => `${docId}#${i}`;
+const vectorIdsFor = (doc) => Array.from({ length: doc.chunkCount || 0 }, (_, i) => vectorId(doc._id, i));
+
+async function deleteVectors(doc) {
+  if (doc.chunkCount) {
+    await getVectorStore().delete({ ids: vectorIdsFor(doc) });
+  } else {
+    // Entries from the old file catalog used random vector ids; only the metadata filter finds them.
+    await getVectorStore().delete({ filter: { docId: doc._id } });
+  }
+}
+
+/* ---------------- Parsing & chunking ---------------- */
+// An empty multipart field or a JSON null means "use the default", like leaving it out.
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+function chunkOptions({ chunkSize, chunkOverlap } = {}) {
+  const size = isUnset(chunkSize) ? DEFAULT_CHUNK_SIZE : Math.floor(Number(chunkSize));
+  const overlap = isUnset(chunkOverlap) ? DEFAULT_CHUNK_OVERLAP : Math.floor(Number(chunkOverlap));
+  if (!Number.isFinite(size) || size < 100 || size > 8000) throw badRequest('"chunkSize" must be between 100 and 8000.');
+  if (!Number.isFinite(overlap) || overlap < 0 || overlap >= size) throw badRequest('"chunkOverlap" must be between 0 and chunkSize.');
+  return { chunkSize: size, chunkOverlap: overlap };
+}
+
+async function buildChunks({ docId, name, buffer, mimetype }, { chunkSize, chunkOverlap }) {
+  const sections = await loadDocument(buffer, mimetype);
+  if (sections.length === 0) throw badRequest('Could not extract any text from the document.');
+
+  // Sections are split separately so a chunk never straddles two pages, headings or sheets.
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  const docs = await splitter.splitDocuments(sections.map(section => new Document(section)));
+  docs.forEach((chunk, i) => {
+    delete chunk.metadata.loc;
+    chunk.metadata.docId = docId;
+    chunk.metadata.docName = name;
+    chunk.metadata.chunkIndex = i;
+  });
+  return docs;
+}
+
+const upsertChunks = (docId, docs) =>
+  getVectorStore().addDocuments(docs, { ids: docs.map((_, i) => vectorId(docId, i)) });
+
+// Keeps a copy of each chunk's text in MongoDB for keyword search, which vector stores lack.
+async function saveChunkText(db, docId, docs) {
+  const chunks = db.collection('kb_chunks');
+  await chunks.deleteMany({ docId });
+  if (!docs.length) return;
+  await chunks.insertMany(docs.map((doc, i) => ({
+    _id: vectorId(docId, i),
+    docId,
+    chunkIndex: i,
+    text: doc.pageContent,
+    metadata: doc.metadata,
+  })));
+}
+
+/* ---------------- Original file storage ---------------- */
+const filesBucket = (db) => new GridFSBucket(db, { bucketName: 'kb_files' });
+
+function storeFile(db, docId, name, buffer, metadata) {
+  return new Promise((resolve, reject) => {
+    filesBucket(db)
+      .openUploadStreamWithId(docId, name, { metadata })
+      .on('error', reject)
+      .on('finish', resolve)
+      .end(buffer);
+  });
+}
+
+async function readFile(db, docId) {
+  const chunks = [];
+  for await (const chunk of filesBucket(db).openDownloadStream(docId)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function deleteFile(db, docId) {
+  await filesBucket(db).delete(docId).catch(() => {});
+}
+
+/* ---------------- Catalog ---------------- */
+const toApi = ({ _id, ...doc }) => ({ id: _id, ...doc });
+
+// Accepts ["a", "b"] or "a, b" (multipart form fields are strings).
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return Array.from(new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+}
+
+/**
+ * Catalogs and indexes an upload. An identical file (same SHA-256) that is already in the
+ * workspace's catalog is not indexed again: resolves to { document, duplicate: true } instead.
+ */
+async function ingestDocument({ buffer, originalname, mimetype, uploader, tags, workspaceId = DEFAULT_WORKSPACE, ...options }) {
+  const db = await getDb();
+  const catalog = db.collection('kb_documents');
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const chunking = chunkOptions(options);
+  const sameFile = { contentHash, ...workspaceFilter(workspaceId) };
+
+  const existing = await catalog.findOne(sameFile);
+  if (existing) return { document: toApi(existing), duplicate: true };
+
+  const entry = {
+    _id: uuidv4(),
+    workspaceId,
+    name: originalname,
+    mimetype,
+    size: buffer.length,
+    contentHash,
+    status: 'processing',
+    chunkCount: 0,
+    ...chunking,
+    embeddingModel: embeddingModel(),
+    uploadedAt: new Date(),
+    uploader: uploader || 'anonymous',
+    tags: parseTags(tags),
+  };
+  try {
+    // The unique hash index turns two concurrent uploads of the same file into one.
+    await catalog.insertOne(entry);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { document: toApi(await catalog.findOne(sameFile)), duplicate: true };
+  }
+
+  let docs = [];
+  try {
+    docs = await buildChunks({ docId: entry._id, name: originalname, buffer, mimetype }, chunking);
+    await storeFile(db, entry._id, originalname, buffer, { mimetype, contentHash });
+    await upsertChunks(entry._id, docs);
+    await saveChunkText(db, entry._id, docs);
+    const chunkCount = docs.length;
+    await catalog.updateOne({ _id: entry._id }, { $set: { status: 'ready', chunkCount } });
+    return { document: toApi({ ...entry, status: 'ready', chunkCount }), duplicate: false };
+  } catch (error) {
+    if (docs.length) await getVectorStore().delete({ ids: vectorIdsFor({ _id: entry._id, chunkCount: docs.length }) }).catch(() => {});
+    await deleteFile(db, entry._id);
+    await db.collection('kb_chunks').deleteMany({ docId: entry._id });
+    await catalog.deleteOne({ _id: entry._id });
+    throw error;
+  }
+}
+
+// Without a `workspaceId` the whole catalog is listed (maintenance scripts).
+async function listDocuments({ workspaceId } = {}) {
+  const db = await getDb();
+  const filter = workspaceId ? workspaceFilter(workspaceId) : {};
+  const docs = await db.collection('kb_documents').find(filter).sort({ uploadedAt: -1 }).toArray();
+  return docs.map(toApi);
+}
+
+// A document in another workspace than `workspaceId` (when given) is reported as not found.
+async function getDocument(docId, { workspaceId } = {}) {
+  const db = await getDb();
+  const doc = await db.collection('kb_documents').findOne({ _id: docId });
+  if (!doc || (workspaceId && !inWorkspace(doc, workspaceId))) throw notFound('Document not found.');
+  return doc;
+}
+
+async function deleteDocument(docId, scope = {}) {
+  const db = await getDb();
+  const doc = await getDocument(docId, scope);
+  await deleteVectors(doc);
+  await deleteFile(db, docId);
+  await db.collection('kb_chunks').deleteMany({ docId });
+  await db.collection('kb_requirements').deleteMany({ docId });
+  await db.collection('kb_documents').deleteOne({ _id: docId });
+}
+
+async function updateDocumentTags(docId, tags, scope = {}) {
+  const db = await getDb();
+  await getDocument(docId, scope);
+  const { matchedCount } = await db.collection('kb_documents').updateOne({ _id: docId }, { $set: { tags: parseTags(tags) } });
+  if (!matchedCount) throw notFound('Document not found.');
+  return toApi(await getDocument(docId));
+}
+
+/**
+ * The document's text as loader sections ({ pageContent, metadata }), parsed from the stored
+ * original. Documents whose original was not kept fall back to their chunk text; chunks
+ * overlap, so callers must tolerate passages that appear twice.
+ */
+async function getDocumentSections(docId, scope = {}) {
+  const db = await getDb();
+  const doc = await getDocument(docId, scope);
+  try {
+    return await loadDocument(await readFile(db, docId), doc.mimetype);
+  } catch {
+    const chunks = await db.collection('kb_chunks').find({ docId }).sort({ chunkIndex: 1 }).toArray();
+    if (!chunks.length) throw httpError(409, 'The text of this document was not stored; upload it again.');
+    return chunks.map(chunk => ({ pageContent: chunk.text, metadata: chunk.metadata || {} }));
+  }
+}
+
+/**
+ * Re-chunks and re-embeds a document from its stored original, e.g. after changing the
+ * chunk size or EMBEDDING_MODEL. New vectors overwrite the old ids in place.
+ */
+async function reindexDocument(docId, { workspaceId, ...options } = {}) {
+  const db = await getDb();
+  const catalog = db.collection('kb_documents');
+  const doc = await getDocument(docId, { workspaceId });
+  const chunking = chunkOptions({ chunkSize: doc.chunkSize, chunkOverlap: doc.chunkOverlap, ...options });
+
+  const { modifiedCount } = await catalog.updateOne(
+    { _id: docId, status: { $in: ['ready', 'failed'] } },
+    { $set: { status: 'reindexing' } }
+  );
+  if (!modifiedCount) throw httpError(409, `Document is ${doc.status}; try again later.`);
+
+  let buffer;
+  try {
+    buffer = await readFile(db, docId);
+  } catch {
+    await catalog.updateOne({ _id: docId }, { $set: { status: doc.status } });
+    throw httpError(409, 'The original file was not stored for this document; upload it again to re-index.');
+  }
+
+  try {
+    const docs = await buildChunks({ docId, name: doc.name, buffer, mimetype: doc.mimetype }, chunking);
+    await upsertChunks(docId, docs);
+    await saveChunkText(db, docId, docs);
+    // Vector ids are positional, so chunks beyond the new count are stale and deleted explicitly.
+    const staleIds = vectorIdsFor(doc).slice(docs.length);
+    if (staleIds.length) await getVectorStore().delete({ ids: staleIds });
+    const update = { status: 'ready', chunkCount: docs.length, ...chunking, embeddingModel: embeddingModel(), reindexedAt: new Date() };
+    await catalog.updateOne({ _id: docId }, { $set: update });
+    return toApi({ ...doc, ...update });
+  } catch (error) {
+    await catalog.updateOne({ _id: docId }, { $set: { status: 'failed' } });
+    throw error;
+  }
+}
+
+/* ---------------- Scoped search ---------------- */
+/**
+ * Turns docIds/tags into the list of documents retrieval may use, within `workspaceId`.
+ * Resolves to null when there is nothing to narrow by (search everything) and to [] when
+ * the scope matches no document. Without a catalog (no MONGODB_URI) there are no
+ * workspaces to tell apart, so a workspace alone does not narrow the search.
+ */
+async function resolveScope({ docIds, tags, workspaceId } = {}) {
+  const ids = Array.isArray(docIds) ? docIds.map(String).filter(Boolean) : [];
+  const tagList = tags === undefined ? [] : parseTags(tags);
+  if (!ids.length && !tagList.length && (!workspaceId || !isDbConfigured())) return null;
+  const filter = workspaceId ? workspaceFilter(workspaceId) : {};
+  if (ids.length) filter._id = { $in: ids };
+  if (tagList.length) filter.tags = { $in: tagList };
+  const db = await getDb();
+  const docs = await db.collection('kb_documents').find(filter, { projection: { _id: 1 } }).toArray();
+  return docs.map(d => d._id);
+}
+
+// Requirement ids such as "REQ-104" or "AC_3.2" are quoted so they must match exactly.
+const toTextSearch = (query) => String(query).replace(/\b[A-Za-z]{1,10}[-_]?\d+(?:\.\d+)*\b/g, m => `"${m}"`);
+
+/**
+ * MongoDB full-text search over chunk text. Resolves to [{ doc: { pageContent, metadata }, score }].
+ */
+async function keywordSearch(query, { docIds, limit = 20 } = {}) {
+  const db = await getDb();
+  const filter = { $text: { $search: toTextSearch(query) } };
+  if (docIds) filter.docId = { $in: docIds };
+  const hits = await db.collection('kb_chunks')
+    .find(filter, { projection: { text: 1, metadata: 1, score: { $meta: 'textScore' } } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .toArray();
+  return hits.map(hit => ({ doc: { pageContent: hit.text, metadata: hit.metadata }, score: hit.score }));
+}
+
+/* ---------------- Reconciliation ---------------- */
+/**
+ * Compares the catalog with the vectors in the vector store and reports:
+ *  - missingVectors:  catalog entries whose vector count differs from chunkCount
+ *  - orphanVectors:   "<docId>#n" vectors whose docId is not in the catalog
+ *  - unattributed:    vectors with ids that do not follow the "<docId>#n" scheme
+ *  - staleEmbedding:  entries embedded with a different model than EMBEDDING_MODEL
+ * With { fix: true } orphan vectors are deleted and broken entries are marked "failed".
+ */
+async function reconcile({ fix = false } = {}) {
+  const db = await getDb();
+  const catalog = db.collection('kb_documents');
+  const docs = await catalog.find().toArray();
+  const vectorIds = await getVectorStore().listIds();
+
+  const countsByDoc = new Map();
+  const unattributed = [];
+  vectorIds.forEach(id => {
+    const match = /^(.+)#\d+$/.exec(id);
+    if (!match) return unattributed.push(id);
+    countsByDoc.set(match[1], (countsByDoc.get(match[1]) || 0) + 1);
+  });
+
+  const known = new Set(docs.map(d => d._id));
+  const missingVectors = docs
+    .filter(d => d.chunkCount && d.status === 'ready' && countsByDoc.get(d._id) !== d.chunkCount)
+    .map(d => ({ id: d._id, name: d.name, expected: d.chunkCount, found: countsByDoc.get(d._id) || 0 }));
+  const orphanVectors = Array.from(countsByDoc.entries())
+    .filter(([docId]) => !known.has(docId))
+    .map(([docId, count]) => ({ docId, count }));
+  const staleEmbedding = docs
+    .filter(d => d.embeddingModel && d.embeddingModel !== embeddingModel())
+    .map(d => ({ id: d._id, name: d.name, embeddingModel: d.embeddingModel }));
+
+  if (fix) {
+    const orphanIds = vectorIds.filter(id => {
+      const match = /^(.+)#\d+$/.exec(id);
+      return match && !known.has(match[1]);
+    });
+    if (orphanIds.length) await getVectorStore().delete({ ids: orphanIds });
+    if (missingVectors.length) {
+      await catalog.updateMany({ _id: { $in: missingVectors.map(d => d.id) } }, { $set: { status: 'failed' } });
+    }
+  }
+
+  return {
+    catalogEntries: docs.length,
+    vectors: vectorIds.length,
+    missingVectors,
+    orphanVectors,
+    unattributed: unattributed.length,
+    staleEmbedding,
+    fixed: fix,
+  };
+}
+
+// Dedupe used to be global; it is per workspace now, so the old unique index has to go.
+async function dropLegacyIndexes() {
+  const db = await getDb();
+  await db.collection('kb_documents').dropIndex('contentHash_1').catch(() => {});
+}
+
+// One-time import of the old document-list.json catalog. Idempotent.
+async function importLegacyCatalog() {
+  if (!fs.existsSync(LEGACY_CATALOG_PATH)) return 0;
+  const entries = JSON.parse(fs.readFileSync(LEGACY_CATALOG_PATH, 'utf-8'));
+  if (!Array.isArray(entries) || entries.length === 0) return 0;
+  const db = await getDb();
+  const { upsertedCount } = await db.collection('kb_documents').bulkWrite(entries.map(({ id, name }) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $setOnInsert: { name, status: 'ready', legacy: true, uploadedAt: new Date(0), uploader: 'unknown' } },
+      upsert: true,
+    },
+  })));
+  return upsertedCount;
+}
+
+module.exports = {
+  getVectorStore,
+  ingestDocument,
+  listDocuments,
+  getDocument,
+  getDocumentSections,
+  deleteDocument,
+  updateDocumentTags,
+  reindexDocument,
+  resolveScope,
+  keywordSearch,
+  reconcile,
+  dropLegacyIndexes,
+  importLegacyCatalog,
+};
@@ -0,0 +1,163 @@
+/* =============================================
+   |      STRUCTURE-AWARE DOCUMENT LOADERS     |
+   ============================================= */
+// Each loader turns an upload into sections: { pageContent, metadata } where metadata keeps
+// the structure a reviewer needs to find the source again:
+//   PDF   -> page
+//   DOCX  -> section ("Heading 1 > Heading 2") and headingPath
+//   XLSX  -> sheet, headerRow, rowStart, rowEnd (every section repeats the header row)
+//   text  -> section from markdown headings, when there are any
+// Sections are split into chunks afterwards; the splitter copies the metadata to every chunk.
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+
+const MIME_PDF = 'application/pdf';
+const MIME_DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const MIME_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Rows per spreadsheet section; small enough that the splitter rarely has to cut a row.
+const SHEET_ROWS_PER_SECTION = 20;
+
+/* ---------------- PDF ---------------- */
+async function loadPdf(buffer) {
+  const pages = [];
+  // Same text assembly as pdf-parse's default renderer, but kept per page.
+  const pagerender = async (pageData) => {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    content.items.forEach(item => {
+      text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    });
+    pages.push({ page: pageData.pageIndex + 1, text });
+    return text;
+  };
+  await pdf(buffer, { pagerender });
+  return pages
+    .sort((a, b) => a.page - b.page)
+    .map(({ page, text }) => ({ pageContent: text, metadata: { page } }));
+}
+
+/* ---------------- DOCX ---------------- */
+const decodeEntities = (s) => s
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const stripTags = (html) => decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).trim();
+
+// Groups text under the heading path that precedes it.
+function sectionsFromBlocks(blocks) {
+  const sections = [];
+  const headingPath = [];
+  let current = null;
+  blocks.forEach(({ level, text }) => {
+    if (!text) return;
+    if (level) {
+      headingPath.splice(level - 1);
+      headingPath[level - 1] = text;
+      current = null;
+      return;
+    }
+    if (!current) {
+      const path = headingPath.filter(Boolean);
+      current = { lines: [], metadata: path.length ? { section: path.join(' > '), headingPath: path } : {} };
+      sections.push(current);
+    }
+    current.lines.push(text);
+  });
+  return sections.map(({ lines, metadata }) => ({
+    pageContent: metadata.section ? `${metadata.section}\n${lines.join('\n')}` : lines.join('\n'),
+    metadata,
+  }));
+}
+
+async function loadDocx(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const blocks = [];
+  const re = /<(h[1-6]|p|li|th|td)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = re.exec(html))) {
+    const tag = match[1].toLowerCase();
+    blocks.push({ level: tag[0] === 'h' ? Number(tag[1]) : 0, text: stripTags(match[2]) });
+  }
+  return sectionsFromBlocks(blocks);
+}
+
+/* ---------------- XLSX ---------------- */
+function loadXlsx(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sections = [];
+  workbook.SheetNames.forEach(sheet => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, blankrows: false, defval: '' });
+    const headerIndex = rows.findIndex(r => r.some(cell => String(cell).trim()));
+    if (headerIndex === -1) return;
+    const header = rows[headerIndex].map((h, i) => String(h).trim() || `Column ${i + 1}`);
+    const headerRow = header.join(' | ');
+
+    // Rows are written as "Header: value" pairs so each chunk is readable on its own.
+    const body = rows.slice(headerIndex + 1)
+      .map((row, i) => ({
+        // SheetJS records the 0-based sheet row, which survives skipped blank rows.
+        rowNumber: Number.isInteger(row.__rowNum__) ? row.__rowNum__ + 1 : headerIndex + i + 2,
+        text: row.map((cell, c) => String(cell).trim() && `${header[c] || `Column ${c + 1}`}: ${cell}`).filter(Boolean).join('; '),
+      }))
+      .filter(r => r.text);
+
+    for (let i = 0; i < body.length; i += SHEET_ROWS_PER_SECTION) {
+      const group = body.slice(i, i + SHEET_ROWS_PER_SECTION);
+      sections.push({
+        pageContent: `Sheet: ${sheet}\nColumns: ${headerRow}\n${group.map(r => `Row ${r.rowNumber}: ${r.text}`).join('\n')}`,
+        metadata: { sheet, headerRow, rowStart: group[0].rowNumber, rowEnd: group[group.length - 1].rowNumber },
+      });
+    }
+  });
+  return sections;
+}
+
+/* ---------------- Plain text / markdown ---------------- */
+function loadText(buffer) {
+  const text = buffer.toString('utf-8');
+  const lines = text.split(/\r?\n/);
+  if (!lines.some(l => /^#{1,6}\s+\S/.test(l))) return [{ pageContent: text, metadata: {} }];
+  const blocks = lines.map(line => {
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    return heading ? { level: heading[1].length, text: heading[2].trim() } : { level: 0, text: line.trim() };
+  });
+  return sectionsFromBlocks(blocks);
+}
+
+/**
+ * Resolves to the non-empty sections of a file. Unknown mimetypes are read as UTF-8 text.
+ */
+async function loadDocument(buffer, mimetype) {
+  let sections;
+  if (mimetype === MIME_PDF) sections = await loadPdf(buffer);
+  else if (mimetype === MIME_DOCX) sections = await loadDocx(buffer);
+  else if (mimetype === MIME_XLSX) sections = loadXlsx(buffer);
+  else sections = loadText(buffer);
+  return sections.filter(s => s.pageContent && s.pageContent.trim());
+}
+
+/**
+ * Short human-readable location for a chunk's metadata, e.g. "page 4",
+ * "Login > Validation" or "sheet Cases, rows 2-21".
+ */
+function describeLocation(metadata = {}) {
+  if (metadata.page) return `page ${metadata.page}`;
+  if (metadata.sheet) {
+    return metadata.rowStart ? `sheet ${metadata.sheet}, rows ${metadata.rowStart}-${metadata.rowEnd}` : `sheet ${metadata.sheet}`;
+  }
+  if (metadata.section) return metadata.section;
+  return '';
+}
+
+module.exports = {
+  loadDocument,
+  describeLocation,
+};
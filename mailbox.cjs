@@ -0,0 +1,143 @@
+/* =============================================
+   |       MAILBOX ADAPTERS (EMAIL / OTP)      |
+   ============================================= */
+// Flows that need email confirmation read the inbox through one small interface:
+//   waitForMessage({ to, subject, since, timeoutMs, signal })
+//     -> { id, from, to: [address], subject, text, html, receivedAt }   (rejects on timeout)
+// extractLink() / extractOtp() below work on any adapter's messages.
+//
+// MAILBOX=mailpit | <registered name>   which adapter the worker uses (default: none)
+// MAILPIT_URL                           Mailpit's HTTP API (default http://127.0.0.1:8025)
+// MAILBOX_MODULE                        module to require at start-up that calls
+//                                       registerMailbox() for a provider kept out of this repo
+//
+// "mailpit" is the local SMTP catcher used for testing: point the app's SMTP (or the test
+// domain's MX) at Mailpit and every message lands in its inbox.
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const POLL_MS = 2000;
+
+const adapters = new Map();
+
+// `factory()` returns an object implementing waitForMessage().
+function registerMailbox(name, factory) {
+  adapters.set(name, factory);
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('Aborted.'));
+  }, { once: true });
+});
+
+const matchesText = (value, expected) => !expected || String(value || '').toLowerCase().includes(String(expected).toLowerCase());
+
+/**
+ * Polls `search()` (resolving to summaries { id, to, subject, receivedAt }) until one matches
+ * and returns `load(summary)`. Shared by adapters that only offer list + fetch.
+ */
+async function pollForMessage({ to, subject, since, timeoutMs = DEFAULT_TIMEOUT_MS, pollMs = POLL_MS, signal }, search, load) {
+  const deadline = Date.now() + timeoutMs;
+  const after = since ? new Date(since).getTime() : 0;
+  for (;;) {
+    const summaries = await search();
+    const match = summaries
+      .filter(m => new Date(m.receivedAt).getTime() >= after)
+      .filter(m => !to || m.to.some(address => address.toLowerCase() === String(to).toLowerCase()))
+      .filter(m => matchesText(m.subject, subject))
+      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))[0];
+    if (match) return load(match);
+    if (Date.now() + pollMs > deadline) {
+      throw new Error(`No email${to ? ` to ${to}` : ''}${subject ? ` with subject "${subject}"` : ''} arrived within ${Math.round(timeoutMs / 1000)}s.`);
+    }
+    await sleep(pollMs, signal);
+  }
+}
+
+/* ---------------- Mailpit (local SMTP catcher) ---------------- */
+registerMailbox('mailpit', () => {
+  const base = (process.env.MAILPIT_URL || 'http://127.0.0.1:8025').replace(/\/$/, '');
+  const request = async (urlPath) => {
+    const response = await fetch(`${base}${urlPath}`);
+    if (!response.ok) throw new Error(`Mailpit ${urlPath} failed: HTTP ${response.status}`);
+    return response.json();
+  };
+  return {
+    waitForMessage(options) {
+      const query = [options.to && `to:"${options.to}"`, options.subject && `subject:"${options.subject}"`].filter(Boolean).join(' ');
+      return pollForMessage(
+        options,
+        async () => {
+          const { messages = [] } = await request(query ? `/api/v1/search?query=${encodeURIComponent(query)}&limit=50` : '/api/v1/messages?limit=50');
+          return messages.map(m => ({ id: m.ID, to: (m.To || []).map(a => a.Address), subject: m.Subject, receivedAt: m.Created }));
+        },
+        async ({ id }) => {
+          const m = await request(`/api/v1/message/${encodeURIComponent(id)}`);
+          return {
+            id,
+            from: m.From?.Address,
+            to: (m.To || []).map(a => a.Address),
+            subject: m.Subject,
+            text: m.Text || '',
+            html: m.HTML || '',
+            receivedAt: m.Date,
+          };
+        }
+      );
+    },
+  };
+});
+
+let mailbox;
+
+// The adapter named by MAILBOX, or null when none is configured.
+function getMailbox() {
+  if (mailbox === undefined) {
+    if (process.env.MAILBOX_MODULE) require(path.resolve(process.env.MAILBOX_MODULE));
+    const name = process.env.MAILBOX;
+    if (!name) mailbox = null;
+    else if (!adapters.has(name)) throw new Error(`Unknown MAILBOX "${name}" (registered: ${[...adapters.keys()].join(', ')}).`);
+    else mailbox = adapters.get(name)();
+  }
+  return mailbox;
+}
+
+/* ---------------- Extraction ---------------- */
+const decodeEntities = (text) => text.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+const htmlToText = (html) => decodeEntities(String(html).replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ');
+
+// Every link in the message: HTML hrefs first (they carry the real targets), then bare URLs.
+function extractLinks(message) {
+  const hrefs = [...String(message.html || '').matchAll(/href\s*=\s*["']([^"']+)["']/gi)].map(m => decodeEntities(m[1]));
+  const bare = String(message.text || '').match(/https?:\/\/[^\s<>"')\]]+/g) || [];
+  return [...new Set([...hrefs, ...bare].filter(link => /^https?:/i.test(link)))];
+}
+
+// The first link containing `includes` (case-insensitive), or the first link at all.
+function extractLink(message, { includes } = {}) {
+  const links = extractLinks(message);
+  const link = includes ? links.find(l => l.toLowerCase().includes(String(includes).toLowerCase())) : links[0];
+  if (!link) throw new Error(`No link${includes ? ` containing "${includes}"` : ''} in the email "${message.subject}".`);
+  return link;
+}
+
+// The one-time code: `pattern`'s first capture group (or whole match), default 4-8 digits.
+function extractOtp(message, { pattern } = {}) {
+  const text = message.text || htmlToText(message.html || '');
+  const regex = pattern ? new RegExp(pattern) : /\b(\d{4,8})\b/;
+  const match = regex.exec(text) || regex.exec(`${message.subject} ${text}`);
+  if (!match) throw new Error(`No code matching ${regex} in the email "${message.subject}".`);
+  return match[1] ?? match[0];
+}
+
+module.exports = {
+  registerMailbox,
+  getMailbox,
+  pollForMessage,
+  extractLinks,
+  extractLink,
+  extractOtp,
+};
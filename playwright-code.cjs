@@ -0,0 +1,191 @@
+/* =============================================
+   |   PLAYWRIGHT CODE GENERATION & SELF-HEAL  |
+   ============================================= */
+// The model writes one @playwright/test spec; before it is returned the code is
+//   1. extracted from the reply (fenced block or bare code),
+//   2. syntax-checked with `node --check`,
+//   3. checked for imports other than @playwright/test, built-ins included, so the model keeps
+//      to the API the runner provides (a pattern check, not a security boundary),
+//   4. optionally run (the caller passes `run`, e.g. the worker sandbox).
+// Any failure goes back to the model with the error for a bounded number of repair rounds.
+const { spawn } = require('child_process');
+const { generateWithFallback } = require('./providers.cjs');
+const { builtinTemplate, renderTemplate } = require('./prompt-templates.cjs');
+
+const DEFAULT_MAX_REPAIRS = 2;
+const MAX_REPAIRS = 5;
+const SYNTAX_CHECK_TIMEOUT_MS = 10000;
+
+// Mock provider marker, like [USER REQUEST] for test cases.
+const SPEC_MARKER = '[PLAYWRIGHT SPEC]';
+
+// Variables for the "playwright" prompt template (see prompt-templates.cjs).
+function playwrightPromptVars({ scenario, url, fixture, style }) {
+  const target = url
+    ? `The page under test is ${url}.`
+    : fixture
+      ? `The page under test is this HTML (served for the run):\n${fixture.slice(0, 8000)}`
+      : 'The page under test is the application the scenario describes.';
+  return {
+    scenario,
+    url,
+    target,
+    navigation: `process.env.TARGET_URL${url ? ` || ${JSON.stringify(url)}` : ''}`,
+    style: typeof style === 'string' ? style.trim() : undefined,
+  };
+}
+
+function buildCodeRepairPrompt(code, problem) {
+  return `The Playwright spec below failed validation. Fix it and reply with the complete corrected spec only, in a single \`\`\`javascript block. Keep the same imports and navigation.
+
+Problem:
+${problem}
+
+Spec:
+\`\`\`javascript
+${code}
+\`\`\`
+
+${SPEC_MARKER}`;
+}
+
+/**
+ * Pulls the code out of a reply: the largest fenced block, or the whole reply when unfenced.
+ */
+function extractCode(text) {
+  const blocks = [...String(text).matchAll(/```[a-zA-Z]*\n([\s\S]*?)```/g)].map(m => m[1]);
+  const code = blocks.length ? blocks.sort((a, b) => b.length - a.length)[0] : String(text);
+  return code.trim();
+}
+
+const isModuleSource = (code) => /^\s*(import|export)\s/m.test(code);
+
+// Resolves to null, or the syntax error reported by Node for the source.
+function checkSyntax(code) {
+  return new Promise((resolve) => {
+    const args = ['--check', `--input-type=${isModuleSource(code) ? 'module' : 'commonjs'}`];
+    const child = spawn(process.execPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), SYNTAX_CHECK_TIMEOUT_MS);
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('close', (status) => {
+      clearTimeout(timer);
+      if (status === 0) return resolve(null);
+      // Keep the source excerpt and the SyntaxError line, drop Node's internal stack.
+      resolve(stderr.split('\n').filter(l => !/^\s+at |^Node\.js v/.test(l)).join('\n').trim() || 'Syntax check failed.');
+    });
+    child.stdin.end(code);
+  });
+}
+
+// Returns the import problems: anything other than `modules`, built-ins included, and
+// require()/import() of a computed name, which could not be checked. The first entry of
+// `modules` must be imported (it provides test/expect).
+function checkImports(code, { modules = ['@playwright/test'] } = {}) {
+  const specifiers = [
+    ...code.matchAll(/\brequire\(\s*(['"])([^'"]+)\1\s*\)/g),
+    ...code.matchAll(/\bimport\s*(?:\(\s*|[\w*{}\s,$]+\sfrom\s*)?(['"])([^'"]+)\1/g),
+  ].map(m => m[2]);
+  const allowed = modules.map(m => `"${m}"`).join(', ');
+  const problems = specifiers
+    .filter(s => !modules.includes(s))
+    .map(s => `Unsupported import "${s}"; only ${allowed} ${modules.length === 1 ? 'is' : 'are'} available.`);
+  if (/\b(?:require|import)\s*\(\s*(?!['"][^'"]+['"]\s*\))/.test(code)) {
+    problems.push('require() and import() must name a module as a string literal.');
+  }
+  if (!specifiers.includes(modules[0])) problems.push(`The spec must import { test, expect } from "${modules[0]}".`);
+  if (!/\btest(\.only|\.describe)?\s*\(/.test(code)) problems.push('The spec defines no test() blocks.');
+  return problems;
+}
+
+/**
+ * Static checks plus, when `run` is given, an actual run. Resolves to one round of the report:
+ * { parsedOk, importsOk, ranOk, failingStep, error, run }.
+ */
+async function validateSpec(code, { run, modules } = {}) {
+  const syntaxError = code ? await checkSyntax(code) : 'The reply contained no code.';
+  if (syntaxError) return { parsedOk: false, importsOk: null, ranOk: null, failingStep: null, error: syntaxError };
+  const importProblems = checkImports(code, { modules });
+  if (importProblems.length) return { parsedOk: true, importsOk: false, ranOk: null, failingStep: null, error: importProblems.join('\n') };
+  if (!run) return { parsedOk: true, importsOk: true, ranOk: null, failingStep: null, error: null };
+
+  const result = await run(code);
+  return {
+    parsedOk: true,
+    importsOk: true,
+    ranOk: Boolean(result.ran && result.passed),
+    failingStep: result.failingStep || null,
+    error: result.passed ? null : result.error,
+    run: result,
+  };
+}
+
+const describeProblem = (round) => [
+  round.failingStep && `Failing step: ${round.failingStep}`,
+  round.run?.line && `Line: ${round.run.line}`,
+  round.error,
+].filter(Boolean).join('\n');
+
+/**
+ * Asks for code with `prompt`, then validates it with `validate(code)` (resolving to a
+ * validateSpec() round) and repairs it up to `maxRepairs` times. Resolves to
+ * { code, provider, model, attempts, repairs, validation: { ...last round, valid, rounds } }.
+ * The last attempt is returned even when it is still invalid; the report says so.
+ */
+async function generateCode({ prompt, validate, maxRepairs = DEFAULT_MAX_REPAIRS, ...options }) {
+  const limit = Math.min(Math.max(Math.floor(Number(maxRepairs)) || 0, 0), MAX_REPAIRS);
+  let result = await generateWithFallback({ ...options, prompt });
+  const attempts = [...result.attempts];
+  const rounds = [];
+
+  for (let repairs = 0; ; repairs++) {
+    const code = extractCode(result.text);
+    const round = await validate(code);
+    rounds.push({ round: repairs, ...round, run: undefined });
+    const valid = round.parsedOk && round.importsOk && round.ranOk !== false;
+    if (valid || repairs >= limit) {
+      const { run: lastRun, ...report } = round;
+      return {
+        code,
+        provider: result.provider,
+        model: result.model,
+        attempts,
+        repairs,
+        validation: { ...report, valid, durationMs: lastRun?.durationMs, rounds },
+      };
+    }
+    console.log(`Playwright code invalid (${result.provider}), repair round ${repairs + 1}...`);
+    result = await generateWithFallback({
+      ...options,
+      prompt: buildCodeRepairPrompt(code, describeProblem(round)),
+      provider: result.provider,
+      model: result.model,
+      fallback: [],
+    });
+    attempts.push(...result.attempts);
+  }
+}
+
+/**
+ * Generates a single spec for `scenario`. `prompt` is the rendered "playwright" template
+ * (default: the built-in one). `run(code)` (optional) executes it and resolves to the sandbox
+ * result; see generateCode() for the result shape.
+ */
+function generatePlaywrightSpec({ scenario, url, fixture, style, prompt, run, ...options }) {
+  return generateCode({
+    ...options,
+    prompt: prompt || renderTemplate(builtinTemplate('playwright').body, playwrightPromptVars({ scenario, url, fixture, style })),
+    validate: (code) => validateSpec(code, { run }),
+  });
+}
+
+module.exports = {
+  SPEC_MARKER,
+  playwrightPromptVars,
+  extractCode,
+  checkSyntax,
+  checkImports,
+  validateSpec,
+  generateCode,
+  generatePlaywrightSpec,
+};
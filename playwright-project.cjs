@@ -0,0 +1,367 @@
+/* =============================================
+   |     PLAYWRIGHT PROJECT FROM A TEST SUITE  |
+   ============================================= */
+// Turns structured test cases into a ready-to-run Playwright Test project (zip):
+//
+//   package.json, playwright.config.js, README.md, .gitignore
+//   pages/<page>.js              page-object classes shared by every spec
+//   fixtures/index.js            test/expect extended with one fixture per page object
+//   test-data/<feature>.json     the feature's test cases, for data-driven specs
+//   tests/<feature>.spec.js      one spec per feature
+//   generation-report.json       provider, model and validation result per spec
+//
+// The model plans the page objects as JSON (rendered to code here, then syntax-checked like
+// everything else in the zip) and writes each spec against them; specs are
+// syntax/import-checked and repaired like /ai-generate-playwright output.
+const JSZip = require('jszip');
+const { generateWithFallback } = require('./providers.cjs');
+const { extractJson } = require('./test-cases.cjs');
+const { groupByFeature, slugify } = require('./exporters.cjs');
+const { generateCode, validateSpec, checkSyntax } = require('./playwright-code.cjs');
+const { badRequest, httpError } = require('./errors.cjs');
+
+const PLAYWRIGHT_VERSION = require('playwright/package.json').version;
+const MAX_PAGES = 20;
+
+// Mock provider markers (see providers.cjs).
+const PAGES_MARKER = '[PLAYWRIGHT PAGES]';
+const PROJECT_SPEC_MARKER = '[PLAYWRIGHT PROJECT SPEC]';
+
+const LOCATOR_STRATEGIES = ['role', 'label', 'text', 'testId', 'placeholder', 'css'];
+const STEP_ACTIONS = ['click', 'fill', 'check', 'uncheck', 'selectOption', 'press', 'hover'];
+
+/* ---------------- Page-object plan ---------------- */
+function toIdentifier(value, { pascal = false } = {}) {
+  const words = String(value || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  if (!words.length) return '';
+  const joined = words
+    .map((w, i) => (i === 0 && !pascal ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase()))
+    .join('');
+  return /^[0-9]/.test(joined) ? `_${joined}` : joined;
+}
+
+const pageClassName = (name, used) => {
+  const base = toIdentifier(name, { pascal: true }) || 'App';
+  return uniqueName(base.endsWith('Page') ? base : `${base}Page`, used);
+};
+
+const uniqueName = (name, used) => {
+  let unique = name;
+  for (let n = 2; used.has(unique); n++) unique = `${name}${n}`;
+  used.add(unique);
+  return unique;
+};
+
+// Relative path for pages on the base URL's origin, the full URL otherwise.
+function pagePath(url, baseUrl) {
+  if (!url) return '/';
+  try {
+    const target = new URL(url, baseUrl || undefined);
+    if (baseUrl && target.origin === new URL(baseUrl).origin) return `${target.pathname}${target.search}` || '/';
+    return target.href;
+  } catch {
+    return String(url).startsWith('/') ? url : `/${url}`;
+  }
+}
+
+function buildPagesPrompt(testCases, pages, baseUrl) {
+  const pageLines = pages.length
+    ? pages.map(p => `- ${p.name || 'Page'}: ${p.url}`).join('\n')
+    : '(none given; infer the pages from the test cases)';
+  const cases = testCases.map(tc => `- [${tc.feature || 'General'}] ${tc.title}: ${tc.steps.join(' / ')}`).join('\n');
+  return `You design Playwright page objects. From the test cases below, list the pages the tests visit, the elements they use and the reusable actions.
+Reply with JSON only:
+{"pages":[{"name":"LoginPage","path":"/login","description":"...","locators":[{"name":"emailInput","by":"label","value":"Email"},{"name":"submitButton","by":"role","role":"button","value":"Sign in"}],"actions":[{"name":"login","params":["email","password"],"steps":[{"locator":"emailInput","do":"fill","param":"email"},{"locator":"submitButton","do":"click"}]}]}]}
+- "by" is one of ${LOCATOR_STRATEGIES.join(', ')}; prefer role, label and testId over css.
+- "do" is one of ${STEP_ACTIONS.join(', ')}; fill/selectOption/press take a "param" (method parameter) or a literal "value".
+- At most ${MAX_PAGES} pages. Paths are relative to ${baseUrl || 'the application root'}.
+
+Known pages:
+${pageLines}
+
+Test cases:
+${cases}
+
+${PAGES_MARKER}
+${pages.map(p => `- ${p.name || 'Page'}: ${p.url}`).join('\n')}`;
+}
+
+// Keeps only what can be rendered safely: valid identifiers, known strategies and actions.
+function normalizePagePlan(plan, pages, baseUrl) {
+  const usedClasses = new Set();
+  const normalized = (Array.isArray(plan?.pages) ? plan.pages : []).slice(0, MAX_PAGES).map(page => {
+    const className = pageClassName(page.name, usedClasses);
+    const members = new Set(['page', 'goto']);
+    const locators = (Array.isArray(page.locators) ? page.locators : [])
+      .filter(l => LOCATOR_STRATEGIES.includes(l?.by) && (l.value || l.by === 'role'))
+      .map(l => ({ ...l, name: uniqueName(toIdentifier(l.name) || 'element', members) }))
+      .filter(l => l.by !== 'role' || l.role);
+    const locatorNames = new Set(locators.map(l => l.name));
+    const actions = (Array.isArray(page.actions) ? page.actions : []).map(action => {
+      const params = (Array.isArray(action.params) ? action.params : []).map(p => toIdentifier(p)).filter(Boolean);
+      const steps = (Array.isArray(action.steps) ? action.steps : [])
+        .map(step => ({ ...step, locator: toIdentifier(step.locator) }))
+        .filter(step => locatorNames.has(step.locator) && STEP_ACTIONS.includes(step.do))
+        .map(step => ({ ...step, param: params.includes(toIdentifier(step.param)) ? toIdentifier(step.param) : undefined }));
+      return { name: toIdentifier(action.name), description: oneLine(action.description), params: [...new Set(params)], steps };
+    }).filter(a => {
+      if (!a.name || !a.steps.length || members.has(a.name)) return false;
+      members.add(a.name);
+      return true;
+    });
+    return {
+      className,
+      fixture: className[0].toLowerCase() + className.slice(1),
+      file: slugify(className.replace(/([a-z0-9])([A-Z])/g, '$1 $2')),
+      path: pagePath(page.path || page.url, baseUrl),
+      description: oneLine(page.description),
+      locators,
+      actions,
+    };
+  });
+  if (normalized.length) return normalized;
+  // Nothing usable: one page object per supplied URL, or a single app page.
+  const fallback = pages.length ? pages : [{ name: 'App', url: '/' }];
+  return fallback.map(p => {
+    const className = pageClassName(p.name, usedClasses);
+    return {
+      className,
+      fixture: className[0].toLowerCase() + className.slice(1),
+      file: slugify(className.replace(/([a-z0-9])([A-Z])/g, '$1 $2')),
+      path: pagePath(p.url, baseUrl),
+      description: '',
+      locators: [],
+      actions: [],
+    };
+  });
+}
+
+// Descriptions end up in `//` comments, so they must not contain line breaks.
+const oneLine = (text) => (text ? String(text).replace(/\s+/g, ' ').trim() : '');
+
+async function planPages({ testCases, pages, baseUrl, options }) {
+  try {
+    const result = await generateWithFallback({ ...options, prompt: buildPagesPrompt(testCases, pages, baseUrl), json: true });
+    return { pages: normalizePagePlan(extractJson(result.text), pages, baseUrl), result };
+  } catch (error) {
+    if (error.expose) throw error;
+    // The plan is a convenience; without it the specs still get one page object per URL.
+    console.error('Page-object planning failed:', error.message);
+    return { pages: normalizePagePlan(null, pages, baseUrl), result: { attempts: error.attempts, error: error.message } };
+  }
+}
+
+/* ---------------- Rendering ---------------- */
+const literal = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+
+function renderLocator(l) {
+  switch (l.by) {
+    case 'role': return l.value ? `page.getByRole(${literal(l.role)}, { name: ${literal(l.value)} })` : `page.getByRole(${literal(l.role)})`;
+    case 'label': return `page.getByLabel(${literal(l.value)})`;
+    case 'text': return `page.getByText(${literal(l.value)})`;
+    case 'testId': return `page.getByTestId(${literal(l.value)})`;
+    case 'placeholder': return `page.getByPlaceholder(${literal(l.value)})`;
+    default: return `page.locator(${literal(l.value)})`;
+  }
+}
+
+function renderStep(step) {
+  const arg = step.param || (step.value !== undefined ? literal(step.value) : null);
+  const needsArg = ['fill', 'selectOption', 'press'].includes(step.do);
+  return `    await this.${step.locator}.${step.do}(${needsArg ? arg ?? "''" : ''});`;
+}
+
+function renderPageObject(page) {
+  const lines = [
+    `// ${page.className}${page.description ? `: ${page.description}` : ''}`,
+    `class ${page.className} {`,
+    "  /** @param {import('@playwright/test').Page} page */",
+    '  constructor(page) {',
+    '    this.page = page;',
+    ...page.locators.map(l => `    this.${l.name} = ${renderLocator(l)};`),
+    '  }',
+    '',
+    '  async goto() {',
+    `    await this.page.goto(${literal(page.path)});`,
+    '  }',
+  ];
+  page.actions.forEach(action => {
+    lines.push('');
+    if (action.description) lines.push(`  // ${action.description}`);
+    lines.push(`  async ${action.name}(${action.params.join(', ')}) {`, ...action.steps.map(renderStep), '  }');
+  });
+  lines.push('}', '', `module.exports = { ${page.className} };`, '');
+  return lines.join('\n');
+}
+
+function renderFixtures(pages) {
+  return [
+    "const base = require('@playwright/test');",
+    ...pages.map(p => `const { ${p.className} } = require('../pages/${p.file}');`),
+    '',
+    '// Every page object is available as a fixture, e.g. test(\'...\', async ({ loginPage }) => ...).',
+    'const test = base.test.extend({',
+    ...pages.map(p => `  ${p.fixture}: async ({ page }, use) => {\n    await use(new ${p.className}(page));\n  },`),
+    '});',
+    '',
+    'module.exports = { test, expect: base.expect };',
+    '',
+  ].join('\n');
+}
+
+const renderConfig = (baseUrl) => `// @ts-check
+const { defineConfig, devices } = require('@playwright/test');
+
+module.exports = defineConfig({
+  testDir: './tests',
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  retries: process.env.CI ? 2 : 0,
+  reporter: [['list'], ['html', { open: 'never' }]],
+  use: {
+    baseURL: process.env.BASE_URL || ${literal(baseUrl || 'http://localhost:3000')},
+    trace: 'on-first-retry',
+    screenshot: 'only-on-failure',
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+  ],
+});
+`;
+
+const renderPackageJson = (name) => `${JSON.stringify({
+  name: slugify(name),
+  version: '1.0.0',
+  private: true,
+  scripts: { test: 'playwright test', 'test:headed': 'playwright test --headed', report: 'playwright show-report' },
+  devDependencies: { '@playwright/test': `^${PLAYWRIGHT_VERSION}` },
+}, null, 2)}\n`;
+
+const renderReadme = (name, baseUrl, features) => `# ${name}
+
+Playwright Test project generated from a test suite.
+
+\`\`\`bash
+npm install
+npx playwright install --with-deps chromium
+BASE_URL=${baseUrl || 'http://localhost:3000'} npm test
+\`\`\`
+
+- \`pages/\` page objects, exposed as fixtures by \`fixtures/index.js\`
+- \`tests/\` one spec per feature: ${features.map(f => `\`${f.file}\``).join(', ')}
+- \`test-data/\` the source test cases for each feature
+- \`generation-report.json\` which specs passed validation; review any marked invalid before use
+`;
+
+/* ---------------- Specs ---------------- */
+const describePageApi = (pages) => pages.map(p => [
+  `- fixture "${p.fixture}" (${p.className}, path ${p.path}): goto()`,
+  ...p.locators.map(l => `    locator ${p.fixture}.${l.name}`),
+  ...p.actions.map(a => `    method ${p.fixture}.${a.name}(${a.params.join(', ')})`),
+].join('\n')).join('\n');
+
+function buildFeatureSpecPrompt(feature, cases, pages, dataFile) {
+  const caseLines = cases.map(tc => [
+    `- ${tc.id}: ${tc.title}`,
+    tc.preconditions?.length ? `    Preconditions: ${tc.preconditions.join('; ')}` : null,
+    `    Steps: ${tc.steps.map((s, i) => `${i + 1}. ${s}`).join(' ')}`,
+    `    Expected: ${tc.expectedResults.join('; ')}`,
+  ].filter(Boolean).join('\n')).join('\n');
+  return `You are a senior Playwright automation engineer. Write the spec file for the feature "${feature}" in JavaScript (CommonJS).
+Rules:
+- Import with: const { test, expect } = require('../fixtures'); (it extends @playwright/test with the page-object fixtures below). No other imports except require('../test-data/${dataFile}') if you need the case data.
+- Wrap the tests in test.describe(${literal(feature)}, ...). One test per case; the test title starts with the case id.
+- Use the page-object fixtures, locators and methods listed below; use page.getByRole/getByLabel/getByText only for elements they do not cover.
+- Navigate with the page objects' goto() (baseURL comes from the config). Use web-first assertions (await expect(...)).
+- Wrap each case step in await test.step('<step>', async () => { ... }).
+- No page.waitForTimeout and no credentials; read secrets from process.env.
+- Reply with the code only, in a single \`\`\`javascript block.
+
+Page objects:
+${describePageApi(pages)}
+
+${PROJECT_SPEC_MARKER}
+${caseLines}`;
+}
+
+/**
+ * Resolves to { buffer, filename, contentType, report } for a zip holding the project.
+ * `pages` is an optional list of { name, url }; `baseUrl` defaults to the first page's origin.
+ * Model options (provider, model, temperature, maxTokens, fallback) apply to every call.
+ */
+async function buildPlaywrightProject({ testCases, pages = [], baseUrl, name = 'playwright-tests', maxRepairs, ...options }) {
+  if (!Array.isArray(pages)) throw badRequest('"pages" must be an array of { name, url }.');
+  const pageList = pages.filter(p => p && p.url).map(p => ({ name: p.name ? String(p.name) : '', url: String(p.url) }));
+  let base = baseUrl;
+  if (!base) {
+    const absolute = pageList.find(p => /^https?:\/\//i.test(p.url));
+    base = absolute ? new URL(absolute.url).origin : undefined;
+  }
+  if (base && !/^https?:\/\//i.test(base)) throw badRequest('"baseUrl" must be an http(s) URL.');
+
+  const plan = await planPages({ testCases, pages: pageList, baseUrl: base, options });
+  const zip = new JSZip();
+  const features = [];
+  const usedFiles = new Set();
+
+  for (const [feature, cases] of groupByFeature(testCases)) {
+    const slug = uniqueName(slugify(feature), usedFiles);
+    const dataFile = `${slug}.json`;
+    zip.file(`test-data/${dataFile}`, `${JSON.stringify({ feature, cases }, null, 2)}\n`);
+    const spec = await generateCode({
+      ...options,
+      maxRepairs,
+      prompt: buildFeatureSpecPrompt(feature, cases, plan.pages, dataFile),
+      validate: (code) => validateSpec(code, { modules: ['../fixtures', `../test-data/${dataFile}`, '@playwright/test'] }),
+    });
+    const file = `tests/${slug}.spec.js`;
+    zip.file(file, `${spec.code}\n`);
+    features.push({
+      feature,
+      file,
+      cases: cases.map(tc => tc.id),
+      provider: spec.provider,
+      model: spec.model,
+      repairs: spec.repairs,
+      valid: spec.validation.valid,
+      error: spec.validation.error || undefined,
+    });
+  }
+
+  // Rendered from model-supplied names and values, so checked before they ship.
+  const rendered = [
+    ...plan.pages.map(p => [`pages/${p.file}.js`, renderPageObject(p)]),
+    ['fixtures/index.js', renderFixtures(plan.pages)],
+  ];
+  for (const [file, code] of rendered) {
+    const syntaxError = await checkSyntax(code);
+    if (syntaxError) throw httpError(500, `The generated ${file} does not parse.`, { details: syntaxError });
+    zip.file(file, code);
+  }
+  zip.file('playwright.config.js', renderConfig(base));
+  zip.file('package.json', renderPackageJson(name));
+  zip.file('.gitignore', 'node_modules/\ntest-results/\nplaywright-report/\nblob-report/\n');
+  zip.file('README.md', renderReadme(name, base, features));
+
+  const report = {
+    name,
+    baseUrl: base || null,
+    pages: plan.pages.map(p => ({ className: p.className, fixture: p.fixture, path: p.path, locators: p.locators.length, actions: p.actions.length })),
+    pagePlan: { provider: plan.result.provider, model: plan.result.model, attempts: plan.result.attempts, error: plan.result.error },
+    features,
+    valid: features.every(f => f.valid),
+    generatedAt: new Date().toISOString(),
+  };
+  zip.file('generation-report.json', `${JSON.stringify(report, null, 2)}\n`);
+
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    filename: `${slugify(name)}-playwright.zip`,
+    contentType: 'application/zip',
+    report,
+  };
+}
+
+module.exports = {
+  buildPlaywrightProject,
+};
@@ -0,0 +1,201 @@
+/* =============================================
+   |      PLAYWRIGHT SPEC SANDBOX RUNNER       |
+   ============================================= */
+// Runs one generated @playwright/test spec in a throw-away directory with the Playwright
+// test runner and reports whether it passed and where it failed. Runs happen in worker.cjs
+// (the process that has the browsers), fed by the "playwright-validation" queue.
+//
+// The spec reaches the page under test through process.env.TARGET_URL: either the URL the
+// caller supplied, or a local HTML fixture served from 127.0.0.1 for the run.
+//
+// This is not an isolation boundary: the spec runs as the worker's user, with its files and
+// network. The import check (playwright-code.cjs) and the trimmed environment below only keep
+// honest specs tidy, so runs are restricted to admins (server.cjs).
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Queue, QueueEvents } = require('bullmq');
+const { createRedisConnection } = require('./redis.cjs');
+
+const PLAYWRIGHT_VALIDATION_QUEUE = 'playwright-validation';
+const DEFAULT_RUN_TIMEOUT_MS = Number(process.env.PLAYWRIGHT_RUN_TIMEOUT_MS) || 60000;
+// How long the API waits for a worker to pick up a run before giving up on it.
+const QUEUE_WAIT_MS = 30000;
+const MAX_OUTPUT = 4000;
+
+const stripAnsi = (text) => String(text).replace(/\u001b\[[0-9;]*m/g, '');
+
+// Serves `html` for every path until closed; resolves to { url, close }.
+function serveFixture(html) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      close: () => new Promise(done => server.close(done)),
+    }));
+  });
+}
+
+function runProcess(command, args, { cwd, env, timeoutMs }) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { cwd, env });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+    child.stdout.on('data', d => { stdout += d; });
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, timedOut });
+    });
+  });
+}
+
+// Deepest failing test.step() title, if the spec used steps.
+function failingStepTitle(steps = []) {
+  for (const step of steps) {
+    if (!step.error) continue;
+    return failingStepTitle(step.steps) || step.title;
+  }
+  return null;
+}
+
+function collectResults(suites = [], out = []) {
+  suites.forEach(suite => {
+    suite.specs.forEach(spec => spec.tests.forEach(test => test.results.forEach(result => out.push({ spec, result }))));
+    collectResults(suite.suites, out);
+  });
+  return out;
+}
+
+// Turns the JSON reporter output into { passed, failingStep, error, line }.
+function summarizeReport(report, code) {
+  const lines = code.split('\n');
+  const loadError = (report.errors || [])[0];
+  if (loadError) {
+    return { passed: false, failingStep: 'load spec', error: loadError.message, line: loadError.location?.line };
+  }
+  const results = collectResults(report.suites);
+  if (!results.length) return { passed: false, failingStep: null, error: 'The spec defines no tests.' };
+  const failed = results.find(({ result }) => !['passed', 'skipped'].includes(result.status));
+  if (!failed) return { passed: true, failingStep: null, error: null, tests: results.length };
+
+  const { spec, result } = failed;
+  const error = result.errors?.[0] || result.error || {};
+  const line = error.location?.line;
+  const step = failingStepTitle(result.steps) || (line && lines[line - 1] ? lines[line - 1].trim() : null);
+  return {
+    passed: false,
+    test: spec.title,
+    failingStep: step,
+    error: String(error.message || `Test ${result.status}`).slice(0, MAX_OUTPUT),
+    line,
+    tests: results.length,
+  };
+}
+
+// The runner only needs these; there is no reason to hand it the worker's API keys, database
+// URIs or target secrets (though the spec could still read them, see above).
+const SPEC_ENV = ['PATH', 'HOME', 'PLAYWRIGHT_BROWSERS_PATH'];
+
+function specEnv(targetUrl) {
+  const env = {};
+  SPEC_ENV.forEach(name => {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  });
+  return { ...env, TARGET_URL: targetUrl || '', CI: '1', FORCE_COLOR: '0' };
+}
+
+/**
+ * Runs a spec against `url` or an HTML `fixture`. Resolves to
+ * { ran, passed, test, failingStep, error, line, durationMs }; never rejects for spec failures.
+ */
+async function runPlaywrightSpec({ code, url, fixture, timeoutMs = DEFAULT_RUN_TIMEOUT_MS }) {
+  const started = Date.now();
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pw-validate-'));
+  let server;
+  try {
+    if (fixture) server = await serveFixture(fixture);
+    const targetUrl = server ? server.url : url;
+
+    // The runner must load the same playwright/test module it belongs to.
+    const testModule = require.resolve('playwright/test');
+    const spec = code.replace(/(['"])@playwright\/test\1/g, JSON.stringify(testModule));
+    const isModule = /^\s*import\s/m.test(spec);
+    const specFile = path.join(dir, `generated.spec.${isModule ? 'mjs' : 'cjs'}`);
+    await fs.promises.writeFile(specFile, spec);
+    await fs.promises.writeFile(path.join(dir, 'playwright.config.cjs'), `module.exports = ${JSON.stringify({
+      testDir: dir,
+      timeout: Math.min(timeoutMs, 30000),
+      retries: 0,
+      workers: 1,
+      use: { headless: true },
+    })};\n`);
+
+    const cli = path.join(path.dirname(require.resolve('playwright/package.json')), 'cli.js');
+    const { stdout, stderr, timedOut } = await runProcess(
+      process.execPath,
+      [cli, 'test', '--config', 'playwright.config.cjs', '--reporter', 'json'],
+      { cwd: dir, env: specEnv(targetUrl), timeoutMs }
+    );
+    if (timedOut) return { ran: false, passed: false, failingStep: null, error: `Run timed out after ${timeoutMs} ms.`, durationMs: Date.now() - started };
+
+    let report;
+    try {
+      report = JSON.parse(stdout.slice(stdout.indexOf('{')));
+    } catch {
+      return { ran: false, passed: false, failingStep: null, error: (stderr || stdout).slice(0, MAX_OUTPUT), durationMs: Date.now() - started };
+    }
+    const summary = summarizeReport(report, spec);
+    // Show errors in terms of the code the model wrote, not the rewritten import.
+    if (summary.error) {
+      summary.error = stripAnsi(summary.error).split(JSON.stringify(testModule)).join("'@playwright/test'").split(dir).join('.');
+    }
+    return { ran: true, ...summary, durationMs: Date.now() - started };
+  } finally {
+    if (server) await server.close();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/* ---------------- API side ---------------- */
+/**
+ * Returns run(code, { url, fixture }) which queues a run for worker.cjs and resolves to
+ * its result. QueueEvents needs its own blocking connection, so it is opened on first use.
+ */
+function createSandboxClient(connection) {
+  const queue = new Queue(PLAYWRIGHT_VALIDATION_QUEUE, { connection });
+  let events;
+
+  return async function run(code, { url, fixture } = {}) {
+    if (!events) events = new QueueEvents(PLAYWRIGHT_VALIDATION_QUEUE, { connection: createRedisConnection() });
+    const job = await queue.add('run-spec', { code, url, fixture, timeoutMs: DEFAULT_RUN_TIMEOUT_MS }, {
+      attempts: 1,
+      removeOnComplete: { age: 3600 },
+      removeOnFail: { age: 3600 },
+    });
+    try {
+      return await job.waitUntilFinished(events, DEFAULT_RUN_TIMEOUT_MS + QUEUE_WAIT_MS);
+    } catch (error) {
+      if (await job.isActive().catch(() => false)) return { ran: false, passed: false, failingStep: null, error: error.message };
+      await job.remove().catch(() => {});
+      return { ran: false, passed: false, failingStep: null, error: 'No Playwright worker picked up the run (is worker.cjs running?).' };
+    }
+  };
+}
+
+module.exports = {
+  PLAYWRIGHT_VALIDATION_QUEUE,
+  runPlaywrightSpec,
+  createSandboxClient,
+};
@@ -0,0 +1,272 @@
+/* =============================================
+   |      PROMPT TEMPLATES (VERSIONED)         |
+   ============================================= */
+// Every generation mode builds its prompt from a template:
+//   functional   test cases for the request (the default for /api/generate)
+//   negative     negative and boundary cases
+//   gherkin      a Gherkin feature file (text format only)
+//   playwright   one Playwright spec (/ai-generate-playwright)
+//
+// Built-in templates ship in prompts/<mode>.txt. Workspaces can add their own:
+//   prompt_templates          { _id, workspaceId, mode, name, description, body, version,
+//                               isDefault, createdAt, updatedAt }
+//   prompt_template_versions  { templateId, version, body, note, createdBy, createdAt }
+// A workspace's default template for a mode replaces the built-in; a request can also name a
+// template (and pin a version). Every save is a new version, so generations stay traceable.
+//
+// Templates use {{variable}}, {{#variable}}...{{/variable}} (only when the variable is
+// non-empty) and {{^variable}}...{{/variable}} (only when it is empty).
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, registerIndexes, isDbConfigured } = require('./db.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+const { DEFAULT_WORKSPACE, workspaceFilter, inWorkspace } = require('./workspaces.cjs');
+
+registerIndexes('prompt_templates', [
+  { key: { workspaceId: 1, mode: 1, updatedAt: -1 } },
+  { key: { workspaceId: 1, mode: 1 }, unique: true, partialFilterExpression: { isDefault: true }, name: 'one_default_per_mode' },
+]);
+registerIndexes('prompt_template_versions', [{ key: { templateId: 1, version: -1 }, unique: true }]);
+
+const BUILTIN_DIR = path.join(__dirname, 'prompts');
+const MAX_TEMPLATE_LENGTH = 20000;
+
+// The variables each mode's templates may use.
+const MODES = {
+  functional: ['request', 'context', 'count', 'testTypes', 'style'],
+  negative: ['request', 'context', 'count', 'testTypes', 'style'],
+  gherkin: ['request', 'context', 'count', 'testTypes', 'style'],
+  playwright: ['scenario', 'target', 'navigation', 'url', 'style'],
+};
+
+const checkMode = (mode) => {
+  if (!MODES[mode]) throw badRequest(`"mode" must be one of: ${Object.keys(MODES).join(', ')}.`);
+  return mode;
+};
+
+/* ---------------- Rendering ---------------- */
+const TAG = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Checks that every tag names a variable of `mode` and that sections are balanced.
+ * Throws a 400 describing the first problem.
+ */
+function validateTemplate(mode, body) {
+  if (typeof body !== 'string' || !body.trim()) throw badRequest('The template "body" must be a non-empty string.');
+  if (body.length > MAX_TEMPLATE_LENGTH) throw badRequest(`A template may be at most ${MAX_TEMPLATE_LENGTH} characters.`);
+  const allowed = MODES[checkMode(mode)];
+  const open = [];
+  for (const [, kind, name] of body.matchAll(TAG)) {
+    if (!allowed.includes(name)) throw badRequest(`Unknown variable "${name}" for mode "${mode}" (available: ${allowed.join(', ')}).`);
+    if (kind === '#' || kind === '^') open.push(name);
+    else if (kind === '/' && open.pop() !== name) throw badRequest(`Unbalanced section "{{/${name}}}".`);
+  }
+  if (open.length) throw badRequest(`Section "{{#${open.pop()}}}" is not closed.`);
+  return body;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+const display = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// Renders sections innermost first, then plain variables. Empty variables render as "".
+function renderTemplate(body, vars = {}) {
+  let text = body;
+  const section = /\{\{\s*([#^])\s*([\w.]+)\s*\}\}((?:(?!\{\{\s*[#^]\s*\2\s*\}\})[\s\S])*?)\{\{\s*\/\s*\2\s*\}\}/;
+  for (let match = section.exec(text); match; match = section.exec(text)) {
+    const [whole, kind, name, inner] = match;
+    const show = kind === '#' ? !isEmpty(vars[name]) : isEmpty(vars[name]);
+    text = text.slice(0, match.index) + (show ? inner : '') + text.slice(match.index + whole.length);
+  }
+  return text.replace(TAG, (_, kind, name) => (kind || isEmpty(vars[name]) ? '' : display(vars[name])));
+}
+
+/* ---------------- Built-in templates ---------------- */
+let builtins;
+
+function builtinTemplate(mode) {
+  if (!builtins) {
+    builtins = new Map(Object.keys(MODES).map(m => {
+      const body = fs.readFileSync(path.join(BUILTIN_DIR, `${m}.txt`), 'utf-8').replace(/\r?\n$/, '');
+      return [m, { id: `builtin:${m}`, name: `Built-in ${m}`, mode: m, version: 1, source: 'builtin', body: validateTemplate(m, body) }];
+    }));
+  }
+  return builtins.get(checkMode(mode));
+}
+
+/* ---------------- Stored templates ---------------- */
+const templates = async () => (await getDb()).collection('prompt_templates');
+const toApi = ({ _id, ...doc }) => ({ id: _id, source: 'workspace', ...doc });
+const BUILTIN_PREFIX = 'builtin:';
+const isBuiltinId = (templateId) => String(templateId).startsWith(BUILTIN_PREFIX);
+
+function getBuiltin(templateId) {
+  const mode = String(templateId).slice(BUILTIN_PREFIX.length);
+  if (!MODES[mode]) throw notFound('Prompt template not found.');
+  return builtinTemplate(mode);
+}
+
+async function storedTemplate(templateId, { workspaceId } = {}) {
+  if (isBuiltinId(templateId)) throw badRequest('Built-in templates cannot be changed; create a workspace template instead.');
+  const doc = await (await templates()).findOne({ _id: String(templateId) });
+  if (!doc || (workspaceId && !inWorkspace(doc, workspaceId))) throw notFound('Prompt template not found.');
+  return toApi(doc);
+}
+
+// A workspace template, or a built-in one by its "builtin:<mode>" id.
+async function getTemplate(templateId, scope = {}) {
+  return isBuiltinId(templateId) ? getBuiltin(templateId) : storedTemplate(templateId, scope);
+}
+
+/**
+ * The workspace's templates plus the built-ins, each flagged with whether it is the one a
+ * generation of its mode uses by default. `mode` narrows the list.
+ */
+async function listTemplates({ workspaceId = DEFAULT_WORKSPACE, mode } = {}) {
+  const modes = mode ? [checkMode(mode)] : Object.keys(MODES);
+  const stored = isDbConfigured()
+    ? (await (await templates()).find({ ...workspaceFilter(workspaceId), mode: { $in: modes } }).sort({ mode: 1, updatedAt: -1 }).toArray()).map(toApi)
+    : [];
+  const overridden = new Set(stored.filter(t => t.isDefault).map(t => t.mode));
+  const builtinList = modes.map(m => ({ ...builtinTemplate(m), isDefault: !overridden.has(m) }));
+  return [...stored, ...builtinList];
+}
+
+async function createTemplate({ mode, name, description = '', body, makeDefault = false }, { workspaceId = DEFAULT_WORKSPACE, createdBy = null } = {}) {
+  validateTemplate(mode, body);
+  if (!String(name || '').trim()) throw badRequest('A template "name" is required.');
+  const db = await getDb();
+  const now = new Date();
+  const doc = {
+    _id: uuidv4(),
+    workspaceId,
+    mode,
+    name: String(name).trim(),
+    description: String(description),
+    body,
+    version: 1,
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await db.collection('prompt_templates').insertOne(doc);
+  await db.collection('prompt_template_versions').insertOne({ templateId: doc._id, version: 1, body, note: 'Created', createdBy, createdAt: now });
+  return makeDefault ? setDefaultTemplate(doc._id, { workspaceId }) : toApi(doc);
+}
+
+/**
+ * Stores `body` as the next version. Conditional on the version read, like suite edits:
+ * a concurrent save gets a 409.
+ */
+async function updateTemplate(templateId, { body, name, description, note }, { workspaceId, createdBy = null } = {}) {
+  const current = await storedTemplate(templateId, { workspaceId });
+  const set = { updatedAt: new Date() };
+  if (name !== undefined) {
+    if (!String(name).trim()) throw badRequest('A template "name" cannot be empty.');
+    set.name = String(name).trim();
+  }
+  if (description !== undefined) set.description = String(description);
+  const db = await getDb();
+  if (body !== undefined && body !== current.body) {
+    validateTemplate(current.mode, body);
+    Object.assign(set, { body, version: current.version + 1 });
+  }
+  const { matchedCount } = await db.collection('prompt_templates').updateOne({ _id: templateId, version: current.version }, { $set: set });
+  if (!matchedCount) throw httpError(409, 'The template was changed by someone else; reload and try again.');
+  if (set.version) {
+    await db.collection('prompt_template_versions').insertOne({
+      templateId, version: set.version, body, note: note ? String(note) : null, createdBy, createdAt: set.updatedAt,
+    });
+  }
+  return { ...current, ...set };
+}
+
+async function listTemplateVersions(templateId, scope = {}) {
+  if (isBuiltinId(templateId)) {
+    const { body, version } = getBuiltin(templateId);
+    return [{ templateId, version, body, note: 'Built-in', createdBy: null, createdAt: null }];
+  }
+  await storedTemplate(templateId, scope);
+  return (await getDb()).collection('prompt_template_versions')
+    .find({ templateId }, { projection: { _id: 0 } })
+    .sort({ version: -1 })
+    .toArray();
+}
+
+/**
+ * Makes the template the default for its mode in the workspace (replacing any other).
+ * A "builtin:<mode>" id clears the workspace default, so the built-in is used again.
+ */
+async function setDefaultTemplate(templateId, { workspaceId = DEFAULT_WORKSPACE } = {}) {
+  const template = isBuiltinId(templateId) ? getBuiltin(templateId) : await storedTemplate(templateId, { workspaceId });
+  const collection = await templates();
+  await collection.updateMany(
+    { ...workspaceFilter(workspaceId), mode: template.mode, isDefault: true, _id: { $ne: template.id } },
+    { $set: { isDefault: false } }
+  );
+  if (template.source !== 'builtin') await collection.updateOne({ _id: template.id }, { $set: { isDefault: true } });
+  return { ...template, isDefault: true };
+}
+
+// Deleting the default template puts the built-in back in use.
+async function deleteTemplate(templateId, scope = {}) {
+  const template = await storedTemplate(templateId, scope);
+  const db = await getDb();
+  await db.collection('prompt_templates').deleteOne({ _id: templateId });
+  await db.collection('prompt_template_versions').deleteMany({ templateId });
+  return template;
+}
+
+/* ---------------- Resolution ---------------- */
+/**
+ * The template a generation uses: `templateId` (at `templateVersion`, default latest), else
+ * the workspace's default for `mode`, else the built-in. Resolves to
+ * { id, name, mode, version, source, body }.
+ */
+async function resolveTemplate({ mode = 'functional', templateId, templateVersion, workspaceId = DEFAULT_WORKSPACE } = {}) {
+  checkMode(mode);
+  let template;
+  if (templateId) {
+    template = await getTemplate(String(templateId), { workspaceId });
+    if (template.mode !== mode) throw badRequest(`Template "${template.name}" is for mode "${template.mode}", not "${mode}".`);
+    if (template.source === 'builtin') return template;
+  } else if (isDbConfigured()) {
+    const doc = await (await templates()).findOne({ ...workspaceFilter(workspaceId), mode, isDefault: true });
+    template = doc && toApi(doc);
+  }
+  if (!template) return builtinTemplate(mode);
+  const pick = ({ id, name, version, source, body }) => ({ id, name, mode, version, source, body });
+  if (templateVersion === undefined || templateVersion === null || Number(templateVersion) === template.version) return pick(template);
+  const old = await (await getDb()).collection('prompt_template_versions').findOne({ templateId: template.id, version: Number(templateVersion) });
+  if (!old) throw notFound(`Version ${templateVersion} of template "${template.name}" not found.`);
+  return pick({ ...template, version: old.version, body: old.body });
+}
+
+/**
+ * Renders the prompt for `mode`. `draft` (an unsaved template body being previewed) takes
+ * precedence over resolving one. Resolves to { prompt, template } where
+ * template is { id, name, mode, version, source } for the generation record.
+ */
+async function renderPrompt(mode, vars, { draft, ...options } = {}) {
+  const template = draft !== undefined
+    ? { id: null, name: 'Draft', mode, version: null, source: 'draft', body: validateTemplate(mode, draft) }
+    : await resolveTemplate({ ...options, mode });
+  const { body, ...used } = template;
+  return { prompt: renderTemplate(body, vars), template: used };
+}
+
+module.exports = {
+  MODES,
+  validateTemplate,
+  renderTemplate,
+  builtinTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  listTemplateVersions,
+  setDefaultTemplate,
+  deleteTemplate,
+  resolveTemplate,
+  renderPrompt,
+};
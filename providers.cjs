@@ -0,0 +1,473 @@
+/* =============================================
+   |        AI PROVIDER REGISTRY               |
+   ============================================= */
+// Every model vendor sits behind the same small interface:
+//   { defaultModel, isConfigured(), generate(request), stream(request) }
+// where request is { prompt, model, temperature, maxTokens, json, signal, onUsage }. generate()
+// resolves to { text, model, usage }; stream() is an async generator of text deltas that
+// reports the token counts through onUsage(usage) once the vendor sends them. usage is
+// { inputTokens, outputTokens }, left out when the vendor reports none. `json` asks the
+// vendor for a JSON object reply where it supports one. Routes never talk to an SDK
+// directly, they call generateWithFallback() / streamWithFallback(), which walk an
+// ordered chain of providers, meter every call and apply the caller's budget (usage.cjs).
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { badRequest } = require('./errors.cjs');
+const { recordUsage, estimateTokens, budgetDecision, budgetError } = require('./usage.cjs');
+
+const DEFAULT_MAX_TOKENS = 4096;
+const MAX_TOKENS_LIMIT = 8192;
+
+// Clients are created lazily so the server can boot without every vendor key.
+let openaiClient;
+let geminiClient;
+let anthropicClient;
+const getOpenAI = () => (openaiClient ??= new OpenAI({ apiKey: process.env.OPENAI_API_KEY }));
+const getGemini = () => (geminiClient ??= new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
+const getAnthropic = () => (anthropicClient ??= new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY }));
+
+const openaiUsage = (usage) => usage && { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+const geminiUsage = (meta) => meta && { inputTokens: meta.promptTokenCount || 0, outputTokens: meta.candidatesTokenCount || 0 };
+
+const providers = new Map();
+const aliases = { claude: 'anthropic', gpt: 'openai', google: 'gemini' };
+
+function registerProvider(name, provider) {
+  providers.set(name, { name, ...provider });
+}
+
+function getProvider(name) {
+  const key = String(name || '').toLowerCase();
+  return providers.get(aliases[key] || key);
+}
+
+function listProviders() {
+  return Array.from(providers.values()).map(p => ({
+    name: p.name,
+    defaultModel: p.defaultModel,
+    configured: p.isConfigured(),
+  }));
+}
+
+/* ---------------- Built-in providers ---------------- */
+registerProvider('openai', {
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  async generate({ prompt, model, temperature, maxTokens, json }) {
+    const completion = await getOpenAI().chat.completions.create({
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: json ? { type: 'json_object' } : undefined,
+      messages: [{ role: 'user', content: prompt }],
+    });
+    return {
+      text: completion.choices[0]?.message?.content || '',
+      model: completion.model || model,
+      usage: openaiUsage(completion.usage),
+    };
+  },
+  async *stream({ prompt, model, temperature, maxTokens, json, signal, onUsage }) {
+    const stream = await getOpenAI().chat.completions.create({
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: json ? { type: 'json_object' } : undefined,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
+    for await (const chunk of stream) {
+      // The usage chunk comes last and has no choices.
+      if (chunk.usage) onUsage?.(openaiUsage(chunk.usage));
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  },
+});
+
+const geminiModel = ({ model, temperature, maxTokens, json }) => getGemini().getGenerativeModel({
+  model,
+  generationConfig: {
+    temperature,
+    maxOutputTokens: maxTokens,
+    responseMimeType: json ? 'application/json' : undefined,
+  },
+});
+
+registerProvider('gemini', {
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  async generate(request) {
+    const result = await geminiModel(request).generateContent(request.prompt);
+    return { text: result.response.text(), model: request.model, usage: geminiUsage(result.response.usageMetadata) };
+  },
+  // This SDK version takes no AbortSignal; on cancel we stop reading, drop the stream and
+  // throw the AbortError the other SDKs throw.
+  async *stream(request) {
+    const result = await geminiModel(request).generateContentStream(request.prompt);
+    for await (const chunk of result.stream) {
+      request.signal?.throwIfAborted();
+      if (chunk.usageMetadata) request.onUsage?.(geminiUsage(chunk.usageMetadata));
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  },
+});
+
+registerProvider('anthropic', {
+  defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
+  isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+  async generate({ prompt, model, temperature, maxTokens }) {
+    const msg = await getAnthropic().messages.create({
+      model,
+      temperature,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      messages: [{ role: 'user', content: prompt }],
+    });
+    return {
+      text: msg.content[0]?.text || '',
+      model: msg.model || model,
+      usage: msg.usage && { inputTokens: msg.usage.input_tokens, outputTokens: msg.usage.output_tokens },
+    };
+  },
+  async *stream({ prompt, model, temperature, maxTokens, signal, onUsage }) {
+    const stream = await getAnthropic().messages.create({
+      model,
+      temperature,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true,
+    }, { signal });
+    // Input tokens arrive with message_start, the output total with message_delta.
+    let inputTokens = 0;
+    for await (const event of stream) {
+      if (event.type === 'message_start') inputTokens = event.message?.usage?.input_tokens || 0;
+      if (event.type === 'message_delta' && event.usage) onUsage?.({ inputTokens, outputTokens: event.usage.output_tokens || 0 });
+      if (event.type === 'content_block_delta' && event.delta?.text) yield event.delta.text;
+    }
+  },
+});
+
+// Deterministic offline provider for CI: the same prompt always yields the same output.
+registerProvider('mock', {
+  defaultModel: 'mock-1',
+  isConfigured: () => true,
+  async generate({ prompt, model, json }) {
+    return { text: mockReply(prompt, json), model };
+  },
+  async *stream({ prompt, json, signal }) {
+    const text = mockReply(prompt, json);
+    for (let i = 0; i < text.length; i += 24) {
+      signal?.throwIfAborted();
+      yield text.slice(i, i + 24);
+    }
+  },
+});
+
+const mockRequestLine = (prompt) =>
+  String(prompt).split('[USER REQUEST]').pop().trim().split('\n')[0].slice(0, 80) || 'Feature';
+
+// Playwright and requirements prompts carry markers (see playwright-code.cjs,
+// playwright-project.cjs and traceability.cjs).
+function mockReply(prompt, json) {
+  const text = String(prompt);
+  if (json && text.includes('[PLAYWRIGHT PAGES]')) return mockPagePlan(text);
+  if (json && text.includes('[REQUIREMENTS SOURCE]')) return mockRequirements(text);
+  if (json) return mockJsonCompletion(prompt);
+  if (text.includes('[PLAYWRIGHT PROJECT SPEC]')) return mockProjectSpec(text);
+  if (text.includes('[PLAYWRIGHT SPEC]')) return mockPlaywrightSpec(prompt);
+  return mockCompletion(prompt);
+}
+
+// One page object per "- Name: url" line after the marker, or a single home page.
+function mockPagePlan(prompt) {
+  const listed = prompt.split('[PLAYWRIGHT PAGES]').pop().split('\n')
+    .map(line => /^- (.+?): (\S+)$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, name, url]) => ({ name, path: url }));
+  const pages = (listed.length ? listed : [{ name: 'Home', path: '/' }]).map(page => ({
+    ...page,
+    locators: [{ name: 'heading', by: 'role', role: 'heading' }],
+    actions: [],
+  }));
+  return JSON.stringify({ pages });
+}
+
+// One requirement per non-empty line after the marker (see traceability.cjs).
+function mockRequirements(prompt) {
+  const requirements = prompt.split('[REQUIREMENTS SOURCE]').pop().split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^--- .* ---$/.test(line))
+    .slice(0, 20)
+    .map(text => ({ id: '', text, location: '' }));
+  return JSON.stringify({ requirements });
+}
+
+// One test per "- TC-001: title" line after the marker.
+function mockProjectSpec(prompt) {
+  const cases = prompt.split('[PLAYWRIGHT PROJECT SPEC]').pop().split('\n')
+    .map(line => /^- (\S+): (.+)$/.exec(line))
+    .filter(Boolean);
+  return [
+    '```javascript',
+    "const { test, expect } = require('../fixtures');",
+    '',
+    "test.describe('Generated', () => {",
+    ...cases.map(([, id, title]) => [
+      `  test(${JSON.stringify(`${id} ${title}`)}, async ({ page }) => {`,
+      "    await page.goto('/');",
+      "    await expect(page.locator('body')).toBeVisible();",
+      '  });',
+    ].join('\n')),
+    '});',
+    '```',
+  ].join('\n');
+}
+
+function mockPlaywrightSpec(prompt) {
+  const title = String(prompt).split('[PLAYWRIGHT SPEC]').pop().trim().split('\n')[0].slice(0, 80) || 'Page loads';
+  return [
+    '```javascript',
+    "const { test, expect } = require('@playwright/test');",
+    '',
+    `test(${JSON.stringify(title)}, async ({ page }) => {`,
+    "  await test.step('Open the page', async () => {",
+    '    await page.goto(process.env.TARGET_URL);',
+    '  });',
+    "  await test.step('Page has content', async () => {",
+    "    await expect(page.locator('body')).not.toBeEmpty();",
+    '  });',
+    '});',
+    '```',
+  ].join('\n');
+}
+
+function mockCompletion(prompt) {
+  const digest = crypto.createHash('sha256').update(String(prompt)).digest('hex');
+  const request = mockRequestLine(prompt);
+  const rows = ['Positive', 'Negative', 'Boundary'].map((kind, i) =>
+    `| TC-${digest.slice(i * 4, i * 4 + 4).toUpperCase()} | ${kind} check for ${request} | Open the feature; exercise the ${kind.toLowerCase()} path | Behaves as specified |`
+  );
+  return [
+    '| ID | Title | Steps | Expected Result |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+  ].join('\n');
+}
+
+function mockJsonCompletion(prompt) {
+  const digest = crypto.createHash('sha256').update(String(prompt)).digest('hex');
+  const request = mockRequestLine(prompt);
+  const testCases = [['functional', 'High'], ['negative', 'Medium'], ['boundary', 'Low']].map(([type, priority], i) => ({
+    id: `TC-${String(i + 1).padStart(3, '0')}`,
+    title: `${type[0].toUpperCase()}${type.slice(1)} check for ${request}`,
+    feature: request,
+    preconditions: ['The application is reachable'],
+    steps: ['Open the feature', `Exercise the ${type} path`],
+    expectedResults: ['Behaves as specified'],
+    priority,
+    type,
+    tags: ['mock', digest.slice(i * 4, i * 4 + 4)],
+  }));
+  return JSON.stringify({ testCases });
+}
+
+/* ---------------- Fallback chain ---------------- */
+// A vendor failure only moves on to the next provider when it is worth retrying
+// elsewhere: rate limits, overloads, 5xx and network errors. Bad requests fail fast.
+function isRetryableError(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status === 429 || status === 408 || status === 529) return true;
+  if (typeof status === 'number' && status >= 500) return true;
+  if (typeof status === 'number' && status >= 400) return false;
+  return /rate limit|quota|overloaded|timeout|ECONNRESET|ETIMEDOUT|ENOTFOUND|fetch failed/i.test(error?.message || '');
+}
+
+function defaultFallbackChain() {
+  return (process.env.AI_FALLBACK_CHAIN || 'openai,anthropic,gemini')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function normalizeOptions({ temperature, maxTokens } = {}) {
+  const opts = {};
+  if (temperature !== undefined && temperature !== null && temperature !== '') {
+    const t = Number(temperature);
+    if (!Number.isFinite(t) || t < 0 || t > 2) throw badRequest('"temperature" must be a number between 0 and 2.');
+    opts.temperature = t;
+  }
+  if (maxTokens !== undefined && maxTokens !== null && maxTokens !== '') {
+    const m = Math.floor(Number(maxTokens));
+    if (!Number.isFinite(m) || m < 1 || m > MAX_TOKENS_LIMIT) {
+      throw badRequest(`"maxTokens" must be an integer between 1 and ${MAX_TOKENS_LIMIT}.`);
+    }
+    opts.maxTokens = m;
+  }
+  return opts;
+}
+
+function buildChain(provider, fallback) {
+  if (provider && !getProvider(provider)) throw badRequest(`Unknown provider "${provider}".`);
+  const chain = [];
+  const addToChain = (name) => {
+    const p = getProvider(name);
+    if (p && !chain.includes(p)) chain.push(p);
+  };
+  if (provider) addToChain(provider);
+  (Array.isArray(fallback) ? fallback : defaultFallbackChain()).forEach(addToChain);
+  return chain;
+}
+
+const modelFor = (p, provider, model) => (p === getProvider(provider) && model ? model : p.defaultModel);
+
+/**
+ * Applies the caller's budget to a request ({ provider, model, fallback }): throws a 429 when
+ * it is spent and rejects, or returns the request moved to the budget's downgrade model
+ * (noted in `attempts`) without fallbacks, which could be dearer.
+ */
+async function applyBudget(request, attempts) {
+  const decision = await budgetDecision();
+  if (!decision) return request;
+  if (decision.action === 'reject') throw budgetError(decision);
+  const { provider, model } = decision.downgradeTo;
+  attempts.push({
+    provider: request.provider || null,
+    model: request.model || null,
+    downgradedTo: `${provider}:${model || getProvider(provider)?.defaultModel}`,
+    reason: decision.message,
+  });
+  return { ...request, provider, model: model || undefined, fallback: [] };
+}
+
+// Records one call (usage.cjs). Without vendor counts the tokens are estimated; a call that
+// failed before producing anything is recorded with none.
+function meter({ provider, model, prompt, text = '', usage, startedAt, error }) {
+  const estimate = !usage && (!error || text);
+  return recordUsage({
+    kind: 'generation',
+    provider,
+    model,
+    inputTokens: usage ? usage.inputTokens : estimate ? estimateTokens(prompt) : 0,
+    outputTokens: usage ? usage.outputTokens : estimate ? estimateTokens(text) : 0,
+    estimated: Boolean(estimate),
+    latencyMs: Date.now() - startedAt,
+    ok: !error,
+    error: error?.message,
+  });
+}
+
+/**
+ * Runs the prompt on `provider` (or the first configured provider of the chain),
+ * falling back along `fallback` on retryable errors. `model` only applies to the
+ * provider that was asked for explicitly; fallbacks use their own default model.
+ * Resolves to { text, provider, model, attempts }.
+ */
+async function generateWithFallback({ prompt, temperature, maxTokens, json, ...request } = {}) {
+  const options = normalizeOptions({ temperature, maxTokens });
+  const attempts = [];
+  const { provider, model, fallback } = await applyBudget(request, attempts);
+  const chain = buildChain(provider, fallback);
+
+  for (const p of chain) {
+    const useModel = modelFor(p, provider, model);
+    if (!p.isConfigured()) {
+      attempts.push({ provider: p.name, model: useModel, error: 'Provider is not configured.' });
+      continue;
+    }
+    const startedAt = Date.now();
+    try {
+      const { text, model: usedModel, usage } = await p.generate({ prompt, model: useModel, json, ...options });
+      await meter({ provider: p.name, model: usedModel, prompt, text, usage, startedAt });
+      attempts.push({ provider: p.name, model: usedModel, ok: true });
+      return { text, provider: p.name, model: usedModel, attempts };
+    } catch (error) {
+      await meter({ provider: p.name, model: useModel, prompt, startedAt, error });
+      console.error(`Provider ${p.name} (${useModel}) failed:`, error.message);
+      attempts.push({ provider: p.name, model: useModel, error: error.message, status: error.status });
+      if (!isRetryableError(error)) break;
+    }
+  }
+
+  const err = new Error('All providers failed.');
+  err.attempts = attempts;
+  throw err;
+}
+
+/**
+ * Streaming counterpart of generateWithFallback(). Yields
+ *   { type: 'start', provider, model }, then { type: 'token', text } ...,
+ *   then { type: 'end', provider, model, attempts }.
+ * Falling back is only possible until the first token arrives; after that an error is
+ * thrown to the caller. Pass `signal` to cancel the upstream request.
+ */
+async function* streamWithFallback({ prompt, temperature, maxTokens, json, signal, ...request } = {}) {
+  const options = normalizeOptions({ temperature, maxTokens });
+  const attempts = [];
+  const { provider, model, fallback } = await applyBudget(request, attempts);
+  const chain = buildChain(provider, fallback);
+
+  for (const p of chain) {
+    const useModel = modelFor(p, provider, model);
+    if (!p.isConfigured()) {
+      attempts.push({ provider: p.name, model: useModel, error: 'Provider is not configured.' });
+      continue;
+    }
+    let started = false;
+    let usage;
+    let text = '';
+    let failure = null;
+    let finished = false;
+    const startedAt = Date.now();
+    try {
+      const iterator = p.stream({ prompt, model: useModel, json, signal, ...options, onUsage: (counts) => { usage = counts; } });
+      const first = await iterator.next();
+      started = true;
+      yield { type: 'start', provider: p.name, model: useModel };
+      if (!first.done) {
+        text += first.value;
+        yield { type: 'token', text: first.value };
+      }
+      for await (const delta of iterator) {
+        text += delta;
+        yield { type: 'token', text: delta };
+      }
+      // A provider that just stops reading on abort must not pass for a finished reply.
+      signal?.throwIfAborted();
+      finished = true;
+      attempts.push({ provider: p.name, model: useModel, ok: true });
+      yield { type: 'end', provider: p.name, model: useModel, attempts };
+      return;
+    } catch (error) {
+      failure = error;
+      if (signal?.aborted) throw error;
+      console.error(`Provider ${p.name} (${useModel}) stream failed:`, error.message);
+      attempts.push({ provider: p.name, model: useModel, error: error.message, status: error.status });
+      if (started || !isRetryableError(error)) {
+        error.attempts = attempts;
+        throw error;
+      }
+    } finally {
+      // Also reached when the consumer stops reading early; that call is metered as cut short.
+      const error = failure || (!finished && new Error('Stream was not read to the end.'));
+      await meter({ provider: p.name, model: useModel, prompt, text, usage, startedAt, error: error || undefined });
+    }
+  }
+
+  const err = new Error('All providers failed.');
+  err.attempts = attempts;
+  throw err;
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  generateWithFallback,
+  streamWithFallback,
+  isRetryableError,
+  getOpenAI,
+};
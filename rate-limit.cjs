@@ -0,0 +1,45 @@
+/* =============================================
+   |       DISTRIBUTED RATE LIMITS (REDIS)     |
+   ============================================= */
+// Fixed-window limits shared by every worker process, so parallel signups cannot flood a
+// target. A limit is "<max>/<window>" with window sec | min | hour, e.g. "30/min".
+//
+// SIGNUP_RATE_LIMIT         accounts started per window across all targets (default 60/min)
+// targets.json "rateLimit"  per brand/environment limit, e.g. "10/min" for a fragile QA env
+
+const WINDOWS = { sec: 1000, min: 60 * 1000, hour: 60 * 60 * 1000 };
+
+// Parses "30/min" into { max, windowMs }; null for an empty or "off" limit.
+function parseRateLimit(spec) {
+  if (!spec || spec === 'off') return null;
+  const match = /^\s*(\d+)\s*\/\s*(sec|min|hour)\s*$/.exec(String(spec));
+  if (!match || !Number(match[1])) throw new Error(`Invalid rate limit "${spec}" (expected e.g. "30/min").`);
+  return { max: Number(match[1]), windowMs: WINDOWS[match[2]] };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Returns acquire(key, limit): resolves once a slot in the current window of `key` is free,
+ * waiting for later windows when it is full. `limit` is a parseRateLimit() result or spec.
+ */
+function createRateLimiter(connection, { prefix = 'ratelimit' } = {}) {
+  return async function acquire(key, limit) {
+    const { max, windowMs } = typeof limit === 'string' ? parseRateLimit(limit) || {} : limit || {};
+    if (!max) return;
+    for (;;) {
+      const window = Math.floor(Date.now() / windowMs);
+      const redisKey = `${prefix}:${key}:${window}`;
+      const used = await connection.incr(redisKey);
+      if (used === 1) await connection.pexpire(redisKey, windowMs * 2);
+      if (used <= max) return;
+      // Full: wait for the next window, spread out so waiters do not all wake at once.
+      await sleep((window + 1) * windowMs - Date.now() + Math.floor(Math.random() * 250));
+    }
+  };
+}
+
+module.exports = {
+  parseRateLimit,
+  createRateLimiter,
+};
@@ -0,0 +1,29 @@
+// =================================================================
+// === Knowledge base reconciliation: catalog vs. Pinecone       ===
+// =================================================================
+// Usage: npm run reconcile-kb [-- --fix]
+// Prints a JSON report; with --fix, orphan vectors are deleted and catalog
+// entries whose vectors are missing are marked "failed" so they can be re-indexed.
+const dotenv = require('dotenv');
+
+if (process.env.NODE_ENV !== 'production') {
+  dotenv.config();
+}
+
+const kb = require('./knowledge-base.cjs');
+const { closeDb } = require('./db.cjs');
+
+(async () => {
+  const fix = process.argv.includes('--fix');
+  try {
+    const report = await kb.reconcile({ fix });
+    console.log(JSON.stringify(report, null, 2));
+    const problems = report.missingVectors.length + report.orphanVectors.length;
+    process.exitCode = problems && !fix ? 1 : 0;
+  } catch (error) {
+    console.error('Reconciliation failed:', error.message);
+    process.exitCode = 2;
+  } finally {
+    await closeDb();
+  }
+})();
@@ -0,0 +1,20 @@
+/* =============================================
+   |             REDIS CONNECTION              |
+   ============================================= */
+// BullMQ needs maxRetriesPerRequest: null; rediss:// URLs (managed Redis) need TLS.
+const IORedis = require('ioredis');
+
+const DEFAULT_REDIS_URL = 'redis://red-d29m3t2li9vc73ftd970:6379';
+
+function createRedisConnection(url = process.env.REDIS_URL || DEFAULT_REDIS_URL) {
+  return new IORedis(url, {
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false,
+    tls: url.startsWith('rediss://') ? {} : undefined,
+  });
+}
+
+module.exports = {
+  DEFAULT_REDIS_URL,
+  createRedisConnection,
+};
@@ -0,0 +1,163 @@
+/* =============================================
+   |     RAG RETRIEVAL & SOURCE CITATIONS      |
+   ============================================= */
+// Retrieval is limited to the caller's workspace (workspaceId), can be further scoped to
+// documents (docIds) or catalog tags, and runs in one of three modes:
+//   similarity  plain vector search (the default)
+//   mmr         maximal marginal relevance, trading a little relevance for less repetition
+//   hybrid      vector + MongoDB keyword search fused by reciprocal rank, so exact
+//               requirement ids ("REQ-104") are found even when embeddings miss them
+// Retrieved chunks are numbered [S1], [S2], ... in the prompt (see prompt-templates.cjs). Models are asked to cite
+// those ids, and the ids are resolved back to document/page/section citations afterwards.
+const kb = require('./knowledge-base.cjs');
+const { describeLocation } = require('./loaders.cjs');
+const { badRequest } = require('./errors.cjs');
+
+const DEFAULT_K = 3;
+const MAX_K = 20;
+const RRF_K = 60;
+const MODES = ['similarity', 'mmr', 'hybrid'];
+
+function toSource(doc, i) {
+  const { docId, docName, page, section, sheet, headerRow, rowStart, rowEnd } = doc.metadata || {};
+  const source = {
+    id: `S${i + 1}`,
+    docId,
+    docName,
+    location: describeLocation(doc.metadata),
+    page,
+    section,
+    sheet,
+    headerRow,
+    rowStart,
+    rowEnd,
+  };
+  // Drop empty fields so sources stay valid citations once stored in MongoDB.
+  Object.keys(source).forEach(key => (source[key] === undefined || source[key] === '') && delete source[key]);
+  return source;
+}
+
+function normalizeSearchOptions({ k, minScore, mode, lambda } = {}) {
+  const opts = { k: DEFAULT_K, minScore: undefined, mode: 'similarity', lambda: 0.5 };
+  if (k !== undefined && k !== null && k !== '') {
+    opts.k = Math.floor(Number(k));
+    if (!Number.isFinite(opts.k) || opts.k < 1 || opts.k > MAX_K) throw badRequest(`"k" must be between 1 and ${MAX_K}.`);
+  }
+  if (minScore !== undefined && minScore !== null && minScore !== '') {
+    opts.minScore = Number(minScore);
+    if (!Number.isFinite(opts.minScore) || opts.minScore < 0 || opts.minScore > 1) throw badRequest('"minScore" must be between 0 and 1.');
+  }
+  if (mode) {
+    if (!MODES.includes(mode)) throw badRequest(`"mode" must be one of: ${MODES.join(', ')}.`);
+    opts.mode = mode;
+  }
+  if (lambda !== undefined && lambda !== null && lambda !== '') {
+    opts.lambda = Number(lambda);
+    if (!Number.isFinite(opts.lambda) || opts.lambda < 0 || opts.lambda > 1) throw badRequest('"lambda" must be between 0 and 1.');
+  }
+  return opts;
+}
+
+const chunkKey = ({ metadata = {}, pageContent }) =>
+  metadata.chunkIndex !== undefined ? `${metadata.docId}#${metadata.chunkIndex}` : `${metadata.docId}:${pageContent.slice(0, 200)}`;
+
+/**
+ * Searches the knowledge base. Resolves to hits ordered best first:
+ *   [{ id, text, metadata, score, vectorScore, keywordScore }]
+ * `minScore` is a floor on the vector similarity; hybrid hits found only by keyword are kept,
+ * since an exact keyword match is what hybrid mode is for.
+ */
+async function searchKnowledgeBase(query, options = {}) {
+  if (!query || !String(query).trim()) throw badRequest('A search "query" is required.');
+  const { k, minScore, mode, lambda } = normalizeSearchOptions(options);
+  const scope = await kb.resolveScope(options);
+  if (scope && scope.length === 0) return [];
+
+  const store = kb.getVectorStore();
+  const filter = scope ? { docId: { $in: scope } } : undefined;
+  const fetchK = mode === 'similarity' ? k : Math.max(k * 4, 20);
+  const vectorHits = (await store.similaritySearchWithScore(query, fetchK, filter))
+    .map(([doc, score]) => ({ doc, vectorScore: score }))
+    .filter(hit => minScore === undefined || hit.vectorScore >= minScore);
+  const byKey = new Map(vectorHits.map(hit => [chunkKey(hit.doc), hit]));
+
+  let ranked;
+  if (mode === 'similarity') {
+    ranked = vectorHits.map(hit => ({ ...hit, score: hit.vectorScore }));
+  } else if (mode === 'mmr') {
+    const docs = await store.maxMarginalRelevanceSearch(query, { k, fetchK, lambda, filter });
+    ranked = docs
+      .map(doc => byKey.get(chunkKey(doc)))
+      .filter(Boolean)
+      .map(hit => ({ ...hit, score: hit.vectorScore }));
+  } else {
+    const keywordHits = await kb.keywordSearch(query, { docIds: scope || undefined, limit: fetchK });
+    const fused = new Map();
+    const fuse = (hits, field) => hits.forEach((hit, rank) => {
+      const key = chunkKey(hit.doc);
+      const entry = fused.get(key) || { doc: hit.doc, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      entry[field] = hit[field] ?? hit.score;
+      fused.set(key, entry);
+    });
+    fuse(vectorHits, 'vectorScore');
+    fuse(keywordHits, 'keywordScore');
+    ranked = Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  }
+
+  return ranked.slice(0, k).map(({ doc, score, vectorScore, keywordScore }) => ({
+    id: chunkKey(doc),
+    text: doc.pageContent,
+    metadata: doc.metadata,
+    score,
+    vectorScore,
+    keywordScore,
+  }));
+}
+
+/**
+ * Resolves to { context, documents, sources }: the numbered excerpts for the prompt
+ * template's {{context}}, the KB documents they came from, and one source entry per retrieved
+ * chunk. Accepts the same options as searchKnowledgeBase().
+ */
+async function retrieveContext(input, options = {}) {
+  const hits = await searchKnowledgeBase(input, options);
+  const sources = hits.map((hit, i) => ({ ...toSource({ metadata: hit.metadata }, i), score: hit.score }));
+  const context = hits.map((hit, i) => {
+    const { id, docName, location } = sources[i];
+    return `[${id}] ${docName || 'Unknown document'}${location ? ` (${location})` : ''}\n${hit.text}`;
+  }).join('\n---\n');
+
+  const documents = new Map();
+  sources.forEach(({ docId, docName }) => {
+    if (docId) documents.set(docId, { id: docId, name: docName });
+  });
+
+  return {
+    context: context || '(no matching excerpts)',
+    documents: Array.from(documents.values()),
+    sources,
+  };
+}
+
+// Sources whose ids appear in free-form model output, e.g. "... [S2]".
+function citedSources(text, sources = []) {
+  const cited = new Set(String(text || '').match(/\bS\d+\b/g) || []);
+  return sources.filter(s => cited.has(s.id));
+}
+
+// Replaces each test case's `sources` ids with resolved citations (unknown ids are dropped).
+function attachCitations(testCases, sources = []) {
+  const byId = new Map(sources.map(s => [s.id, s]));
+  return testCases.map(tc => ({
+    ...tc,
+    citations: (tc.sources || []).map(id => byId.get(String(id).replace(/[[\]]/g, ''))).filter(Boolean),
+  }));
+}
+
+module.exports = {
+  searchKnowledgeBase,
+  retrieveContext,
+  citedSources,
+  attachCitations,
+};
@@ -2,30 +2,35 @@
    |            IMPORTS & SETUP                |
    ============================================= */
 const express = require('express');
-const { Queue } = require('bullmq');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Anthropic = require('@anthropic-ai/sdk');
-const IORedis = require('ioredis');
-
-const { Pinecone } = require('@pinecone-database/pinecone');
-const { Document } = require('@langchain/core/documents'); 
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { PineconeStore } = require('@langchain/pinecone');
-const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
 
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
-const XLSX = require('xlsx');
-
-// --- NEW: File System for Permanent Storage ---
-const fs = require('fs');
-const path = require('path');
-const DB_PATH = path.join(__dirname, 'document-list.json');
+const { generateWithFallback, getProvider, listProviders } = require('./providers.cjs');
+const { validateTestCases, schema: testCaseSchema } = require('./test-cases.cjs');
+const { exportTestCases, exportFormats, exportCoverageXlsx } = require('./exporters.cjs');
+const { isDbConfigured } = require('./db.cjs');
+const { sendError } = require('./errors.cjs');
+const suites = require('./suites.cjs');
+const kb = require('./knowledge-base.cjs');
+const { searchKnowledgeBase } = require('./retrieval.cjs');
+const { prepareGeneration, previewGeneration, runGeneration, runComparison, streamGeneration } = require('./generation.cjs');
+const { createGenerationJobs } = require('./generation-jobs.cjs');
+const { DEFAULT_REDIS_URL, createRedisConnection } = require('./redis.cjs');
+const { generatePlaywrightSpec, playwrightPromptVars } = require('./playwright-code.cjs');
+const { buildPlaywrightProject } = require('./playwright-project.cjs');
+const { createSandboxClient } = require('./playwright-sandbox.cjs');
+const flows = require('./flows.cjs');
+const targets = require('./targets.cjs');
+const accounts = require('./accounts.cjs');
+const { getArtifactStore, captureOptions } = require('./artifacts.cjs');
+const { createJobWatcher } = require('./job-progress.cjs');
+const { SIGNUP_QUEUE, MAX_SIGNUP_COUNT, createSignupJobs } = require('./signup-jobs.cjs');
+const jobHistory = require('./job-history.cjs');
+const workspaces = require('./workspaces.cjs');
+const promptTemplates = require('./prompt-templates.cjs');
+const traceability = require('./traceability.cjs');
+const usage = require('./usage.cjs');
 
 
 /* =============================================
@@ -54,8 +59,9 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Workspace'],
+  exposedHeaders: ['Content-Disposition', 'X-Generation-Valid'],
 };
 app.use((req, res, next) => {
   res.setHeader('Vary', 'Origin');
@@ -69,55 +75,33 @@ app.options('*', cors(corsOptions));
    ============================================= */
 app.use(express.json());
 
-
-/* =============================================
-   | --- NEW: HELPER FUNCTIONS FOR FILE DB ---   |
-   ============================================= */
-const readDb = () => {
-    try {
-        if (fs.existsSync(DB_PATH)) {
-            const data = fs.readFileSync(DB_PATH);
-            return JSON.parse(data);
-        }
-        return [];
-    } catch (error) {
-        console.error("Error reading from file database:", error);
-        return [];
-    }
-};
-
-const writeDb = (data) => {
-    try {
-        fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
-    } catch (error) {
-        console.error("Error writing to file database:", error);
-    }
-};
+// Every route but the health check needs an API key once auth is on (see workspaces.cjs).
+// POST routes that only read are open to viewers.
+app.use(workspaces.authenticate({ publicPaths: ['/'], readOnly: ['/api/knowledge/search', '/api/export', '/api/prompt-templates/preview', '/api/coverage'] }));
+const { requireRole, audit } = workspaces;
+// Model and embedding calls made while handling a request are metered to its caller (usage.cjs).
+app.use(usage.meterRequests());
+// Options that limit a lookup to the caller's workspace.
+const scope = (req) => ({ workspaceId: req.auth.workspaceId });
 
 
 /* =============================================
    |          REDIS & BULLMQ SETUP             |
    ============================================= */
-const redisConnectionStr = process.env.REDIS_URL || 'redis://red-d29m3t2li9vc73ftd970:6379';
+const redisConnectionStr = process.env.REDIS_URL || DEFAULT_REDIS_URL;
 console.log('Attempting to connect to Redis host:', new URL(redisConnectionStr).host);
-const redisConnection = new IORedis(redisConnectionStr, {
-  maxRetriesPerRequest: null,
-  enableReadyCheck: false,
-  tls: redisConnectionStr.startsWith('rediss://') ? {} : undefined,
-});
-const signupQueue = new Queue('signup-jobs', { connection: redisConnection });
+const redisConnection = createRedisConnection(redisConnectionStr);
+const signupJobs = createSignupJobs(redisConnection);
+const signupQueue = signupJobs.queue;
+const watchSignupJob = createJobWatcher(SIGNUP_QUEUE);
+const generationJobs = createGenerationJobs(redisConnection);
+const runInSandbox = createSandboxClient(redisConnection);
 
 /* =============================================
    |      KNOWLEDGE BASE (RAG) SETUP           |
    ============================================= */
-const pinecone = new Pinecone();
-const pineconeIndex = pinecone.index(process.env.PINECONE_INDEX_NAME);
-const embeddings = new OpenAIEmbeddings({ modelName: 'text-embedding-3-small' });
-const vectorStore = new PineconeStore(embeddings, { pineconeIndex });
-
-// This temporary in-memory store is no longer used and has been replaced by the file DB.
-// let documentMetadataStore = [];
-
+// Catalog, parsing and indexing live in knowledge-base.cjs; uploads are kept in memory
+// only long enough to hash, store and index them.
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
 
@@ -129,222 +113,1086 @@ const upload = multer({ storage });
 // --- Root Route ---
 app.get('/', (req, res) => res.send('Backend is running!'));
 
-// --- KNOWLEDGE BASE ROUTES (Using Simple File DB) ---
-app.post('/api/knowledge/upload', upload.single('document'), async (req, res) => {
+// --- Workspaces, API keys & audit log (see workspaces.cjs) ---
+app.get('/api/workspace', async (req, res) => {
+  try {
+    const workspace = await workspaces.getWorkspace(req.auth.workspaceId);
+    res.json({ workspace, role: req.auth.role, actor: req.auth.actor, authMode: workspaces.authMode() });
+  } catch (error) {
+    sendError(res, error, 'Workspace Error', 'Failed to read workspace.');
+  }
+});
+
+app.get('/api/workspaces', workspaces.requireRoot, async (req, res) => {
+  try {
+    res.json({ workspaces: await workspaces.listWorkspaces() });
+  } catch (error) {
+    sendError(res, error, 'Workspace List Error', 'Failed to list workspaces.');
+  }
+});
+
+// Body: { id, name }. Keys for it are then created with X-Workspace: <id>.
+app.post('/api/workspaces', workspaces.requireRoot, async (req, res) => {
+  try {
+    const workspace = await workspaces.createWorkspace(req.body || {});
+    await audit({ auth: { ...req.auth, workspaceId: workspace._id } }, 'workspace.create', { type: 'workspace', id: workspace._id, name: workspace.name });
+    res.status(201).json({ workspace });
+  } catch (error) {
+    sendError(res, error, 'Workspace Create Error', 'Failed to create workspace.');
+  }
+});
+
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ keys: await workspaces.listApiKeys(req.auth.workspaceId) });
+  } catch (error) {
+    sendError(res, error, 'API Key List Error', 'Failed to list API keys.');
+  }
+});
+
+// Body: { name, role: viewer | editor | admin }. The token is only ever returned here.
+app.post('/api/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { key, token } = await workspaces.createApiKey(req.auth.workspaceId, req.body || {}, req.auth.actor.keyId);
+    await audit(req, 'key.create', { type: 'key', id: key._id, name: key.name }, { role: key.role });
+    res.status(201).json({ key, token });
+  } catch (error) {
+    sendError(res, error, 'API Key Create Error', 'Failed to create API key.');
+  }
+});
+
+app.delete('/api/keys/:keyId', requireRole('admin'), async (req, res) => {
+  try {
+    const key = await workspaces.revokeApiKey(req.auth.workspaceId, req.params.keyId);
+    await audit(req, 'key.revoke', { type: 'key', id: key._id, name: key.name });
+    res.json({ key });
+  } catch (error) {
+    sendError(res, error, 'API Key Revoke Error', 'Failed to revoke API key.');
+  }
+});
+
+// GET /api/audit?action=document.delete&actor=<keyId>&since=2024-01-01&limit=100
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ entries: await workspaces.listAuditLog(req.auth.workspaceId, req.query) });
+  } catch (error) {
+    sendError(res, error, 'Audit Log Error', 'Failed to read the audit log.');
+  }
+});
+
+// --- Usage, costs & budgets (see usage.cjs) ---
+// GET /api/usage?from=2024-06-01&to=2024-06-30&groupBy=day|provider|model|actor|route|kind
+//                &kind=generation|embedding&provider=openai&model=gpt-4o
+app.get('/api/usage', async (req, res) => {
+  try {
+    res.json(await usage.usageReport(req.auth.workspaceId, req.query));
+  } catch (error) {
+    sendError(res, error, 'Usage Report Error', 'Failed to read usage.');
+  }
+});
+
+app.get('/api/usage/prices', (req, res) => {
+  try {
+    res.json({ unit: 'USD per 1M tokens', prices: usage.priceTable() });
+  } catch (error) {
+    sendError(res, error, 'Usage Prices Error', 'Failed to read the price table.');
+  }
+});
+
+app.get('/api/usage/budget', async (req, res) => {
+  try {
+    res.json({ budget: await usage.getBudget(req.auth.workspaceId) });
+  } catch (error) {
+    sendError(res, error, 'Usage Budget Error', 'Failed to read the budget.');
+  }
+});
+
+// Body: { dailyUsd, monthlyUsd, action: reject | downgrade, downgradeTo: "provider:model" },
+// or { reset: true } to fall back to the USAGE_* defaults.
+app.put('/api/usage/budget', requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const [provider] = String(body.downgradeTo || '').split(':');
+    if (body.downgradeTo && !getProvider(provider)) return res.status(400).json({ error: `Unknown provider "${provider}".` });
+    const budget = await usage.setBudget(req.auth.workspaceId, body, req.auth.actor.keyId);
+    await audit(req, 'usage.budget', { type: 'budget', id: req.auth.workspaceId }, body.reset ? { reset: true } : {
+      dailyUsd: budget.dailyUsd,
+      monthlyUsd: budget.monthlyUsd,
+      action: budget.action,
+      downgradeTo: budget.downgradeTo,
+    });
+    res.json({ budget });
+  } catch (error) {
+    sendError(res, error, 'Usage Budget Error', 'Failed to update the budget.');
+  }
+});
+
+// --- KNOWLEDGE BASE ROUTES ---
+// multer finishes in stream callbacks, outside the request's metering context.
+app.post('/api/knowledge/upload', upload.single('document'), usage.meterRequests(), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No document file provided.' });
   }
 
   try {
     console.log(`Processing document: ${req.file.originalname} (Type: ${req.file.mimetype})`);
-    const docId = uuidv4();
-    const docName = req.file.originalname;
-    
-    // --- ADVANCED FILE PARSING LOGIC (Unchanged) ---
-    let text = '';
-    const fileBuffer = req.file.buffer;
-
-    if (req.file.mimetype === 'application/pdf') {
-        const pdfData = await pdf(fileBuffer);
-        text = pdfData.text;
-    } else if (req.file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-        const docxData = await mammoth.extractRawText({ buffer: fileBuffer });
-        text = docxData.value;
-    } else if (req.file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
-        const workbook = XLSX.read(fileBuffer, { type: 'buffer' });
-        let fullText = '';
-        workbook.SheetNames.forEach(sheetName => {
-            const sheet = workbook.Sheets[sheetName];
-            const sheetData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-            sheetData.forEach(row => {
-                fullText += row.join(' ') + '\n';
-            });
-        });
-        text = fullText;
-    } else {
-        text = fileBuffer.toString('utf-8');
+    const { chunkSize, chunkOverlap, uploader, tags } = req.body || {};
+    const { document, duplicate } = await kb.ingestDocument({
+      buffer: req.file.buffer,
+      originalname: req.file.originalname,
+      mimetype: req.file.mimetype,
+      uploader: uploader || req.auth.actor.name,
+      tags,
+      chunkSize,
+      chunkOverlap,
+      workspaceId: req.auth.workspaceId,
+    });
+    await audit(req, 'document.upload', { type: 'document', id: document.id, name: document.name }, { duplicate });
+    if (duplicate) {
+      return res.status(200).json({ message: 'An identical document is already in the knowledge base.', document, duplicate });
     }
+    res.status(201).json({ message: 'Document uploaded and processed.', document, duplicate });
+  } catch (error) {
+    sendError(res, error, 'KB Upload Error', 'Failed to process document.');
+  }
+});
 
-    if (!text || text.trim().length === 0) {
-        return res.status(400).json({ error: 'Could not extract any text from the document.' });
-    }
+app.get('/api/knowledge', async (req, res) => {
+  try {
+    res.json({ documents: await kb.listDocuments(scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'KB List Error', 'Failed to list documents.');
+  }
+});
 
-    const doc = new Document({ pageContent: text });
+app.delete('/api/knowledge/:docId', requireRole('admin'), async (req, res) => {
+  try {
+    const doc = await kb.getDocument(req.params.docId, scope(req));
+    await kb.deleteDocument(doc._id, scope(req));
+    await audit(req, 'document.delete', { type: 'document', id: doc._id, name: doc.name });
+    res.status(200).json({ message: 'Document deleted successfully.' });
+  } catch (error) {
+    sendError(res, error, 'KB Delete Error', 'Failed to delete document.');
+  }
+});
 
-    const splitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 1000,
-      chunkOverlap: 200,
-    });
-    const docs = await splitter.splitDocuments([doc]);
+// Body: { query, k?, docIds?, tags?, minScore?, mode?: 'similarity' | 'mmr' | 'hybrid', lambda? }
+app.post('/api/knowledge/search', async (req, res) => {
+  try {
+    const { query, ...options } = req.body || {};
+    res.json({ results: await searchKnowledgeBase(query, { ...options, ...scope(req) }) });
+  } catch (error) {
+    sendError(res, error, 'KB Search Error', 'Failed to search the knowledge base.');
+  }
+});
 
-    docs.forEach(chunk => {
-      chunk.metadata.docId = docId;
-      chunk.metadata.docName = docName;
-    });
+app.patch('/api/knowledge/:docId', async (req, res) => {
+  try {
+    const document = await kb.updateDocumentTags(req.params.docId, req.body?.tags, scope(req));
+    await audit(req, 'document.tags', { type: 'document', id: document.id, name: document.name }, { tags: document.tags });
+    res.json({ document });
+  } catch (error) {
+    sendError(res, error, 'KB Update Error', 'Failed to update document.');
+  }
+});
 
-    await PineconeStore.fromDocuments(docs, embeddings, {
-      pineconeIndex,
-    });
-    
-    // --- MODIFIED: Save metadata to the JSON file ---
-    const documents = readDb();
-    documents.push({ id: docId, name: docName });
-    writeDb(documents);
+app.post('/api/knowledge/:docId/reindex', async (req, res) => {
+  try {
+    const { chunkSize, chunkOverlap } = req.body || {};
+    const document = await kb.reindexDocument(req.params.docId, { chunkSize, chunkOverlap, ...scope(req) });
+    await audit(req, 'document.reindex', { type: 'document', id: document.id, name: document.name }, { chunkSize: document.chunkSize, chunkOverlap: document.chunkOverlap });
+    res.json({ message: 'Document re-indexed.', document });
+  } catch (error) {
+    sendError(res, error, 'KB Reindex Error', 'Failed to re-index document.');
+  }
+});
 
-    res.status(201).json({ message: 'Document uploaded and processed.', document: { id: docId, name: docName } });
+// --- Requirements traceability (see traceability.cjs) ---
+// The stored requirements; empty until extracted (POST below, or the first coverage report).
+app.get('/api/knowledge/:docId/requirements', async (req, res) => {
+  try {
+    res.json(await traceability.getRequirements(req.params.docId, { ...scope(req), extract: false }));
   } catch (error) {
-    console.error('KB Upload Error:', error);
-    res.status(500).json({ error: 'Failed to process document.' });
+    sendError(res, error, 'Requirements Error', 'Failed to read requirements.');
   }
 });
 
-app.get('/api/knowledge', (req, res) => {
-  // --- MODIFIED: Fetch list from the JSON file ---
-  const documents = readDb();
-  res.json({ documents });
+// Body: { method: auto | rules | model, provider, model }. Replaces the stored requirements.
+app.post('/api/knowledge/:docId/requirements', async (req, res) => {
+  try {
+    const { method, provider, model, temperature, maxTokens, fallback } = req.body || {};
+    const result = await traceability.extractRequirements(req.params.docId, { method, provider, model, temperature, maxTokens, fallback, ...scope(req) });
+    await audit(req, 'requirements.extract', { type: 'document', id: result.document.id, name: result.document.name }, { method: result.method, count: result.requirements.length });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Requirements Extract Error', 'Failed to extract requirements.');
+  }
 });
 
-app.delete('/api/knowledge/:docId', async (req, res) => {
-  const { docId } = req.params;
+// Body: { docId, suiteId, version, testCases, minScore, format: json | xlsx }
+app.post('/api/coverage', async (req, res) => {
   try {
-    await pineconeIndex.deleteMany({ docId });
-    
-    // --- MODIFIED: Delete from the JSON file ---
-    let documents = readDb();
-    documents = documents.filter(doc => doc.id !== docId);
-    writeDb(documents);
-    
-    res.status(200).json({ message: 'Document deleted successfully.' });
+    const { format = 'json', ...body } = req.body || {};
+    if (!['json', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format must be "json" or "xlsx"' });
+    // Viewers may read coverage but not start an extraction (see traceability.cjs).
+    const report = await traceability.buildCoverage(body, { ...scope(req), extract: req.auth.role !== 'viewer' });
+    if (format === 'json') return res.json(report);
+    const { buffer, filename, contentType } = await exportCoverageXlsx(report, { name: report.suite?.name || report.document.name });
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(buffer);
   } catch (error) {
-    console.error('KB Delete Error:', error);
-    res.status(500).json({ error: 'Failed to delete document.' });
+    sendError(res, error, 'Coverage Error', 'Failed to build the coverage report.');
+  }
+});
+
+// Generates cases for uncovered requirements. Body: { docId, suiteId | testCases, maxGaps,
+// minScore, ...generation options }; with a suiteId the cases are appended to the suite.
+app.post('/api/coverage/gaps', async (req, res) => {
+  try {
+    const result = await traceability.fillCoverageGaps(req.body || {}, { ...scope(req), actor: req.auth.actor });
+    await audit(req, 'coverage.gaps', { type: result.suite ? 'suite' : 'document', id: result.suite?.id || req.body?.docId }, {
+      docId: req.body?.docId, generated: result.generated.length, coverage: result.coverage.summary.coverage,
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.expose) return res.status(error.status || 400).json({ error: error.message, details: error.details });
+    console.error('Coverage Gaps Error:', error.message);
+    res.status(500).json({ error: 'Failed to generate cases for the coverage gaps.', details: error.details, attempts: error.attempts });
   }
 });
 
 
 // --- Job Queue Routes ---
+const MAX_FLOW_RUNS = 3;
+const MAX_JOB_LOG_LINES = 200;
+
 app.post('/signup-agent', async (req, res) => {
   try {
-    let { count, environment, region } = req.body || {};
+    let { count, brand, environment, region, artifacts, tags } = req.body || {};
     count = Math.floor(Number(count));
     if (!Number.isFinite(count) || count < 1) return res.status(400).json({ error: 'A valid "count" number is required.' });
-    if (count > 3) return res.status(400).json({ error: 'Count must be between 1 and 3.' });
+    if (count > MAX_SIGNUP_COUNT) return res.status(400).json({ error: `Count must be between 1 and ${MAX_SIGNUP_COUNT}.` });
 
-    const envNorm = String(environment ?? 'dev').toLowerCase();
-    const regionNorm = String(region ?? 'US').toUpperCase();
-    const safeEnv = envNorm === 'staging' ? 'staging' : 'dev';
-    const safeRegion = regionNorm === 'CA' ? 'CA' : 'US';
+    // Only brand/environment/region pairs listed in targets.json are accepted.
+    const target = targets.resolveTarget({ brand, environment, region });
+    if (artifacts !== undefined) captureOptions(artifacts);
 
-    console.log(`ENQUEUE: count=${count}, environment=${safeEnv}, region=${safeRegion}`);
-    const job = await signupQueue.add('create-accounts-job', {
+    console.log(`ENQUEUE: count=${count}, target=${targets.targetKey(target)}`);
+    // The definition is snapshotted into the job, so edits to the flow don't affect queued jobs.
+    // Large counts are split into chunk jobs under one parent (see signup-jobs.cjs).
+    const { flow } = await flows.getFlow('signup');
+    const job = await signupJobs.enqueue({
       countToCreate: count,
-      environment: safeEnv,
-      region: safeRegion,
+      brand: target.brand,
+      environment: target.environment,
+      region: target.region,
+      flow,
+      artifacts,
+      // Stored on the accounts in the registry (see accounts.cjs).
+      tags: accounts.normalizeTags(tags),
+      workspaceId: req.auth.workspaceId,
     });
+    await audit(req, 'job.create', { type: 'job', id: job.id, name: 'signup' }, { count, target: targets.targetKey(target) });
     res.status(202).json({ jobId: job.id });
   } catch (e) {
+    if (e.expose) return sendError(res, e);
     console.error('enqueue /signup-agent error:', e);
     res.status(500).json({ error: 'Failed to enqueue job' });
   }
 });
 
+// --- Test account registry (see accounts.cjs): search, pool levels, lease/release/retire ---
+app.get('/api/accounts', async (req, res) => {
+  try {
+    res.json(await accounts.searchAccounts(req.query, scope(req)));
+  } catch (error) {
+    sendError(res, error, 'Account Search Error', 'Failed to search accounts.');
+  }
+});
+
+app.get('/api/accounts/pool', async (req, res) => {
+  try {
+    res.json({ pool: await accounts.poolLevels(req.query, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Account Pool Error', 'Failed to read pool levels.');
+  }
+});
+
+// Body: { brand, environment, region, tags, holder, ttlSeconds }. Keep the returned
+// lease.id to release or retire the account.
+app.post('/api/accounts/lease', async (req, res) => {
+  try {
+    res.json({ account: await accounts.leaseAccount(req.body || {}, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Account Lease Error', 'Failed to lease an account.');
+  }
+});
+
+app.get('/api/accounts/:accountId', async (req, res) => {
+  try {
+    res.json({ account: await accounts.getAccount(req.params.accountId, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Account Error', 'Failed to read account.');
+  }
+});
+
+app.post('/api/accounts/:accountId/release', async (req, res) => {
+  try {
+    res.json({ account: await accounts.releaseAccount(req.params.accountId, req.body || {}, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Account Release Error', 'Failed to release account.');
+  }
+});
+
+app.post('/api/accounts/:accountId/retire', async (req, res) => {
+  try {
+    res.json({ account: await accounts.retireAccount(req.params.accountId, req.body || {}, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Account Retire Error', 'Failed to retire account.');
+  }
+});
+
+// --- Signup targets (see targets.cjs); secrets are reported by name only ---
+app.get('/api/targets', (req, res) => {
+  try {
+    res.json(targets.listTargets());
+  } catch (error) {
+    sendError(res, error, 'Target List Error', 'Failed to read the target registry.');
+  }
+});
+
+// --- Flow definitions (see flows.cjs); PUT accepts a JSON body or YAML text ---
+app.get('/api/flows', async (req, res) => {
+  try {
+    res.json({ flows: await flows.listFlows() });
+  } catch (error) {
+    sendError(res, error, 'Flow List Error', 'Failed to list flows.');
+  }
+});
+
+app.get('/api/flows/:name', async (req, res) => {
+  try {
+    res.json(await flows.getFlow(req.params.name));
+  } catch (error) {
+    sendError(res, error, 'Flow Error', 'Failed to read flow.');
+  }
+});
+
+// Admin only, like DELETE: flows are shared by every workspace (see flows.cjs).
+app.put('/api/flows/:name', requireRole('admin'), express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'] }), async (req, res) => {
+  try {
+    const format = req.is('json') ? 'json' : 'yaml';
+    const saved = await flows.saveFlow(req.params.name, req.body, format);
+    await audit(req, 'flow.save', { type: 'flow', id: req.params.name }, { version: saved.version });
+    res.json(saved);
+  } catch (error) {
+    sendError(res, error, 'Flow Save Error', 'Failed to save flow.');
+  }
+});
+
+app.delete('/api/flows/:name', requireRole('admin'), async (req, res) => {
+  try {
+    await flows.deleteFlow(req.params.name);
+    await audit(req, 'flow.delete', { type: 'flow', id: req.params.name });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Flow Delete Error', 'Failed to delete flow.');
+  }
+});
+
+// Runs any flow on the signup worker queue; poll /job-status/:jobId for the result.
+app.post('/api/flows/:name/run', async (req, res) => {
+  try {
+    const { count = 1, params, artifacts } = req.body || {};
+    const runs = Math.floor(Number(count));
+    if (!Number.isFinite(runs) || runs < 1 || runs > MAX_FLOW_RUNS) {
+      return res.status(400).json({ error: `"count" must be between 1 and ${MAX_FLOW_RUNS}.` });
+    }
+    const { flow } = await flows.getFlow(req.params.name);
+    // With a "target" ({ brand, environment, region }) the worker fills in its base URL,
+    // gate password and selector overrides; explicit params still win.
+    const target = req.body?.target ? targets.resolveTarget(req.body.target) : null;
+    flows.resolveParams(flow, params);
+    if (artifacts !== undefined) captureOptions(artifacts);
+    const job = await signupQueue.add('run-flow', {
+      flow,
+      count: runs,
+      params: params || {},
+      target: target && { brand: target.brand, environment: target.environment, region: target.region },
+      artifacts,
+      workspaceId: req.auth.workspaceId,
+    });
+    await audit(req, 'job.create', { type: 'job', id: job.id, name: flow.name }, { count: runs });
+    res.status(202).json({ jobId: job.id });
+  } catch (error) {
+    sendError(res, error, 'Flow Run Error', 'Failed to enqueue flow run.');
+  }
+});
+
+// A signup queue job of the caller's workspace, or null.
+async function findSignupJob(req, jobId) {
+  const job = await signupQueue.getJob(jobId).catch(() => null);
+  return job && workspaces.inWorkspace(job.data, req.auth.workspaceId) ? job : null;
+}
+
 app.get('/job-status/:jobId', async (req, res) => {
   const { jobId } = req.params;
-  const job = await signupQueue.getJob(jobId);
-  if (!job) return res.status(404).json({ status: 'not found' });
-  const status = await job.getState();
-  const returnValue = job.returnvalue;
-  res.json({ status, result: returnValue });
+  try {
+    const job = await findSignupJob(req, jobId);
+    if (!job) return res.status(404).json({ status: 'not found' });
+    const status = await job.getState();
+    const returnValue = job.returnvalue;
+    const artifacts = await listJobArtifacts(jobId).catch(() => []);
+    // `progress` is the worker's live state (see job-progress.cjs); `logs` the latest log lines.
+    // A chunked request reports its chunks and their progress summed.
+    const { logs } = await signupQueue.getJobLogs(jobId, -MAX_JOB_LOG_LINES, -1).catch(() => ({ logs: [] }));
+    const { chunks, progress } = job.name === 'aggregate-accounts'
+      ? await signupJobs.chunkStatus(job)
+      : { progress: typeof job.progress === 'object' ? job.progress : null };
+    res.json({
+      status,
+      result: returnValue,
+      progress,
+      chunks,
+      logs,
+      eventsUrl: `/job-status/${jobId}/events`,
+      artifactsUrl: `/jobs/${jobId}/artifacts`,
+      artifacts,
+    });
+  } catch (error) {
+    sendError(res, error, 'Job Status Error', 'Failed to read job status.');
+  }
+});
+
+// Live job events as SSE: a "snapshot" first, then "progress" on every worker update (its
+// `event` field is the step, warning or log line that caused it), then "completed" or
+// "failed" before the stream ends. For a chunked request the chunks' updates are relayed
+// with their `jobId`, and "chunk" reports each chunk finishing.
+app.get('/job-status/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  let heartbeat = null;
+  let unwatch = null;
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unwatch?.();
+  };
+  const emit = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const finish = (event, data) => {
+    emit(event, data);
+    cleanup();
+    res.end();
+  };
+
+  try {
+    const job = await findSignupJob(req, jobId);
+    if (!job) return res.status(404).json({ status: 'not found' });
+
+    // Subscribe before reading the state so an update between the two is not missed.
+    const chunked = job.name === 'aggregate-accounts';
+    const chunkIds = chunked ? (await signupJobs.chunkStatus(job)).chunks.map(chunk => chunk.jobId) : [];
+    unwatch = watchSignupJob([jobId, ...chunkIds], {
+      progress: (progress, id) => emit('progress', chunked ? { jobId: id, ...progress } : progress),
+      completed: (result, id) => (id === jobId ? finish('completed', { result }) : emit('chunk', { jobId: id, status: 'completed' })),
+      failed: (error, id) => (id === jobId ? finish('failed', { error }) : emit('chunk', { jobId: id, status: 'failed', error })),
+    });
+    res.on('close', cleanup);
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    const status = await job.getState();
+    emit('snapshot', chunked
+      ? { status, ...(await signupJobs.chunkStatus(job)) }
+      : { status, progress: typeof job.progress === 'object' ? job.progress : null });
+    if (status === 'completed') finish('completed', { result: job.returnvalue });
+    else if (status === 'failed') finish('failed', { error: job.failedReason });
+  } catch (error) {
+    if (!res.headersSent) {
+      cleanup();
+      return sendError(res, error, 'Job Events Error', 'Failed to read job events.');
+    }
+    console.error('Job Events Error:', error);
+    finish('failed', { error: 'Failed to read job events.' });
+  }
 });
 
-// --- AI Model Initializations ---
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+// --- Job management (see signup-jobs.cjs): list, cancel, retry failures, history, schedules ---
+app.get('/api/jobs', async (req, res) => {
+  try {
+    res.json(await signupJobs.list({ ...req.query, ...scope(req) }));
+  } catch (error) {
+    sendError(res, error, 'Job List Error', 'Failed to list jobs.');
+  }
+});
+
+// Finished jobs recorded by the worker, kept after BullMQ has dropped them.
+app.get('/api/jobs/history', async (req, res) => {
+  try {
+    res.json(await jobHistory.searchHistory({ ...req.query, ...scope(req) }));
+  } catch (error) {
+    sendError(res, error, 'Job History Error', 'Failed to read job history.');
+  }
+});
+
+app.get('/api/jobs/schedules', async (req, res) => {
+  try {
+    res.json({ schedules: await signupJobs.listSchedules(scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Schedule List Error', 'Failed to list schedules.');
+  }
+});
+
+// Creates or replaces a pool top-up schedule:
+// { brand, environment, region, tags, minAvailable, topUpTo, everyMinutes | cron }
+app.put('/api/jobs/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await signupJobs.saveSchedule(req.params.scheduleId, req.body || {}, scope(req));
+    await audit(req, 'schedule.save', { type: 'schedule', id: req.params.scheduleId }, req.body);
+    res.json(schedule);
+  } catch (error) {
+    sendError(res, error, 'Schedule Save Error', 'Failed to save schedule.');
+  }
+});
+
+app.delete('/api/jobs/schedules/:scheduleId', async (req, res) => {
+  try {
+    await signupJobs.removeSchedule(req.params.scheduleId, scope(req));
+    await audit(req, 'schedule.delete', { type: 'schedule', id: req.params.scheduleId });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Schedule Delete Error', 'Failed to delete schedule.');
+  }
+});
+
+// A job still in the queue, or else its history record.
+app.get('/api/jobs/:jobId', async (req, res) => {
+  try {
+    res.json(await signupJobs.get(req.params.jobId, scope(req)));
+  } catch (error) {
+    if (error.status === 404 && isDbConfigured()) {
+      try {
+        return res.json(await jobHistory.getHistory(req.params.jobId, scope(req)));
+      } catch (historyError) {
+        return sendError(res, historyError, 'Job Read Error', 'Failed to read job.');
+      }
+    }
+    sendError(res, error, 'Job Read Error', 'Failed to read job.');
+  }
+});
+
+app.post('/api/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await signupJobs.cancel(req.params.jobId, scope(req));
+    await audit(req, 'job.cancel', { type: 'job', id: job.jobId, name: job.type });
+    res.json(job);
+  } catch (error) {
+    sendError(res, error, 'Job Cancel Error', 'Failed to cancel job.');
+  }
+});
+
+// Re-runs only the accounts in a finished job's `failures`, as a new job.
+app.post('/api/jobs/:jobId/retry-failures', async (req, res) => {
+  try {
+    const job = await signupJobs.retryFailures(req.params.jobId, scope(req));
+    await audit(req, 'job.retry', { type: 'job', id: job.id }, { retryOf: req.params.jobId, accounts: job.data.accounts });
+    res.status(202).json({ jobId: job.id, retryOf: req.params.jobId, accounts: job.data.accounts });
+  } catch (error) {
+    sendError(res, error, 'Job Retry Error', 'Failed to retry job.');
+  }
+});
+
+// --- Playwright artifacts recorded by the worker (see artifacts.cjs) ---
+// Artifacts outlive their job; the history tells whose they were. Unknown jobs are legacy
+// ones and belong to the default workspace.
+async function jobInWorkspace(req, jobId) {
+  const job = await signupQueue.getJob(jobId).catch(() => null);
+  let owner = job?.data;
+  if (!job && isDbConfigured()) owner = await jobHistory.getHistory(jobId).catch(() => null);
+  return workspaces.inWorkspace(owner, req.auth.workspaceId);
+}
+
+async function listJobArtifacts(jobId) {
+  const store = getArtifactStore();
+  if (!store) return [];
+  const items = await store.list(jobId);
+  return items.map(item => ({ ...item, url: `/jobs/${jobId}/artifacts/${item.name}` }));
+}
+
+app.get('/jobs/:jobId/artifacts', async (req, res) => {
+  try {
+    if (!getArtifactStore()) return res.status(404).json({ error: 'Artifact capture is turned off (ARTIFACT_STORE=off).' });
+    if (!(await jobInWorkspace(req, req.params.jobId))) return res.status(404).json({ error: 'Job not found.' });
+    res.json({ jobId: req.params.jobId, artifacts: await listJobArtifacts(req.params.jobId) });
+  } catch (error) {
+    sendError(res, error, 'Artifact List Error', 'Failed to list artifacts.');
+  }
+});
+
+app.get('/jobs/:jobId/artifacts/*', async (req, res) => {
+  try {
+    const store = getArtifactStore();
+    if (!store) return res.status(404).json({ error: 'Artifact capture is turned off (ARTIFACT_STORE=off).' });
+    if (!(await jobInWorkspace(req, req.params.jobId))) return res.status(404).json({ error: 'Job not found.' });
+    const name = req.params[0];
+    const { stream, size, contentType } = await store.open(req.params.jobId, name);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', size);
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="${name.split('/').pop()}"`);
+    stream.on('error', (error) => {
+      console.error('Artifact Download Error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    sendError(res, error, 'Artifact Download Error', 'Failed to read artifact.');
+  }
+});
 
 // --- AI Generation Routes ---
+// Generates a Playwright spec, syntax/import-checks it and, with `run: true`, runs it in the
+// worker sandbox against `url` or an HTML `fixture`; failures go back to the model for repair.
+// Running is admin-only: the spec is model-written code that the caller's scenario steers, and
+// it runs with the worker's privileges (see playwright-sandbox.cjs).
 app.post('/ai-generate-playwright', async (req, res) => {
   try {
-    const { scenario } = req.body;
+    const {
+      scenario, url, fixture, style, templateId, templateVersion, run = false, maxRepairs, provider, model, temperature, maxTokens, fallback,
+    } = req.body || {};
     if (!scenario) return res.status(400).json({ error: 'Scenario is required' });
-    const prompt = `You are a senior Playwright automation engineer...`; 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{ role: 'user', content: prompt }]
+    if (run && req.auth.role !== 'admin') return res.status(403).json({ error: 'Running the spec needs the admin role.' });
+    if (run && !url && !fixture) return res.status(400).json({ error: 'Running the spec requires a "url" or an HTML "fixture".' });
+    if (url && !/^https?:\/\//i.test(url)) return res.status(400).json({ error: '"url" must be an http(s) URL.' });
+    const { prompt, template } = await promptTemplates.renderPrompt(
+      'playwright',
+      playwrightPromptVars({ scenario, url, fixture, style }),
+      { templateId, templateVersion, ...scope(req) }
+    );
+    const result = await generatePlaywrightSpec({
+      scenario,
+      url,
+      fixture,
+      prompt,
+      run: run ? (code) => runInSandbox(code, { url, fixture }) : undefined,
+      maxRepairs,
+      // Unchanged default for existing clients: gpt-4o without fallback.
+      provider: provider || 'openai',
+      model: model || (provider ? undefined : 'gpt-4o'),
+      fallback: fallback ?? [],
+      temperature,
+      maxTokens,
     });
-    const code = completion.choices[0]?.message?.content || 'No code generated.';
-    res.json({ code });
+    await audit(req, 'playwright.generate', { type: 'playwright-spec' }, { scenario: String(scenario).slice(0, 200), provider: result.provider, run, template });
+    res.json({ ...result, code: result.code || 'No code generated.', template });
   } catch (error) {
+    if (error.expose) return res.status(error.status || 400).json({ error: error.message });
     console.error('Playwright AI Error:', error.message);
-    res.status(500).json({ error: 'Failed to generate Playwright code' });
+    res.status(500).json({ error: 'Failed to generate Playwright code', attempts: error.attempts });
   }
 });
 
-app.post('/generate-test-cases', async (req, res) => {
+// Builds a downloadable Playwright project (page objects, fixtures, one spec per feature)
+// from `testCases` or a saved suite (`suiteId`, optional `version`).
+app.post('/api/playwright/project', async (req, res) => {
   try {
-    const { input, useKnowledgeBase } = req.body;
-    if (!input) return res.status(400).json({ error: 'Input is required' });
-    let finalInput = input;
-    if (useKnowledgeBase) {
-      console.log('OpenAI: Augmenting prompt with knowledge base...');
-      const relevantDocs = await vectorStore.similaritySearch(input, 3);
-      const context = relevantDocs.map(doc => doc.pageContent).join('\n---\n');
-      finalInput = `Based on the following context...\n\n[CONTEXT]\n${context}\n\n[USER REQUEST]\n${input}`;
+    const { testCases, suiteId, version, pages, baseUrl, name, maxRepairs, provider, model, temperature, maxTokens, fallback } = req.body || {};
+    let cases = testCases;
+    let projectName = name;
+    if (suiteId) {
+      const suite = await suites.getSuite(suiteId, scope(req));
+      cases = version ? (await suites.getVersion(suiteId, version)).testCases : suite.testCases;
+      projectName = projectName || suite.name;
     }
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [{ role: 'user', content: finalInput }]
+    const problems = validateTestCases(cases);
+    if (problems) return res.status(400).json({ error: 'Invalid test cases', details: problems });
+    const { buffer, filename, contentType, report } = await buildPlaywrightProject({
+      testCases: cases, pages, baseUrl, name: projectName || 'playwright-tests', maxRepairs, provider, model, temperature, maxTokens, fallback,
     });
-    const result = completion.choices[0]?.message?.content || 'No response';
-    res.json({ output: result });
+    await audit(req, 'playwright.project', { type: suiteId ? 'suite' : 'test-cases', id: suiteId }, { name: projectName, caseCount: cases.length });
+    res.set('X-Generation-Valid', String(report.valid));
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(buffer);
   } catch (error) {
-    console.error('OpenAI Error:', error.message);
-    res.status(500).json({ error: 'Failed to generate test cases from OpenAI' });
+    sendError(res, error, 'Playwright Project Error', 'Failed to generate Playwright project.');
   }
 });
 
-app.post('/generate-gemini-test-cases', async (req, res) => {
+// Streams generation events as SSE, or as NDJSON for clients that ask for it with
+// `Accept: application/x-ndjson`. A client disconnect aborts the model request.
+async function streamResponse(req, res, ctx, errorMessage) {
+  const ndjson = (req.get('Accept') || '').includes('application/x-ndjson');
+  res.status(200);
+  res.set({
+    'Content-Type': ndjson ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const emit = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(ndjson ? `${JSON.stringify({ event, ...data })}\n` : `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
   try {
-    const { input, useKnowledgeBase } = req.body;
-    if (!input) return res.status(400).json({ error: 'Input is required' });
-    let finalInput = input;
-    if (useKnowledgeBase) {
-      console.log('Gemini: Augmenting prompt with knowledge base...');
-      const relevantDocs = await vectorStore.similaritySearch(input, 3);
-      const context = relevantDocs.map(doc => doc.pageContent).join('\n---\n');
-      finalInput = `Based on the following context...\n\n[CONTEXT]\n${context}\n\n[USER REQUEST]\n${input}`;
+    await streamGeneration(ctx, emit, controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('Generation stream cancelled by client.');
+      return;
     }
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' }); // Updated Gemini model
-    const result = await model.generateContent(finalInput);
-    const text = result.response.text();
-    res.json({ output: text });
+    console.error('Generation Error:', error.message);
+    emit('error', { error: error.expose ? error.message : errorMessage, details: error.details, attempts: error.attempts });
+  }
+  res.end();
+}
+
+// What the audit log keeps about a generation request.
+const generationDetails = (body = {}, provider) => ({
+  input: body.input === undefined ? undefined : String(body.input).slice(0, 200),
+  stories: Array.isArray(body.stories) ? body.stories.length : undefined,
+  provider: provider || body.provider,
+  format: body.format,
+  projectId: body.projectId,
+  suiteId: body.suiteId,
+  docIds: body.docIds,
+  tags: body.tags,
+  mode: body.mode,
+  templateId: body.templateId,
+});
+
+// One handler for every generation route. The legacy per-vendor routes below are
+// aliases that only pin the provider and keep their old error message.
+// `stream: true` in the body (or the /stream route) switches the response to an event stream.
+const handleGenerate = ({ provider, errorMessage = 'Failed to generate test cases', stream = false } = {}) => async (req, res) => {
+  try {
+    const ctx = await prepareGeneration(req.body || {}, { provider, ...scope(req), actor: req.auth.actor });
+    await audit(req, 'generation.run', { type: 'generation' }, generationDetails(req.body, provider));
+    if (stream || req.body?.stream === true) return await streamResponse(req, res, ctx, errorMessage);
+    res.json(await runGeneration(ctx));
   } catch (error) {
-    console.error('Gemini Error:', error.message);
-    res.status(500).json({ error: 'Failed to generate test cases from Gemini' });
+    if (error.expose) return res.status(error.status || 400).json({ error: error.message });
+    console.error('Generation Error:', error.message);
+    res.status(500).json({ error: errorMessage, details: error.details, attempts: error.attempts });
+  }
+};
+
+// Compare mode: same body as /api/generate (structured) plus `models` (["openai", "anthropic:claude-3-5-sonnet-20240620",
+// ...], default every configured provider) and `similarity`, the duplicate threshold.
+app.post('/api/generate/compare', async (req, res) => {
+  try {
+    const { models, similarity, ...body } = req.body || {};
+    const ctx = await prepareGeneration({ format: 'structured', ...body }, { ...scope(req), actor: req.auth.actor });
+    const result = await runComparison(ctx, { models, similarity });
+    await audit(req, 'generation.compare', { type: 'generation', id: result.generationId }, {
+      ...generationDetails(body), models: result.models.map(m => `${m.provider}:${m.model}`),
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.expose) return res.status(error.status || 400).json({ error: error.message, details: error.details });
+    console.error('Compare Error:', error.message);
+    res.status(500).json({ error: 'Failed to compare models', details: error.details, attempts: error.attempts });
   }
 });
 
-app.post('/generate-claude-test-cases', async (req, res) => {
+// --- Queued generation: same body as /api/generate, or { stories: [...], ...shared } for a batch ---
+app.post('/api/generate/jobs', async (req, res) => {
   try {
-    const { input, useKnowledgeBase } = req.body;
-    if (!input) return res.status(400).json({ error: 'Input is required' });
-    let finalInput = input;
-    if (useKnowledgeBase) {
-      console.log('Claude: Augmenting prompt with knowledge base...');
-      const relevantDocs = await vectorStore.similaritySearch(input, 3);
-      const context = relevantDocs.map(doc => doc.pageContent).join('\n---\n');
-      finalInput = `Based on the following context...\n\n[CONTEXT]\n${context}\n\n[USER REQUEST]\n${input}`;
+    const queued = await generationJobs.enqueue(req.body || {}, { ...scope(req), actor: req.auth.actor });
+    await audit(req, 'generation.enqueue', { type: 'job', id: queued.jobId }, generationDetails(req.body));
+    res.status(202).json(queued);
+  } catch (error) {
+    sendError(res, error, 'Generation Enqueue Error', 'Failed to enqueue generation job.');
+  }
+});
+
+app.get('/api/generate/jobs/:jobId', async (req, res) => {
+  try {
+    res.json(await generationJobs.getStatus(req.params.jobId, scope(req)));
+  } catch (error) {
+    sendError(res, error, 'Generation Job Error', 'Failed to read generation job.');
+  }
+});
+
+app.post('/api/generate/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    res.json(await generationJobs.cancel(req.params.jobId, scope(req)));
+  } catch (error) {
+    sendError(res, error, 'Generation Cancel Error', 'Failed to cancel generation job.');
+  }
+});
+
+app.get('/api/schema/test-case', (req, res) => res.json(testCaseSchema));
+app.get('/api/providers', (req, res) => res.json({ providers: listProviders() }));
+app.post('/api/generate', handleGenerate());
+app.post('/api/generate/stream', handleGenerate({ stream: true }));
+app.post('/generate-test-cases', handleGenerate({ provider: 'openai', errorMessage: 'Failed to generate test cases from OpenAI' }));
+app.post('/generate-gemini-test-cases', handleGenerate({ provider: 'gemini', errorMessage: 'Failed to generate test cases from Gemini' }));
+app.post('/generate-claude-test-cases', handleGenerate({ provider: 'anthropic', errorMessage: 'Failed to generate test cases from Claude' }));
+
+// --- Prompt templates (see prompt-templates.cjs); built-ins have ids like "builtin:functional" ---
+// Renders the exact prompt a request would send, without calling a model. Body: a generation
+// body (/api/generate) or, with mode "playwright", an /ai-generate-playwright body; `template`
+// previews an unsaved template body instead of the saved one.
+app.post('/api/prompt-templates/preview', async (req, res) => {
+  try {
+    const { template: draft, ...body } = req.body || {};
+    if (body.mode !== 'playwright') {
+      return res.json(await previewGeneration(body, { ...scope(req), draft }));
     }
-    const msg = await anthropic.messages.create({
-      model: "claude-3-5-sonnet-20240620", // Updated Claude model
-      max_tokens: 4096,
-      messages: [{ role: "user", content: finalInput }],
-    });
-    const result = msg.content[0]?.text || 'No response';
-    res.json({ output: result });
+    if (!body.scenario) return res.status(400).json({ error: 'Scenario is required' });
+    res.json(await promptTemplates.renderPrompt('playwright', playwrightPromptVars(body), {
+      templateId: body.templateId, templateVersion: body.templateVersion, draft, ...scope(req),
+    }));
+  } catch (error) {
+    sendError(res, error, 'Prompt Preview Error', 'Failed to render the prompt.');
+  }
+});
+
+app.get('/api/prompt-templates', async (req, res) => {
+  try {
+    res.json({ modes: promptTemplates.MODES, templates: await promptTemplates.listTemplates({ mode: req.query.mode, ...scope(req) }) });
+  } catch (error) {
+    sendError(res, error, 'Prompt Template List Error', 'Failed to list prompt templates.');
+  }
+});
+
+// Body: { mode, name, description, body, makeDefault }
+app.post('/api/prompt-templates', async (req, res) => {
+  try {
+    const template = await promptTemplates.createTemplate(req.body || {}, { ...scope(req), createdBy: req.auth.actor.keyId });
+    await audit(req, 'template.create', { type: 'prompt-template', id: template.id, name: template.name }, { mode: template.mode, isDefault: template.isDefault });
+    res.status(201).json({ template });
+  } catch (error) {
+    sendError(res, error, 'Prompt Template Create Error', 'Failed to create prompt template.');
+  }
+});
+
+app.get('/api/prompt-templates/:templateId', async (req, res) => {
+  try {
+    res.json({ template: await promptTemplates.getTemplate(req.params.templateId, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Prompt Template Error', 'Failed to read prompt template.');
+  }
+});
+
+// Body: { body, name, description, note }. A changed body becomes a new version.
+app.put('/api/prompt-templates/:templateId', async (req, res) => {
+  try {
+    const template = await promptTemplates.updateTemplate(req.params.templateId, req.body || {}, { ...scope(req), createdBy: req.auth.actor.keyId });
+    await audit(req, 'template.update', { type: 'prompt-template', id: template.id, name: template.name }, { version: template.version });
+    res.json({ template });
   } catch (error) {
-    console.error('Claude Error:', error);
-    res.status(500).json({ error: 'Failed to generate test cases from Claude' });
+    sendError(res, error, 'Prompt Template Update Error', 'Failed to update prompt template.');
+  }
+});
+
+app.get('/api/prompt-templates/:templateId/versions', async (req, res) => {
+  try {
+    res.json({ versions: await promptTemplates.listTemplateVersions(req.params.templateId, scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'Prompt Template Versions Error', 'Failed to list template versions.');
+  }
+});
+
+app.post('/api/prompt-templates/:templateId/default', async (req, res) => {
+  try {
+    const template = await promptTemplates.setDefaultTemplate(req.params.templateId, scope(req));
+    await audit(req, 'template.default', { type: 'prompt-template', id: template.id, name: template.name }, { mode: template.mode });
+    res.json({ template });
+  } catch (error) {
+    sendError(res, error, 'Prompt Template Default Error', 'Failed to set the default template.');
+  }
+});
+
+app.delete('/api/prompt-templates/:templateId', requireRole('admin'), async (req, res) => {
+  try {
+    const template = await promptTemplates.deleteTemplate(req.params.templateId, scope(req));
+    await audit(req, 'template.delete', { type: 'prompt-template', id: template.id, name: template.name }, { mode: template.mode });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Prompt Template Delete Error', 'Failed to delete prompt template.');
+  }
+});
+
+// --- Project, Suite & History Routes ---
+// The route's suite, if it is in the caller's workspace (404 otherwise).
+const ownSuite = (req) => suites.getSuite(req.params.suiteId, scope(req));
+
+app.post('/api/projects', async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    res.status(201).json({ project: await suites.createProject({ name, description, ...scope(req) }) });
+  } catch (error) {
+    sendError(res, error, 'Create Project Error', 'Failed to create project.');
+  }
+});
+
+app.get('/api/projects', async (req, res) => {
+  try {
+    res.json({ projects: await suites.listProjects(scope(req)) });
+  } catch (error) {
+    sendError(res, error, 'List Projects Error', 'Failed to list projects.');
+  }
+});
+
+app.get('/api/projects/:projectId/suites', async (req, res) => {
+  try {
+    await suites.getProject(req.params.projectId, scope(req));
+    res.json({ suites: await suites.listSuites(req.params.projectId) });
+  } catch (error) {
+    sendError(res, error, 'List Suites Error', 'Failed to list suites.');
+  }
+});
+
+app.post('/api/projects/:projectId/suites', async (req, res) => {
+  try {
+    const { name, testCases } = req.body || {};
+    res.status(201).json({ suite: await suites.createSuite({ projectId: req.params.projectId, name, testCases, ...scope(req) }) });
+  } catch (error) {
+    sendError(res, error, 'Create Suite Error', 'Failed to create suite.');
+  }
+});
+
+app.get('/api/suites/:suiteId', async (req, res) => {
+  try {
+    res.json({ suite: await ownSuite(req) });
+  } catch (error) {
+    sendError(res, error, 'Get Suite Error', 'Failed to load suite.');
+  }
+});
+
+app.patch('/api/suites/:suiteId', async (req, res) => {
+  try {
+    await ownSuite(req);
+    res.json({ suite: await suites.renameSuite(req.params.suiteId, req.body?.name) });
+  } catch (error) {
+    sendError(res, error, 'Rename Suite Error', 'Failed to update suite.');
+  }
+});
+
+app.delete('/api/suites/:suiteId', async (req, res) => {
+  try {
+    const suite = await ownSuite(req);
+    await suites.deleteSuite(suite._id);
+    await audit(req, 'suite.delete', { type: 'suite', id: suite._id, name: suite.name }, { version: suite.version });
+    res.json({ message: 'Suite deleted successfully.' });
+  } catch (error) {
+    sendError(res, error, 'Delete Suite Error', 'Failed to delete suite.');
+  }
+});
+
+app.put('/api/suites/:suiteId/cases', async (req, res) => {
+  try {
+    const { testCases, note } = req.body || {};
+    await ownSuite(req);
+    res.json({ suite: await suites.replaceCases(req.params.suiteId, testCases, note || 'Replaced test cases') });
+  } catch (error) {
+    sendError(res, error, 'Replace Cases Error', 'Failed to update suite.');
+  }
+});
+
+app.post('/api/suites/:suiteId/cases', async (req, res) => {
+  try {
+    await ownSuite(req);
+    res.status(201).json({ suite: await suites.addCase(req.params.suiteId, req.body?.testCase) });
+  } catch (error) {
+    sendError(res, error, 'Add Case Error', 'Failed to add test case.');
+  }
+});
+
+app.put('/api/suites/:suiteId/cases/:caseId', async (req, res) => {
+  try {
+    await ownSuite(req);
+    res.json({ suite: await suites.updateCase(req.params.suiteId, req.params.caseId, req.body?.testCase) });
+  } catch (error) {
+    sendError(res, error, 'Update Case Error', 'Failed to update test case.');
+  }
+});
+
+app.delete('/api/suites/:suiteId/cases/:caseId', async (req, res) => {
+  try {
+    await ownSuite(req);
+    res.json({ suite: await suites.deleteCase(req.params.suiteId, req.params.caseId) });
+  } catch (error) {
+    sendError(res, error, 'Delete Case Error', 'Failed to delete test case.');
+  }
+});
+
+app.get('/api/suites/:suiteId/versions', async (req, res) => {
+  try {
+    await ownSuite(req);
+    res.json({ versions: await suites.listVersions(req.params.suiteId) });
+  } catch (error) {
+    sendError(res, error, 'List Versions Error', 'Failed to list versions.');
+  }
+});
+
+app.get('/api/suites/:suiteId/versions/:version', async (req, res) => {
+  try {
+    await ownSuite(req);
+    res.json({ version: await suites.getVersion(req.params.suiteId, req.params.version) });
+  } catch (error) {
+    sendError(res, error, 'Get Version Error', 'Failed to load version.');
+  }
+});
+
+// GET /api/suites/:suiteId/diff?from=1&to=3 (to defaults to the latest version)
+app.get('/api/suites/:suiteId/diff', async (req, res) => {
+  try {
+    const suite = await ownSuite(req);
+    const from = Number(req.query.from);
+    const to = req.query.to === undefined ? suite.version : Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: '"from" and "to" must be version numbers.' });
+    }
+    res.json(await suites.diffVersions(suite._id, from, to));
+  } catch (error) {
+    sendError(res, error, 'Diff Error', 'Failed to diff versions.');
+  }
+});
+
+app.get('/api/generations', async (req, res) => {
+  try {
+    const { projectId, suiteId, limit } = req.query;
+    res.json({ generations: await suites.listGenerations({ projectId, suiteId, limit, ...scope(req) }) });
+  } catch (error) {
+    sendError(res, error, 'List Generations Error', 'Failed to list generation history.');
+  }
+});
+
+// --- Export Route ---
+app.post('/api/export', async (req, res) => {
+  const { testCases, format, name, projectKey } = req.body || {};
+  if (!exportFormats.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${exportFormats.join(', ')}` });
+  }
+  const problems = validateTestCases(testCases);
+  if (problems) return res.status(400).json({ error: 'Invalid test cases', details: problems });
+  try {
+    const { buffer, filename, contentType } = await exportTestCases(testCases, format, { name: name || 'test-cases', projectKey });
+    res.attachment(filename);
+    res.type(contentType);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Export Error:', error);
+    res.status(500).json({ error: 'Failed to export test cases.' });
   }
 });
 
@@ -353,4 +1201,10 @@ app.post('/generate-claude-test-cases', async (req, res) => {
    ============================================= */
 app.listen(PORT, () => {
   console.log(`Server is running and listening on port ${PORT}`);
+  if (isDbConfigured()) {
+    kb.dropLegacyIndexes().catch(() => {});
+    kb.importLegacyCatalog()
+      .then(count => count && console.log(`Imported ${count} document(s) from document-list.json into the catalog.`))
+      .catch(error => console.error('Legacy catalog import failed:', error.message));
+  }
 });
\ No newline at end of file
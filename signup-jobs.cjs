@@ -0,0 +1,357 @@
+/* =============================================
+   |     SIGNUP JOBS: CHUNKING & AGGREGATION   |
+   ============================================= */
+// /signup-agent requests of up to SIGNUP_MAX_COUNT accounts. Up to SIGNUP_CHUNK_SIZE they are
+// one "create-accounts-job"; larger requests become a BullMQ flow: one child job per chunk
+// (accounts numbered startIndex..) under an "aggregate-accounts" parent that runs once every
+// child has finished and merges their results. Clients only ever see the parent's id.
+//
+// Children store their artifacts under the parent's id (account numbers do not overlap), so
+// /jobs/<parent>/artifacts lists them all; they report progress under their own ids and the
+// parent's /job-status sums it.
+//
+// Job management (GET /api/jobs...): cancelling sets a Redis flag that the worker checks
+// between accounts, so a job stops cleanly and completes with `cancelled: true` and the
+// accounts it did create. "Retry failures" queues a new job (data.retryOf) that runs only the
+// account numbers listed in the old job's failures (data.accounts). Finished jobs are kept
+// for SIGNUP_JOB_RETENTION_DAYS (default 7); job-history.cjs keeps them for good.
+//
+// Pool top-up schedules are BullMQ job schedulers producing "pool-topup" jobs: the worker
+// tops the target's pool up to `topUpTo` when fewer than `minAvailable` accounts are free.
+//
+// Jobs and schedules carry the workspaceId of the caller that queued them (workspaces.cjs);
+// the management functions take { workspaceId } and treat other workspaces' jobs as not found.
+const { Queue, FlowProducer } = require('bullmq');
+const { resolveTarget } = require('./targets.cjs');
+const { normalizeTags } = require('./accounts.cjs');
+const { parseDate } = require('./job-history.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+const { DEFAULT_WORKSPACE, inWorkspace } = require('./workspaces.cjs');
+
+const SIGNUP_QUEUE = 'signup-jobs';
+const MAX_SIGNUP_COUNT = Number(process.env.SIGNUP_MAX_COUNT) || 50;
+const SIGNUP_CHUNK_SIZE = Number(process.env.SIGNUP_CHUNK_SIZE) || 10;
+const KEEP_FINISHED_SECONDS = (Number(process.env.SIGNUP_JOB_RETENTION_DAYS) || 7) * 24 * 3600;
+// How many jobs per state GET /api/jobs looks at; older ones are in the history.
+const MAX_LISTED_PER_STATE = 1000;
+const JOB_STATES = ['waiting', 'prioritized', 'delayed', 'active', 'waiting-children', 'completed', 'failed'];
+const JOB_TYPES = { 'create-accounts-job': 'signup', 'aggregate-accounts': 'signup', 'run-flow': 'flow', 'pool-topup': 'pool-topup' };
+
+const cancelKey = (jobId) => `${SIGNUP_QUEUE}:cancel:${jobId}`;
+// Scheduler ids are global, so a schedule's id is prefixed with its workspace.
+const schedulerKey = (workspaceId, scheduleId) => `${workspaceId || DEFAULT_WORKSPACE}:${scheduleId}`;
+const topUpKey = (workspaceId, scheduleId) => `${SIGNUP_QUEUE}:topup:${schedulerKey(workspaceId, scheduleId)}`;
+
+const jobOptions = () => ({
+  removeOnComplete: { age: KEEP_FINISHED_SECONDS },
+  removeOnFail: { age: KEEP_FINISHED_SECONDS },
+});
+
+// [{ startIndex, count }] covering 1..count in chunks of at most `size`.
+function splitCount(count, size = SIGNUP_CHUNK_SIZE) {
+  const chunks = [];
+  for (let start = 1; start <= count; start += size) chunks.push({ startIndex: start, count: Math.min(size, count - start + 1) });
+  return chunks;
+}
+
+// The account numbers a job runs: data.accounts for a retry, else startIndex.. for its count.
+function jobAccounts(data) {
+  if (data.accounts) return data.accounts;
+  const count = Number(data.countToCreate ?? data.count ?? 1) || 1;
+  return Array.from({ length: count }, (_, i) => (data.startIndex || 1) + i);
+}
+
+// Whether the job, or the request it is a chunk of, has been cancelled.
+async function isCancelled(connection, job) {
+  const ids = [job.id, job.parent?.id].filter(Boolean);
+  return (await Promise.all(ids.map(id => connection.exists(cancelKey(id))))).some(Boolean);
+}
+
+/**
+ * The list/history view of a job: { jobId, workspaceId, type, name, status, brand,
+ * environment, region, flow, count, tags, retryOf, scheduleId, createdAt, startedAt,
+ * finishedAt, successes, failures, error }. status is the BullMQ state, or "cancelled" /
+ * "cancelling".
+ */
+function summarizeJob(job, state, { cancelRequested = false } = {}) {
+  const { data } = job;
+  const target = data.target || data;
+  const result = job.returnvalue && typeof job.returnvalue === 'object' ? job.returnvalue : null;
+  const finished = state === 'completed' || state === 'failed';
+  let status = state;
+  if (result?.cancelled) status = 'cancelled';
+  else if (cancelRequested && !finished) status = 'cancelling';
+  return {
+    jobId: job.id,
+    workspaceId: data.workspaceId || DEFAULT_WORKSPACE,
+    type: JOB_TYPES[job.name] || job.name,
+    name: job.name,
+    status,
+    brand: target.brand || null,
+    environment: target.environment || null,
+    region: target.region || null,
+    flow: data.flow?.name || (job.name === 'run-flow' ? null : 'signup'),
+    count: data.accounts?.length ?? data.countToCreate ?? data.count ?? null,
+    tags: data.tags || [],
+    retryOf: data.retryOf || null,
+    scheduleId: data.scheduleId || null,
+    createdAt: new Date(job.timestamp),
+    startedAt: job.processedOn ? new Date(job.processedOn) : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+    successes: Array.isArray(result?.successes) ? result.successes.length : null,
+    failures: Array.isArray(result?.failures) ? result.failures.length : null,
+    error: job.failedReason || null,
+  };
+}
+
+// A parent's chunk jobs in account order, found through its dependency keys ("bull:signup-jobs:<id>").
+async function childJobs(job, queue) {
+  const { processed = {}, unprocessed = [], ignored = {} } = await job.getDependencies();
+  const ids = [...Object.keys(processed), ...unprocessed, ...Object.keys(ignored)].map(key => key.split(':').pop());
+  return (await Promise.all(ids.map(id => queue.getJob(id)))).filter(Boolean)
+    .sort((a, b) => a.data.startIndex - b.data.startIndex);
+}
+
+/**
+ * Merges the children's { successes, failures, artifacts, registered } for an "aggregate-accounts" job.
+ * A chunk that failed outright (e.g. the browser did not start) counts all its accounts as failed.
+ */
+async function aggregateChunks(job, queue) {
+  const children = await childJobs(job, queue);
+  const result = { successes: [], failures: [], artifacts: [], registered: { recorded: 0, duplicates: [] }, chunks: [] };
+  for (const child of children) {
+    const value = child.returnvalue;
+    if (value) {
+      result.successes.push(...value.successes);
+      result.failures.push(...value.failures);
+      result.artifacts.push(...(value.artifacts || []));
+      result.registered.recorded += value.registered?.recorded || 0;
+      result.registered.duplicates.push(...(value.registered?.duplicates || []));
+      result.chunks.push({ jobId: child.id, startIndex: child.data.startIndex, count: child.data.countToCreate, ok: true });
+    } else {
+      const error = child.failedReason || 'Chunk did not finish.';
+      jobAccounts(child.data).forEach(accountIndex => result.failures.push({ accountIndex, error: `Chunk failed: ${error}` }));
+      result.chunks.push({ jobId: child.id, startIndex: child.data.startIndex, count: child.data.countToCreate, ok: false, error });
+    }
+  }
+  result.failures.sort((a, b) => a.accountIndex - b.accountIndex);
+  if (children.some(child => child.returnvalue?.cancelled)) result.cancelled = true;
+  return result;
+}
+
+function createSignupJobs(connection) {
+  const queue = new Queue(SIGNUP_QUEUE, { connection });
+  let flowProducer;
+
+  /**
+   * Queues `data` ({ countToCreate, brand, environment, region, flow, artifacts, tags }, plus
+   * `accounts` and `retryOf` for a retry) as one job, or as a parent with one child per chunk.
+   * Resolves to the job clients should poll.
+   */
+  async function enqueue(data) {
+    const chunks = data.accounts
+      ? splitCount(data.accounts.length).map(({ startIndex, count }) => {
+        const accounts = data.accounts.slice(startIndex - 1, startIndex - 1 + count);
+        return { startIndex: accounts[0], count, accounts };
+      })
+      : splitCount(data.countToCreate);
+    if (chunks.length === 1) return queue.add('create-accounts-job', data, jobOptions());
+    if (!flowProducer) {
+      flowProducer = new FlowProducer({ connection });
+      // Without an 'error' listener a Redis outage would crash the process.
+      flowProducer.on('error', error => console.error('Signup FlowProducer error:', error.message));
+    }
+    const { job } = await flowProducer.add({
+      name: 'aggregate-accounts',
+      queueName: SIGNUP_QUEUE,
+      data: { ...data, flow: undefined, chunks: chunks.length },
+      opts: jobOptions(),
+      children: chunks.map(({ startIndex, count, accounts }) => ({
+        name: 'create-accounts-job',
+        queueName: SIGNUP_QUEUE,
+        data: { ...data, countToCreate: count, startIndex, accounts },
+        // A failed chunk must not leave the parent waiting forever.
+        opts: { ...jobOptions(), ignoreDependencyOnFailure: true },
+      })),
+    });
+    return job;
+  }
+
+  /**
+   * For a parent job: [{ jobId, startIndex, count, status, progress }] per chunk, plus the
+   * children's progress summed into one { accounts, completed, failed, active, timeline }.
+   */
+  async function chunkStatus(job) {
+    const chunks = await Promise.all((await childJobs(job, queue)).map(async child => ({
+      jobId: child.id,
+      startIndex: child.data.startIndex,
+      count: child.data.countToCreate,
+      status: await child.getState(),
+      progress: typeof child.progress === 'object' ? child.progress : null,
+    })));
+    const progress = { accounts: job.data.countToCreate, completed: 0, failed: 0, active: [], timeline: [] };
+    chunks.forEach(({ progress: p }) => {
+      if (!p) return;
+      progress.completed += p.completed || 0;
+      progress.failed += p.failed || 0;
+      progress.active.push(...(p.active || []));
+      progress.timeline.push(...(p.timeline || []));
+    });
+    return { chunks, progress };
+  }
+
+  // A top-level job (a request's chunks are managed through their parent) in `workspaceId`.
+  async function getTopLevelJob(jobId, workspaceId) {
+    const job = await queue.getJob(jobId);
+    if (!job || job.parent || (workspaceId && !inWorkspace(job.data, workspaceId))) throw notFound('Job not found.');
+    return job;
+  }
+
+  async function describe(job, state) {
+    const status = state || await job.getState();
+    return summarizeJob(job, status, { cancelRequested: Boolean(await connection.exists(cancelKey(job.id))) });
+  }
+
+  /**
+   * Jobs still in the queue, newest first. Filters: { state, type, brand, environment, region,
+   * from, to } (from/to bound the creation time). Resolves to { jobs, total }.
+   */
+  async function list({ workspaceId, state, type, brand, environment, region, from, to, limit = 50, offset = 0 } = {}) {
+    if (state && !JOB_STATES.includes(state) && state !== 'cancelled') {
+      throw badRequest(`"state" must be one of: ${[...JOB_STATES, 'cancelled'].join(', ')}.`);
+    }
+    const types = [...new Set(Object.values(JOB_TYPES))];
+    if (type && !types.includes(type)) throw badRequest(`"type" must be one of: ${types.join(', ')}.`);
+    const after = parseDate(from, 'from');
+    const before = parseDate(to, 'to');
+    const states = !state ? JOB_STATES : state === 'cancelled' ? ['completed'] : [state];
+    const perState = await Promise.all(states.map(async s => {
+      const jobs = await queue.getJobs([s], 0, MAX_LISTED_PER_STATE - 1);
+      const visible = jobs.filter(job => job && !job.parent && (!workspaceId || inWorkspace(job.data, workspaceId)));
+      return Promise.all(visible.map(job => describe(job, s)));
+    }));
+    const matches = perState.flat().filter(job => (!state || job.status === state || (state !== 'cancelled' && job.status === 'cancelling'))
+      && (!type || job.type === type)
+      && (!brand || job.brand === String(brand).toLowerCase())
+      && (!environment || job.environment === String(environment).toLowerCase())
+      && (!region || job.region === String(region).toUpperCase())
+      && (!after || job.createdAt >= after)
+      && (!before || job.createdAt <= before));
+    matches.sort((a, b) => b.createdAt - a.createdAt);
+    const start = Math.max(Number(offset) || 0, 0);
+    return { jobs: matches.slice(start, start + Math.min(Math.max(Number(limit) || 50, 1), 500)), total: matches.length };
+  }
+
+  async function get(jobId, { workspaceId } = {}) {
+    return describe(await getTopLevelJob(jobId, workspaceId));
+  }
+
+  /**
+   * Cancels a waiting or running job. Accounts already being created finish; no new one
+   * starts, and a job that has not started yet completes without creating any.
+   */
+  async function cancel(jobId, { workspaceId } = {}) {
+    const job = await getTopLevelJob(jobId, workspaceId);
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') throw httpError(409, `Job already ${state}.`);
+    await connection.set(cancelKey(jobId), '1', 'EX', KEEP_FINISHED_SECONDS);
+    return describe(job, state);
+  }
+
+  /**
+   * Queues a new job for the accounts a finished job failed to create (all of them when the
+   * job failed outright). Resolves to the new job.
+   */
+  async function retryFailures(jobId, { workspaceId } = {}) {
+    const job = await getTopLevelJob(jobId, workspaceId);
+    const state = await job.getState();
+    if (state !== 'completed' && state !== 'failed') throw httpError(409, `Job is ${state}; only finished jobs can be retried.`);
+    if (!JOB_TYPES[job.name] || job.name === 'pool-topup') throw httpError(409, 'Only signup and flow jobs can be retried.');
+    const failed = state === 'failed' || !job.returnvalue
+      ? jobAccounts(job.data)
+      : (job.returnvalue.failures || []).map(failure => failure.accountIndex);
+    if (!failed.length) throw httpError(409, 'The job has no failed accounts.');
+    const accounts = [...new Set(failed)].sort((a, b) => a - b);
+    const { startIndex, chunks, ...data } = job.data;
+    if (job.name === 'run-flow') {
+      return queue.add('run-flow', { ...data, count: accounts.length, accounts, retryOf: job.id }, jobOptions());
+    }
+    // A chunked request keeps the flow snapshot on its chunks only.
+    const flow = data.flow || (await childJobs(job, queue))[0]?.data.flow;
+    return enqueue({ ...data, flow, countToCreate: accounts.length, accounts, retryOf: job.id });
+  }
+
+  /* ---------------- Pool top-up schedules ---------------- */
+  const describeSchedule = (scheduler) => ({
+    every: scheduler.every || null,
+    cron: scheduler.pattern || null,
+    next: scheduler.next ? new Date(scheduler.next) : null,
+    ...scheduler.template?.data,
+  });
+
+  async function listSchedules({ workspaceId } = {}) {
+    const schedulers = await queue.getJobSchedulers();
+    return schedulers
+      .filter(s => s.name === 'pool-topup' && (!workspaceId || inWorkspace(s.template?.data, workspaceId)))
+      .map(describeSchedule);
+  }
+
+  /**
+   * Creates or replaces the top-up schedule `scheduleId` of `workspaceId`: { brand,
+   * environment, region, tags, minAvailable, topUpTo, everyMinutes | cron }.
+   */
+  async function saveSchedule(scheduleId, { brand, environment, region, tags, minAvailable, topUpTo, everyMinutes, cron } = {}, { workspaceId = DEFAULT_WORKSPACE } = {}) {
+    if (!/^[\w.-]{1,64}$/.test(scheduleId)) throw badRequest('A schedule id may only contain letters, digits, ".", "_" and "-".');
+    const target = resolveTarget({ brand, environment, region });
+    const min = Math.floor(Number(minAvailable));
+    if (!Number.isFinite(min) || min < 1) throw badRequest('"minAvailable" must be a positive number.');
+    const upTo = topUpTo === undefined ? min : Math.floor(Number(topUpTo));
+    if (!Number.isFinite(upTo) || upTo < min) throw badRequest('"topUpTo" must be at least "minAvailable".');
+    if (upTo - min > MAX_SIGNUP_COUNT) throw badRequest(`"topUpTo" may exceed "minAvailable" by at most ${MAX_SIGNUP_COUNT}.`);
+    if (Boolean(cron) === (everyMinutes !== undefined)) throw badRequest('Give either "everyMinutes" or "cron".');
+    const minutes = Number(everyMinutes);
+    if (!cron && (!Number.isFinite(minutes) || minutes < 1)) throw badRequest('"everyMinutes" must be at least 1.');
+    const repeat = cron ? { pattern: String(cron) } : { every: Math.round(minutes * 60 * 1000) };
+    try {
+      await queue.upsertJobScheduler(schedulerKey(workspaceId, scheduleId), repeat, {
+        name: 'pool-topup',
+        data: {
+          scheduleId,
+          workspaceId,
+          brand: target.brand,
+          environment: target.environment,
+          region: target.region,
+          tags: normalizeTags(tags),
+          minAvailable: min,
+          topUpTo: upTo,
+        },
+        opts: jobOptions(),
+      });
+    } catch (error) {
+      if (cron) throw badRequest(`Invalid "cron": ${error.message}`);
+      throw error;
+    }
+    const saved = (await listSchedules({ workspaceId })).find(schedule => schedule.scheduleId === scheduleId);
+    return saved || { scheduleId };
+  }
+
+  async function removeSchedule(scheduleId, { workspaceId = DEFAULT_WORKSPACE } = {}) {
+    if (!(await queue.removeJobScheduler(schedulerKey(workspaceId, scheduleId)))) throw notFound('Schedule not found.');
+    await connection.del(topUpKey(workspaceId, scheduleId));
+  }
+
+  return { queue, enqueue, chunkStatus, list, get, cancel, retryFailures, listSchedules, saveSchedule, removeSchedule };
+}
+
+module.exports = {
+  SIGNUP_QUEUE,
+  MAX_SIGNUP_COUNT,
+  SIGNUP_CHUNK_SIZE,
+  topUpKey,
+  splitCount,
+  jobAccounts,
+  isCancelled,
+  summarizeJob,
+  aggregateChunks,
+  createSignupJobs,
+};
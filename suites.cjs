@@ -0,0 +1,262 @@
+/* =============================================
+   |     TEST SUITES, VERSIONS & HISTORY       |
+   ============================================= */
+// projects           { _id, workspaceId, name, description, createdAt, updatedAt }
+// suites             { _id, workspaceId, projectId, name, version, testCases, generation, createdAt, updatedAt }
+// suite_versions     { suiteId, version, testCases, change, createdAt }
+// generations        { _id, workspaceId, actor, prompt, provider, model, format, documents, projectId, suiteId, version,
+//                      template: { id, name, mode, version, source }, createdAt }
+//
+// Every change to a suite writes a full snapshot to suite_versions, so any two
+// versions can be diffed without replaying edits. A suite lives in its project's workspace;
+// lookups given a `workspaceId` treat records of other workspaces as not found.
+const { v4: uuidv4 } = require('uuid');
+const { getDb, registerIndexes } = require('./db.cjs');
+const { badRequest, notFound, httpError } = require('./errors.cjs');
+const { validateTestCases } = require('./test-cases.cjs');
+const { DEFAULT_WORKSPACE, workspaceFilter, inWorkspace } = require('./workspaces.cjs');
+
+registerIndexes('projects', [{ key: { workspaceId: 1, updatedAt: -1 } }]);
+registerIndexes('suites', [{ key: { projectId: 1, updatedAt: -1 } }]);
+registerIndexes('suite_versions', [{ key: { suiteId: 1, version: -1 }, unique: true }]);
+registerIndexes('generations', [
+  { key: { projectId: 1, createdAt: -1 } },
+  { key: { suiteId: 1, createdAt: -1 } },
+  { key: { workspaceId: 1, createdAt: -1 } },
+]);
+
+const requireName = (name, what) => {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw badRequest(`A ${what} "name" is required.`);
+  return trimmed;
+};
+
+function assertValidCases(testCases) {
+  const problems = validateTestCases(testCases);
+  if (problems) throw httpError(400, 'Invalid test cases', { details: problems });
+  const ids = new Set();
+  testCases.forEach(tc => {
+    if (ids.has(tc.id)) throw badRequest(`Duplicate test case id "${tc.id}".`);
+    ids.add(tc.id);
+  });
+}
+
+/* ---------------- Projects ---------------- */
+async function createProject({ name, description = '', workspaceId = DEFAULT_WORKSPACE }) {
+  const db = await getDb();
+  const now = new Date();
+  const project = { _id: uuidv4(), workspaceId, name: requireName(name, 'project'), description, createdAt: now, updatedAt: now };
+  await db.collection('projects').insertOne(project);
+  return project;
+}
+
+async function listProjects({ workspaceId } = {}) {
+  const db = await getDb();
+  return db.collection('projects').find(workspaceId ? workspaceFilter(workspaceId) : {}).sort({ updatedAt: -1 }).toArray();
+}
+
+async function getProject(projectId, { workspaceId } = {}) {
+  const db = await getDb();
+  const project = await db.collection('projects').findOne({ _id: projectId });
+  if (!project || (workspaceId && !inWorkspace(project, workspaceId))) throw notFound('Project not found.');
+  return project;
+}
+
+/* ---------------- Suites ---------------- */
+const summary = ({ testCases, ...suite }) => ({ ...suite, caseCount: testCases.length });
+
+async function createSuite({ projectId, name, testCases, generation = null, note = 'Created', workspaceId }) {
+  const project = await getProject(projectId, { workspaceId });
+  assertValidCases(testCases);
+  const db = await getDb();
+  const now = new Date();
+  const suite = {
+    _id: uuidv4(),
+    workspaceId: project.workspaceId || DEFAULT_WORKSPACE,
+    projectId,
+    name: requireName(name, 'suite'),
+    version: 1,
+    testCases,
+    generation,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await db.collection('suites').insertOne(suite);
+  await db.collection('suite_versions').insertOne({
+    suiteId: suite._id,
+    version: 1,
+    testCases,
+    change: { type: generation ? 'generate' : 'create', note },
+    generation,
+    createdAt: now,
+  });
+  await db.collection('projects').updateOne({ _id: projectId }, { $set: { updatedAt: now } });
+  return suite;
+}
+
+async function listSuites(projectId) {
+  const db = await getDb();
+  const suites = await db.collection('suites').find({ projectId }).sort({ updatedAt: -1 }).toArray();
+  return suites.map(summary);
+}
+
+async function getSuite(suiteId, { workspaceId } = {}) {
+  const db = await getDb();
+  const suite = await db.collection('suites').findOne({ _id: suiteId });
+  if (!suite || (workspaceId && !inWorkspace(suite, workspaceId))) throw notFound('Suite not found.');
+  return suite;
+}
+
+/**
+ * Applies `mutate(testCases) -> testCases` to the latest version and stores the result as
+ * version n+1. The update is conditional on the version read, so two concurrent edits
+ * cannot silently overwrite each other: the loser gets a 409 and can retry.
+ */
+async function updateSuiteCases(suiteId, mutate, change, generation = null) {
+  const db = await getDb();
+  const suite = await getSuite(suiteId);
+  const testCases = mutate(suite.testCases.map(tc => ({ ...tc })));
+  assertValidCases(testCases);
+  const now = new Date();
+  const version = suite.version + 1;
+  const set = { testCases, version, updatedAt: now };
+  if (generation) set.generation = generation;
+  const { matchedCount } = await db.collection('suites').updateOne({ _id: suiteId, version: suite.version }, { $set: set });
+  if (!matchedCount) throw httpError(409, 'The suite was changed by someone else; reload and try again.');
+  await db.collection('suite_versions').insertOne({ suiteId, version, testCases, change, generation, createdAt: now });
+  await db.collection('projects').updateOne({ _id: suite.projectId }, { $set: { updatedAt: now } });
+  return { ...suite, ...set };
+}
+
+async function renameSuite(suiteId, name) {
+  const db = await getDb();
+  const { matchedCount } = await db.collection('suites').updateOne(
+    { _id: suiteId },
+    { $set: { name: requireName(name, 'suite'), updatedAt: new Date() } }
+  );
+  if (!matchedCount) throw notFound('Suite not found.');
+  return getSuite(suiteId);
+}
+
+async function deleteSuite(suiteId) {
+  const db = await getDb();
+  const { deletedCount } = await db.collection('suites').deleteOne({ _id: suiteId });
+  if (!deletedCount) throw notFound('Suite not found.');
+  await db.collection('suite_versions').deleteMany({ suiteId });
+}
+
+const findCaseIndex = (testCases, caseId) => {
+  const index = testCases.findIndex(tc => tc.id === caseId);
+  if (index === -1) throw notFound(`Test case "${caseId}" not found in suite.`);
+  return index;
+};
+
+const replaceCases = (suiteId, testCases, note, generation) =>
+  updateSuiteCases(suiteId, () => testCases, { type: generation ? 'generate' : 'replace', note }, generation);
+
+const appendCases = (suiteId, testCases, note, generation) =>
+  updateSuiteCases(suiteId, cases => [...cases, ...testCases], { type: 'generate', note }, generation);
+
+const addCase = (suiteId, testCase) =>
+  updateSuiteCases(suiteId, cases => [...cases, testCase], { type: 'add', caseId: testCase?.id });
+
+// `fields` are merged over the case; without them there is nothing to edit.
+async function updateCase(suiteId, caseId, fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw badRequest('"testCase" must be an object.');
+  return updateSuiteCases(suiteId, cases => {
+    const index = findCaseIndex(cases, caseId);
+    cases[index] = { ...cases[index], ...fields, id: fields.id || caseId };
+    return cases;
+  }, { type: 'edit', caseId });
+}
+
+const deleteCase = (suiteId, caseId) =>
+  updateSuiteCases(suiteId, cases => {
+    const index = findCaseIndex(cases, caseId);
+    cases.splice(index, 1);
+    return cases;
+  }, { type: 'delete', caseId });
+
+/* ---------------- Versions & diff ---------------- */
+async function listVersions(suiteId) {
+  const db = await getDb();
+  await getSuite(suiteId);
+  const versions = await db.collection('suite_versions')
+    .find({ suiteId }, { projection: { _id: 0, testCases: 0 } })
+    .sort({ version: -1 })
+    .toArray();
+  return versions;
+}
+
+async function getVersion(suiteId, version) {
+  const db = await getDb();
+  const doc = await db.collection('suite_versions').findOne({ suiteId, version: Number(version) }, { projection: { _id: 0 } });
+  if (!doc) throw notFound(`Version ${version} not found.`);
+  return doc;
+}
+
+// Field-level diff keyed by test case id.
+function diffTestCases(fromCases, toCases) {
+  const before = new Map(fromCases.map(tc => [tc.id, tc]));
+  const after = new Map(toCases.map(tc => [tc.id, tc]));
+  const added = toCases.filter(tc => !before.has(tc.id));
+  const removed = fromCases.filter(tc => !after.has(tc.id));
+  const changed = [];
+  toCases.forEach(tc => {
+    const old = before.get(tc.id);
+    if (!old) return;
+    const fields = {};
+    new Set([...Object.keys(old), ...Object.keys(tc)]).forEach(key => {
+      if (JSON.stringify(old[key]) !== JSON.stringify(tc[key])) fields[key] = { from: old[key], to: tc[key] };
+    });
+    if (Object.keys(fields).length) changed.push({ id: tc.id, fields });
+  });
+  return { added, removed, changed, unchanged: toCases.length - added.length - changed.length };
+}
+
+async function diffVersions(suiteId, from, to) {
+  const [a, b] = await Promise.all([getVersion(suiteId, from), getVersion(suiteId, to)]);
+  return { suiteId, from: a.version, to: b.version, ...diffTestCases(a.testCases, b.testCases) };
+}
+
+/* ---------------- Generation history ---------------- */
+async function recordGeneration(entry) {
+  const db = await getDb();
+  const doc = { _id: uuidv4(), ...entry, createdAt: new Date() };
+  await db.collection('generations').insertOne(doc);
+  return doc;
+}
+
+async function listGenerations({ projectId, suiteId, workspaceId, limit = 50 } = {}) {
+  const db = await getDb();
+  const filter = workspaceId ? workspaceFilter(workspaceId) : {};
+  if (projectId) filter.projectId = projectId;
+  if (suiteId) filter.suiteId = suiteId;
+  return db.collection('generations')
+    .find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 50, 1), 500))
+    .toArray();
+}
+
+module.exports = {
+  createProject,
+  listProjects,
+  getProject,
+  createSuite,
+  listSuites,
+  getSuite,
+  renameSuite,
+  deleteSuite,
+  replaceCases,
+  appendCases,
+  addCase,
+  updateCase,
+  deleteCase,
+  listVersions,
+  getVersion,
+  diffVersions,
+  diffTestCases,
+  recordGeneration,
+  listGenerations,
+};
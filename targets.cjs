@@ -0,0 +1,133 @@
+/* =============================================
+   |        BRAND / ENVIRONMENT TARGETS        |
+   ============================================= */
+// Which sites the browser flows may run against. targets.json (or the file named by
+// TARGETS_FILE) lists brands; each brand has a base URL, gate credentials, selector overrides
+// and the environment/region pairs it supports. A target may override any brand field:
+//
+//   { "brand": "bk", "environment": "staging", "region": "CA", "baseUrl": "...", "gate": {...} }
+//
+// Gate credentials name environment variables ("passwordSecret": "BK_GATE_PASSWORD") and are
+// only read in the worker, so secrets never travel through the queue. They are only handed to
+// flows exactly as shipped in flows/, since a registered flow could send them anywhere.
+// Selector overrides are keyed by flow step name and replace that step's selectors.
+// "rateLimit" ("10/min") caps how fast accounts are created in one brand/environment across
+// all workers.
+const fs = require('fs');
+const path = require('path');
+const { badRequest } = require('./errors.cjs');
+const { parseRateLimit } = require('./rate-limit.cjs');
+const { isBuiltinDefinition } = require('./flows.cjs');
+
+const TARGETS_FILE = process.env.TARGETS_FILE || path.join(__dirname, 'targets.json');
+
+let registry;
+
+function loadRegistry() {
+  if (!registry) {
+    const raw = JSON.parse(fs.readFileSync(TARGETS_FILE, 'utf-8'));
+    const brands = Object.entries(raw.brands || {}).map(([id, brand]) => {
+      if (!brand.baseUrl) throw new Error(`Target registry: brand "${id}" has no baseUrl.`);
+      const targets = (brand.targets || []).map(target => ({
+        brand: id,
+        label: brand.label || id,
+        ...target,
+        environment: String(target.environment).toLowerCase(),
+        region: String(target.region).toUpperCase(),
+        baseUrl: target.baseUrl || brand.baseUrl,
+        gate: target.gate || brand.gate || null,
+        selectors: { ...brand.selectors, ...target.selectors },
+        rateLimit: target.rateLimit ?? brand.rateLimit ?? null,
+      }));
+      targets.forEach(target => parseRateLimit(target.rateLimit));
+      const defaults = brand.defaults || targets[0] || {};
+      return { id, label: brand.label || id, defaults, targets };
+    });
+    registry = { defaultBrand: raw.defaultBrand || brands[0]?.id, brands: new Map(brands.map(b => [b.id, b])) };
+  }
+  return registry;
+}
+
+const targetKey = ({ brand, environment, region }) => `${brand}/${environment}/${region}`;
+
+/**
+ * Finds the target for { brand, environment, region }; omitted fields fall back to the
+ * registry's default brand and that brand's defaults. Throws a 400 listing the valid
+ * choices when there is no such target.
+ */
+function resolveTarget({ brand, environment, region } = {}) {
+  const { defaultBrand, brands } = loadRegistry();
+  const brandId = String(brand ?? defaultBrand).toLowerCase();
+  const entry = brands.get(brandId);
+  if (!entry) throw badRequest(`Unknown brand "${brandId}". Known brands: ${[...brands.keys()].join(', ')}.`);
+
+  const env = String(environment ?? entry.defaults.environment).toLowerCase();
+  const reg = String(region ?? entry.defaults.region).toUpperCase();
+  const target = entry.targets.find(t => t.environment === env && t.region === reg);
+  if (!target) {
+    const valid = entry.targets.map(t => `${t.environment}/${t.region}`).join(', ');
+    throw badRequest(`No target "${env}/${reg}" for brand "${brandId}". Valid environment/region pairs: ${valid}.`);
+  }
+  return target;
+}
+
+// The registry without secret values, for GET /api/targets.
+function listTargets() {
+  const { defaultBrand, brands } = loadRegistry();
+  return {
+    defaultBrand,
+    brands: [...brands.values()].map(({ id, label, defaults, targets }) => ({
+      id,
+      label,
+      defaults,
+      targets: targets.map(t => ({
+        key: targetKey(t),
+        environment: t.environment,
+        region: t.region,
+        baseUrl: t.baseUrl,
+        gateSecret: t.gate?.passwordSecret || null,
+        selectorOverrides: Object.keys(t.selectors),
+        rateLimit: t.rateLimit,
+      })),
+    })),
+  };
+}
+
+/**
+ * Flow parameters for a target, with the gate password read from its secret when the flow is
+ * a built-in as shipped. Only parameters the flow declares are returned, so any flow can be
+ * pointed at a target.
+ */
+function targetParams(target, flow) {
+  const params = { baseUrl: target.baseUrl, environment: target.environment, region: target.region, brand: target.brand };
+  const secret = target.gate?.passwordSecret;
+  if (secret && isBuiltinDefinition(flow)) {
+    if (!process.env[secret]) throw new Error(`The gate password secret ${secret} for ${targetKey(target)} is not set.`);
+    params.gatePassword = process.env[secret];
+  }
+  const declared = flow.params || {};
+  return Object.fromEntries(Object.entries(params).filter(([key]) => key in declared));
+}
+
+// Copy of `flow` with the target's selector overrides applied to the steps they name.
+function applySelectorOverrides(flow, selectors = {}) {
+  if (!Object.keys(selectors).length) return flow;
+  const patch = (steps = []) => steps.map(step => {
+    const next = { ...step };
+    if (step.name && selectors[step.name]) {
+      delete next.selector;
+      next.selectors = [].concat(selectors[step.name]);
+    }
+    if (step.steps) next.steps = patch(step.steps);
+    return next;
+  });
+  return { ...flow, steps: patch(flow.steps) };
+}
+
+module.exports = {
+  targetKey,
+  resolveTarget,
+  listTargets,
+  targetParams,
+  applySelectorOverrides,
+};
@@ -0,0 +1,223 @@
+/* =============================================
+   |     STRUCTURED TEST CASE GENERATION       |
+   ============================================= */
+// `format: "structured"` asks the model for JSON matching test-case.schema.json.
+// Replies that do not parse or validate are sent back to the same model together
+// with the validation errors, for at most `maxRepairs` rounds.
+const Ajv = require('ajv');
+const schema = require('./test-case.schema.json');
+const { generateWithFallback } = require('./providers.cjs');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+const ajv = new Ajv({ allErrors: true });
+const validateSuite = ajv.compile(schema);
+
+// `withSources` adds the "sources" field when the prompt carries knowledge-base excerpts.
+const structuredInstructions = (withSources) => `Return ONLY a JSON object, with no prose and no markdown fences, of the form:
+{"testCases": [{
+  "id": "TC-001",
+  "title": "short title",
+  "feature": "feature or screen under test",
+  "preconditions": ["..."],
+  "steps": ["step 1", "step 2"],
+  "expectedResults": ["..."],
+  "priority": "High" | "Medium" | "Low",
+  "type": "functional" | "negative" | "boundary",
+  "tags": ["..."]${withSources ? ',\n  "sources": ["S1"]  // ids of the context excerpts this case is derived from' : ''}
+}]}`;
+
+const buildStructuredPrompt = (prompt, withSources) => `${prompt}\n\n${structuredInstructions(withSources)}`;
+
+// Pulls the first JSON value out of a reply that may be wrapped in ``` fences or prose.
+function extractJson(text) {
+  const raw = String(text || '').trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : raw;
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw new Error('Reply does not contain JSON.');
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+const asList = (value) => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(/\n+/).map(v => v.replace(/^\s*(\d+[.)]|[-*])\s*/, '').trim()).filter(Boolean);
+};
+
+const PRIORITIES = { high: 'High', p1: 'High', critical: 'High', medium: 'Medium', p2: 'Medium', low: 'Low', p3: 'Low' };
+
+// Harmless, unambiguous clean-ups so a model is not sent back for "Steps" being a string.
+function normalizeSuite(parsed) {
+  const list = Array.isArray(parsed) ? parsed : parsed?.testCases;
+  if (!Array.isArray(list)) return parsed;
+  return {
+    testCases: list.map((tc, i) => {
+      if (!tc || typeof tc !== 'object') return tc;
+      return {
+        ...tc,
+        id: String(tc.id || `TC-${String(i + 1).padStart(3, '0')}`),
+        preconditions: asList(tc.preconditions),
+        steps: asList(tc.steps),
+        expectedResults: asList(tc.expectedResults ?? tc.expectedResult ?? tc.expected),
+        priority: PRIORITIES[String(tc.priority || '').toLowerCase()] || tc.priority,
+        type: typeof tc.type === 'string' ? tc.type.toLowerCase() : tc.type,
+        tags: asList(tc.tags),
+        ...(tc.sources !== undefined && { sources: asList(tc.sources) }),
+      };
+    }),
+  };
+}
+
+function formatErrors(errors = []) {
+  return errors.map(e => `${e.instancePath || '(root)'} ${e.message}`).join('\n');
+}
+
+/**
+ * Parses and validates a model reply. Returns { testCases } or throws an Error whose
+ * message lists everything that is wrong, ready to be fed back to the model.
+ */
+function parseTestCases(text) {
+  const suite = normalizeSuite(extractJson(text));
+  if (!validateSuite(suite)) {
+    throw new Error(`Output does not match the test case schema:\n${formatErrors(validateSuite.errors)}`);
+  }
+  return suite;
+}
+
+// Checks caller-supplied test cases (e.g. for export). Returns null when valid,
+// otherwise a readable list of problems.
+function validateTestCases(testCases) {
+  if (!Array.isArray(testCases) || testCases.length === 0) return 'testCases must be a non-empty array.';
+  return validateSuite({ testCases }) ? null : formatErrors(validateSuite.errors);
+}
+
+const buildRepairPrompt = (previous, problem, withSources) => `Your previous reply could not be used.
+
+[PROBLEM]
+${problem}
+
+[PREVIOUS REPLY]
+${previous}
+
+Fix the reply. ${structuredInstructions(withSources)}`;
+
+/**
+ * Generates schema-valid test cases. Accepts the same options as generateWithFallback().
+ * Repairs stay on the provider/model that produced the first reply. Pass `withSources`
+ * when the prompt contains [S1]-style context excerpts the cases should cite.
+ * Resolves to { testCases, provider, model, attempts, repairs }.
+ */
+async function generateStructured({ prompt, maxRepairs = DEFAULT_MAX_REPAIRS, withSources = false, ...options }) {
+  const result = await generateWithFallback({ ...options, prompt: buildStructuredPrompt(prompt, withSources), json: true });
+  return finishStructured(result, { maxRepairs, withSources, options });
+}
+
+/**
+ * Validates a finished reply ({ text, provider, model, attempts }) and runs the repair
+ * loop on it if needed. Shared by the one-shot and the streaming generation paths;
+ * `onRepair(attempt, problem)` is called before each repair request.
+ */
+async function finishStructured(first, { maxRepairs = DEFAULT_MAX_REPAIRS, withSources = false, options = {}, onRepair } = {}) {
+  let result = first;
+  const attempts = [...(result.attempts || [])];
+  let repairs = 0;
+
+  for (;;) {
+    try {
+      const { testCases } = parseTestCases(result.text);
+      return { testCases, provider: result.provider, model: result.model, attempts, repairs };
+    } catch (problem) {
+      if (repairs >= maxRepairs) {
+        const err = new Error(`Model output was still invalid after ${repairs} repair attempt(s).`);
+        err.details = problem.message;
+        err.attempts = attempts;
+        throw err;
+      }
+      repairs++;
+      console.log(`Structured output invalid (${result.provider}), repair attempt ${repairs}...`);
+      if (onRepair) onRepair(repairs, problem.message);
+      result = await generateWithFallback({
+        ...options,
+        prompt: buildRepairPrompt(result.text, problem.message, withSources),
+        provider: result.provider,
+        model: result.model,
+        fallback: [],
+        json: true,
+      });
+      attempts.push(...result.attempts);
+    }
+  }
+}
+
+/**
+ * Incremental parser for a streamed {"testCases": [...]} reply. push() takes the next text
+ * delta and returns the test cases completed by it, each already normalised and valid.
+ * Cases that are invalid on their own are skipped here; the caller validates the full reply
+ * with finishStructured() at the end anyway.
+ */
+function createTestCaseStreamParser() {
+  let buffer = '';
+  let pos = 0;
+  let depth = 0;
+  let arrayDepth = null;
+  let objectStart = null;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+
+  return {
+    push(text) {
+      buffer += text;
+      const completed = [];
+      for (; pos < buffer.length && !finished; pos++) {
+        const ch = buffer[pos];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '[') {
+          depth++;
+          if (arrayDepth === null) arrayDepth = depth;
+        } else if (ch === '{') {
+          depth++;
+          if (arrayDepth !== null && depth === arrayDepth + 1) objectStart = pos;
+        } else if (ch === '}') {
+          if (arrayDepth !== null && depth === arrayDepth + 1 && objectStart !== null) {
+            try {
+              const suite = normalizeSuite({ testCases: [JSON.parse(buffer.slice(objectStart, pos + 1))] });
+              if (validateSuite(suite)) completed.push(suite.testCases[0]);
+            } catch {
+              // Left for the final validation and repair pass.
+            }
+            objectStart = null;
+          }
+          depth--;
+        } else if (ch === ']') {
+          depth--;
+          if (arrayDepth !== null && depth < arrayDepth) finished = true;
+        }
+      }
+      return completed;
+    },
+  };
+}
+
+module.exports = {
+  schema,
+  extractJson,
+  parseTestCases,
+  validateTestCases,
+  generateStructured,
+  finishStructured,
+  buildStructuredPrompt,
+  createTestCaseStreamParser,
+};
@@ -0,0 +1,395 @@
+/* =============================================
+   |   REQUIREMENTS TRACEABILITY & COVERAGE    |
+   ============================================= */
+// kb_requirements { _id: "<docId>:<requirementId>", docId, workspaceId, requirementId, text, location,
+//                   page, section, sheet, order, method, extractedAt }
+//
+// Requirements are extracted from a knowledge-base document once and kept, so coverage reports
+// are cheap to repeat. Extraction methods:
+//   rules  lines that start with an id ("REQ-104: ...", "AC-3.2 ...") or, in documents without
+//          ids, "shall"/"must" statements and the bullets under an "Acceptance criteria" line
+//   model  the model lists the requirements (for prose specs the rules miss)
+//   auto   rules, falling back to the model when they find nothing (the default)
+// Requirements without an id of their own are numbered R-001, R-002, ... in document order.
+//
+// A test case covers a requirement explicitly (the id is in its "requirements", its tags or
+// its text) or semantically (embedding similarity of case and requirement >= minScore).
+// COVERAGE_MIN_SCORE   default threshold (0.5); tune it to the embedding model in use
+const { cosineSimilarity } = require('@langchain/core/utils/math');
+const { getDb, registerIndexes } = require('./db.cjs');
+const { badRequest, httpError } = require('./errors.cjs');
+const kb = require('./knowledge-base.cjs');
+const suites = require('./suites.cjs');
+const { describeLocation } = require('./loaders.cjs');
+const { getEmbeddings } = require('./vector-store.cjs');
+const { generateWithFallback } = require('./providers.cjs');
+const { extractJson, validateTestCases } = require('./test-cases.cjs');
+const { prepareGeneration, runGeneration } = require('./generation.cjs');
+
+registerIndexes('kb_requirements', [{ key: { docId: 1, order: 1 } }]);
+
+const METHODS = ['auto', 'rules', 'model'];
+const MAX_REQUIREMENTS = 500;
+const MAX_REQUIREMENT_LENGTH = 1000;
+// Characters of document text per model extraction request.
+const MODEL_BATCH_CHARS = 30000;
+const DEFAULT_MAX_GAPS = 20;
+const MAX_GAPS = 50;
+
+// Mock provider marker, like [USER REQUEST] for test cases.
+const REQUIREMENTS_MARKER = '[REQUIREMENTS SOURCE]';
+
+/* ---------------- Rule-based extraction ---------------- */
+const ID_LINE = /^\s*(?:[-*•▪]\s*)?\[?([A-Z][A-Z0-9]{0,9}[-_]\d+(?:\.\d+)*)\]?\s*(?:[:.)–-]\s*|\s+)(\S.*)$/;
+const BULLET_LINE = /^\s*(?:[-*•▪]|\(?\d+[.)]|\(?[a-z][.)])\s+(\S.*)$/;
+const MODAL = /\b(shall|must|is required to|are required to|should)\b/i;
+const CRITERIA_HEADING = /acceptance criteria/i;
+
+const clean = (text) => String(text).replace(/\s+/g, ' ').trim().slice(0, MAX_REQUIREMENT_LENGTH);
+const normalized = (text) => clean(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Lines at least this long that end mid-sentence were most likely wrapped (PDF text).
+const WRAPPED_LINE_LENGTH = 60;
+
+/**
+ * Splits a section into items. An item starts at an id line, a bullet or a new sentence; a
+ * line that starts in lower case or follows a wrapped line continues the current item.
+ */
+function sectionItems(section) {
+  const items = [];
+  let current = null;
+  let previous = '';
+  String(section.pageContent).split(/\r?\n/).forEach(line => {
+    const wrapped = previous.length >= WRAPPED_LINE_LENGTH || /^\s*[a-z0-9(]/.test(line);
+    previous = line.trim();
+    if (!line.trim()) {
+      current = null;
+      return;
+    }
+    const idMatch = ID_LINE.exec(line);
+    const bullet = !idMatch && BULLET_LINE.exec(line);
+    if (idMatch || bullet || !current || !wrapped || /[.!?:]$/.test(current.text)) {
+      current = { id: idMatch ? idMatch[1] : null, bullet: Boolean(bullet), text: (idMatch ? idMatch[2] : bullet ? bullet[1] : line).trim() };
+      items.push(current);
+    } else {
+      current.text += ` ${line.trim()}`;
+    }
+  });
+  return items;
+}
+
+function extractWithRules(sections) {
+  const found = [];
+  sections.forEach(section => {
+    let inCriteria = false;
+    sectionItems(section).forEach(item => {
+      const entry = (id, text) => found.push({ id, text: clean(text), metadata: section.metadata || {} });
+      if (item.id) return entry(item.id, item.text);
+      if (item.bullet && (inCriteria || MODAL.test(item.text))) return entry(null, item.text);
+      if (item.bullet) return;
+      inCriteria = CRITERIA_HEADING.test(item.text);
+      if (!inCriteria) {
+        item.text.split(/(?<=[.!?])\s+/).filter(sentence => MODAL.test(sentence)).forEach(sentence => entry(null, sentence));
+      }
+    });
+  });
+  // A document that labels its requirements is taken at its word.
+  return found.some(r => r.id) ? found.filter(r => r.id) : found;
+}
+
+/* ---------------- Model extraction ---------------- */
+const modelPrompt = (text) => `You are a requirements analyst. List every individual requirement and acceptance criterion in the document excerpt below, one entry each, in document order. Keep the id the document gives a requirement (e.g. "REQ-104"); leave "id" empty otherwise. Quote the requirement or paraphrase it tightly, and do not invent requirements. "location" is the page or section it is on, when known.
+Return ONLY a JSON object, with no prose and no markdown fences, of the form:
+{"requirements": [{"id": "REQ-104", "text": "...", "location": "page 3"}]}
+
+${REQUIREMENTS_MARKER}
+${text}`;
+
+// Sections as "--- page 3 ---" blocks, in batches of at most MODEL_BATCH_CHARS.
+function modelBatches(sections) {
+  const batches = [''];
+  sections.forEach(section => {
+    const location = describeLocation(section.metadata);
+    const block = `${location ? `--- ${location} ---\n` : ''}${section.pageContent}`.slice(0, MODEL_BATCH_CHARS);
+    if (batches[batches.length - 1].length + block.length > MODEL_BATCH_CHARS) batches.push('');
+    batches[batches.length - 1] += `${block}\n\n`;
+  });
+  return batches.filter(batch => batch.trim());
+}
+
+async function extractWithModel(sections, options) {
+  const found = [];
+  for (const batch of modelBatches(sections)) {
+    const result = await generateWithFallback({ ...options, prompt: modelPrompt(batch), json: true });
+    let parsed;
+    try {
+      parsed = extractJson(result.text);
+    } catch (error) {
+      throw httpError(502, 'The model did not return a list of requirements.', { details: error.message });
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.requirements;
+    if (!Array.isArray(list)) throw httpError(502, 'The model did not return a list of requirements.');
+    list.filter(r => r && String(r.text || '').trim()).forEach(r => found.push({
+      id: /^R-\d+$/.test(String(r.id || '')) ? null : String(r.id || '').trim() || null,
+      text: clean(r.text),
+      metadata: {},
+      location: r.location ? String(r.location) : '',
+    }));
+  }
+  return found;
+}
+
+// Drops repeats (overlapping chunks, ids listed twice) and numbers the requirements without an id.
+function finalize(found) {
+  const seenIds = new Set();
+  const seenText = new Set();
+  let next = 1;
+  return found
+    .filter(r => {
+      const text = normalized(r.text);
+      if (!text || seenText.has(text) || (r.id && seenIds.has(r.id))) return false;
+      seenText.add(text);
+      if (r.id) seenIds.add(r.id);
+      return true;
+    })
+    .slice(0, MAX_REQUIREMENTS)
+    .map(r => {
+      let id = r.id;
+      while (!id || (r.id === null && seenIds.has(id))) id = `R-${String(next++).padStart(3, '0')}`;
+      const { page, section, sheet } = r.metadata;
+      return { id, text: r.text, location: r.location || describeLocation(r.metadata), page, section, sheet };
+    });
+}
+
+const toApi = ({ requirementId, text, location, page, section, sheet }) =>
+  Object.fromEntries(Object.entries({ id: requirementId, text, location, page, section, sheet }).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+
+/**
+ * Extracts the requirements of a KB document and replaces the stored ones. `provider`,
+ * `model` etc. are used by the model method. Resolves to { document, method, requirements }.
+ */
+async function extractRequirements(docId, { workspaceId, method = 'auto', ...options } = {}) {
+  if (!METHODS.includes(method)) throw badRequest(`"method" must be one of: ${METHODS.join(', ')}.`);
+  const doc = await kb.getDocument(docId, { workspaceId });
+  const sections = await kb.getDocumentSections(docId, { workspaceId });
+  let used = method === 'model' ? 'model' : 'rules';
+  let requirements = finalize(used === 'rules' ? extractWithRules(sections) : await extractWithModel(sections, options));
+  if (!requirements.length && method === 'auto') {
+    used = 'model';
+    requirements = finalize(await extractWithModel(sections, options));
+  }
+
+  // Upsert the new set, then drop what it no longer holds: extractions of one document may run
+  // concurrently (an explicit one and a getRequirements() auto-extract), and neither may fail.
+  const collection = (await getDb()).collection('kb_requirements');
+  const extractedAt = new Date();
+  const docs = requirements.map((r, order) => ({
+    _id: `${docId}:${r.id}`,
+    docId,
+    workspaceId: doc.workspaceId,
+    requirementId: r.id,
+    text: r.text,
+    location: r.location,
+    page: r.page,
+    section: r.section,
+    sheet: r.sheet,
+    order,
+    method: used,
+    extractedAt,
+  }));
+  if (docs.length) {
+    await collection.bulkWrite(docs.map(({ _id, ...fields }) => ({
+      replaceOne: { filter: { _id }, replacement: fields, upsert: true },
+    })), { ordered: false });
+  }
+  await collection.deleteMany({ docId, _id: { $nin: docs.map(d => d._id) } });
+  return { document: { id: doc._id, name: doc.name }, method: used, extractedAt, requirements: requirements.map(r => toApi({ ...r, requirementId: r.id })) };
+}
+
+/**
+ * The stored requirements of a document, extracting them first (method "auto") when there
+ * are none yet. Resolves like extractRequirements().
+ */
+async function getRequirements(docId, { workspaceId, extract = true, ...options } = {}) {
+  const doc = await kb.getDocument(docId, { workspaceId });
+  const stored = await (await getDb()).collection('kb_requirements').find({ docId }).sort({ order: 1 }).toArray();
+  if (!stored.length && extract) return extractRequirements(docId, { workspaceId, ...options });
+  return {
+    document: { id: doc._id, name: doc.name },
+    method: stored[0]?.method || null,
+    extractedAt: stored[0]?.extractedAt || null,
+    requirements: stored.map(toApi),
+  };
+}
+
+/* ---------------- Coverage ---------------- */
+const caseText = (tc) => [tc.title, tc.feature, ...(tc.preconditions || []), ...(tc.steps || []), ...(tc.expectedResults || [])]
+  .filter(Boolean)
+  .join('\n');
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function mentions(tc, requirementId) {
+  const id = requirementId.toLowerCase();
+  if ([...(tc.requirements || []), ...(tc.tags || [])].some(value => String(value).toLowerCase() === id)) return true;
+  return new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(requirementId)}(?![A-Za-z0-9]|\\.\\d)`, 'i').test(caseText(tc));
+}
+
+function parseMinScore(minScore) {
+  if (minScore === undefined || minScore === null || minScore === '') return Number(process.env.COVERAGE_MIN_SCORE) || 0.5;
+  const value = Number(minScore);
+  if (!Number.isFinite(value) || value < 0 || value > 1) throw badRequest('"minScore" must be between 0 and 1.');
+  return value;
+}
+
+/**
+ * Maps `testCases` to `requirements` (as returned by getRequirements()). Resolves to the
+ * coverage matrix:
+ *   { summary: { requirements, covered, uncovered, coverage (%), testCases, unmappedCases, minScore },
+ *     requirements: [{ ...requirement, covered, testCases: [{ id, title, match, score }] }],
+ *     uncovered: [requirement], testCases: [{ id, title, requirements: [id] }] }
+ */
+async function mapCoverage(requirements, testCases, { minScore } = {}) {
+  const threshold = parseMinScore(minScore);
+  let similarity = () => 0;
+  if (requirements.length && testCases.length) {
+    const vectors = await getEmbeddings().embedDocuments([...requirements.map(r => r.text), ...testCases.map(caseText)]);
+    const matrix = cosineSimilarity(vectors.slice(0, requirements.length), vectors.slice(requirements.length));
+    similarity = (r, c) => matrix[r][c];
+  }
+  const byCase = testCases.map(() => []);
+  const rows = requirements.map((requirement, r) => {
+    const matches = [];
+    testCases.forEach((tc, c) => {
+      const score = Math.round(similarity(r, c) * 1000) / 1000;
+      if (mentions(tc, requirement.id)) matches.push({ id: tc.id, title: tc.title, match: 'explicit', score });
+      else if (score >= threshold) matches.push({ id: tc.id, title: tc.title, match: 'semantic', score });
+      else return;
+      byCase[c].push(requirement.id);
+    });
+    matches.sort((a, b) => (a.match === b.match ? b.score - a.score : a.match === 'explicit' ? -1 : 1));
+    return { ...requirement, covered: matches.length > 0, testCases: matches };
+  });
+  const covered = rows.filter(row => row.covered).length;
+  return {
+    summary: {
+      requirements: rows.length,
+      covered,
+      uncovered: rows.length - covered,
+      coverage: rows.length ? Math.round((covered / rows.length) * 1000) / 10 : 0,
+      testCases: testCases.length,
+      unmappedCases: byCase.filter(ids => !ids.length).length,
+      minScore: threshold,
+    },
+    requirements: rows,
+    uncovered: requirements.filter((_, r) => !rows[r].covered),
+    testCases: testCases.map((tc, c) => ({ id: tc.id, title: tc.title, requirements: byCase[c] })),
+  };
+}
+
+/**
+ * The cases to measure: a saved suite (`suiteId`, optional `version`) or inline `testCases`.
+ * Resolves to { testCases, suite } where suite is { id, name, version } or null.
+ */
+async function loadCases({ suiteId, version, testCases }, { workspaceId } = {}) {
+  if (suiteId) {
+    const suite = await suites.getSuite(suiteId, { workspaceId });
+    const cases = version ? (await suites.getVersion(suiteId, version)).testCases : suite.testCases;
+    return { testCases: cases, suite: { id: suite._id, name: suite.name, version: version ? Number(version) : suite.version } };
+  }
+  if (testCases === undefined) throw badRequest('Give a "suiteId" or "testCases" to measure.');
+  if (Array.isArray(testCases) && testCases.length === 0) return { testCases, suite: null };
+  const problems = validateTestCases(testCases);
+  if (problems) throw httpError(400, 'Invalid test cases', { details: problems });
+  return { testCases, suite: null };
+}
+
+/**
+ * Coverage of a document's requirements by a suite or inline cases. Body:
+ * { docId, suiteId, version, testCases, minScore }. Resolves to { document, suite, method,
+ * ...mapCoverage() }. With `extract: false` (viewers) requirements that were never extracted
+ * are a 409 rather than an extraction, which may call a model and writes kb_requirements.
+ */
+async function buildCoverage({ docId, minScore, ...source }, { workspaceId, extract = true } = {}) {
+  if (!docId) throw badRequest('A "docId" is required.');
+  const { testCases, suite } = await loadCases(source, { workspaceId });
+  const { document, method, requirements } = await getRequirements(String(docId), { workspaceId, extract });
+  if (!method) {
+    throw httpError(409, `No requirements have been extracted from this document yet; an editor can extract them with POST /api/knowledge/${docId}/requirements.`);
+  }
+  return { document, suite, method, ...(await mapCoverage(requirements, testCases, { minScore })) };
+}
+
+// Ids for new cases that do not collide with the existing ones: TC-<n> after the highest number.
+function nextIds(existing, count) {
+  const taken = new Set(existing.map(tc => tc.id));
+  let n = existing.reduce((max, tc) => Math.max(max, Number((/(\d+)$/.exec(tc.id) || [])[1]) || 0), 0);
+  return Array.from({ length: count }, () => {
+    let id;
+    do id = `TC-${String(++n).padStart(3, '0')}`; while (taken.has(id));
+    return id;
+  });
+}
+
+/**
+ * Generates test cases for the requirements the suite (or inline cases) does not cover yet,
+ * at most `maxGaps` requirements per call. With a `suiteId` the new cases are appended to the
+ * suite as a new version. Other body fields are generation options (provider, model,
+ * style, ...; see /api/generate). Resolves to { generated, suite, generationId, provider,
+ * model, coverage } where coverage is the report after the new cases.
+ */
+async function fillCoverageGaps(body = {}, { workspaceId, actor } = {}) {
+  const {
+    docId, suiteId, testCases, minScore, maxGaps = DEFAULT_MAX_GAPS, version, projectId, suiteName, input, format, ...generation
+  } = body;
+  if (version) throw badRequest('Gaps are filled on the latest version of a suite; leave out "version".');
+  const limit = Math.floor(Number(maxGaps));
+  if (!Number.isFinite(limit) || limit < 1 || limit > MAX_GAPS) throw badRequest(`"maxGaps" must be between 1 and ${MAX_GAPS}.`);
+  if (!docId) throw badRequest('A "docId" is required.');
+  const { testCases: existing, suite: measured } = await loadCases({ suiteId, testCases }, { workspaceId });
+  const { document, method, requirements } = await getRequirements(String(docId), { workspaceId });
+  const before = await mapCoverage(requirements, existing, { minScore });
+  const gaps = before.uncovered.slice(0, limit);
+  if (!gaps.length) return { generated: [], suite: measured, coverage: { document, suite: measured, method, ...before } };
+
+  const request = [
+    'Write test cases for the requirements below; the existing test suite does not cover them yet.',
+    'Cover every requirement with at least one case and put the id of each requirement a case covers in its "tags".',
+    '',
+    ...gaps.map(r => `${r.id}: ${r.text}`),
+  ].join('\n');
+  const ctx = await prepareGeneration({ ...generation, input: request, format: 'structured', docIds: [String(docId)] }, { workspaceId, actor });
+  const result = await runGeneration(ctx);
+
+  const ids = nextIds(existing, result.testCases.length);
+  const generated = result.testCases.map((tc, i) => ({
+    ...tc,
+    id: ids[i],
+    requirements: gaps.map(r => r.id).filter(id => mentions(tc, id)),
+  }));
+  let suite = measured;
+  if (suiteId) {
+    const saved = await suites.appendCases(suiteId, generated, `Coverage gaps of ${document.name}`, {
+      prompt: request, provider: result.provider, model: result.model, documents: result.documents, template: result.template, createdAt: new Date(),
+    });
+    suite = { id: saved._id, name: saved.name, version: saved.version };
+  }
+  const after = await mapCoverage(requirements, [...existing, ...generated], { minScore });
+  return {
+    generated,
+    suite,
+    generationId: result.generationId,
+    provider: result.provider,
+    model: result.model,
+    coverage: { document, suite, method, ...after },
+  };
+}
+
+module.exports = {
+  REQUIREMENTS_MARKER,
+  extractRequirements,
+  getRequirements,
+  mapCoverage,
+  buildCoverage,
+  fillCoverageGaps,
+};
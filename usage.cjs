@@ -0,0 +1,331 @@
+/* =============================================
+   |     USAGE METERING, COSTS & BUDGETS       |
+   ============================================= */
+// usage_events   { _id, workspaceId, actor: { keyId, name }, route, kind: generation | embedding,
+//                  provider, model, inputTokens, outputTokens, estimated, costUsd, latencyMs,
+//                  ok, error, at }
+// usage_budgets  { _id: workspaceId, dailyUsd, monthlyUsd, action: reject | downgrade,
+//                  downgradeTo: "provider:model", updatedAt, updatedBy }
+//
+// Every model call (providers.cjs) and embedding call (vector-store.cjs) is recorded. The
+// caller (workspace, key, route) comes from runWithCaller(): the server sets it per request and
+// the generation worker per job, so it does not have to be passed down every call chain.
+// Tokens are the vendor's counts where it reports them, otherwise estimated (~4 characters
+// per token) and flagged `estimated`.
+//
+// USAGE_PRICES               price table merged over the defaults below, as JSON or a path to a
+//                            JSON file: { "<model prefix>": { "input": USD/1M tokens, "output": ... } }
+// USAGE_DAILY_BUDGET_USD     budget of workspaces that have not set their own
+// USAGE_MONTHLY_BUDGET_USD
+// USAGE_BUDGET_ACTION        reject (default) | downgrade
+// USAGE_DOWNGRADE_TO         "provider:model" used once a downgrade budget is spent
+//
+// Budgets apply to model calls: once a workspace has spent its daily or monthly budget (UTC
+// days and months) they are rejected with a 429 or sent to the cheaper `downgradeTo` model.
+// Embedding calls count towards the spend but are never blocked, so uploads and retrieval
+// keep working. Without MONGODB_URI nothing is recorded and budgets are not enforced.
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, registerIndexes, isDbConfigured } = require('./db.cjs');
+const { badRequest, httpError } = require('./errors.cjs');
+const { DEFAULT_WORKSPACE, workspaceFilter } = require('./workspaces.cjs');
+const { parseDate } = require('./job-history.cjs');
+
+registerIndexes('usage_events', [
+  { key: { workspaceId: 1, at: -1 } },
+  { key: { workspaceId: 1, kind: 1, at: -1 } },
+]);
+
+// USD per million tokens, matched by the longest model-name prefix.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+  'local-hash': { input: 0, output: 0 },
+  mock: { input: 0, output: 0 },
+};
+const BUDGET_ACTIONS = ['reject', 'downgrade'];
+const GROUPS = ['day', 'provider', 'model', 'actor', 'route', 'kind'];
+const SPEND_CACHE_MS = 10000;
+
+/* ---------------- Caller context ---------------- */
+const callerStore = new AsyncLocalStorage();
+
+// Runs `fn` with `caller` ({ workspaceId, actor, route }) as the owner of its usage.
+const runWithCaller = (caller, fn) => callerStore.run(caller, fn);
+
+/**
+ * Express middleware that makes the authenticated caller the owner of the request's usage.
+ * Mount it after authentication, and again after body parsers that finish in stream callbacks
+ * (multer), which run outside the request's async context.
+ */
+const meterRequests = () => (req, res, next) => runWithCaller({
+  workspaceId: req.auth?.workspaceId,
+  actor: req.auth?.actor && { keyId: req.auth.actor.keyId, name: req.auth.actor.name },
+  route: `${req.method} ${req.path}`,
+}, next);
+
+/* ---------------- Prices ---------------- */
+let prices;
+
+function priceTable() {
+  if (!prices) {
+    const configured = process.env.USAGE_PRICES;
+    let custom = {};
+    if (configured) {
+      const text = configured.trim().startsWith('{') ? configured : fs.readFileSync(path.resolve(configured), 'utf-8');
+      custom = JSON.parse(text);
+    }
+    prices = { ...DEFAULT_PRICES, ...custom };
+  }
+  return prices;
+}
+
+// The price entry for `model` (longest matching prefix), or null when it is not in the table.
+function priceOf(model) {
+  const name = String(model || '').toLowerCase();
+  const key = Object.keys(priceTable())
+    .filter(prefix => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? priceTable()[key] : null;
+}
+
+function costOf(model, inputTokens = 0, outputTokens = 0) {
+  const price = priceOf(model);
+  if (!price) return null;
+  return Math.round(((inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6) * 1e6) / 1e6;
+}
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/* ---------------- Recording ---------------- */
+const spendCache = new Map();
+
+/**
+ * Records one model or embedding call for the current caller. Best-effort: a failed write is
+ * logged, never thrown. `usage` is { kind, provider, model, inputTokens, outputTokens,
+ * estimated, latencyMs, ok, error }.
+ */
+async function recordUsage(usage) {
+  if (!isDbConfigured()) return;
+  const { workspaceId = DEFAULT_WORKSPACE, actor = null, route = null } = callerStore.getStore() || {};
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  try {
+    await (await getDb()).collection('usage_events').insertOne({
+      _id: uuidv4(),
+      workspaceId: workspaceId || DEFAULT_WORKSPACE,
+      actor,
+      route,
+      kind: usage.kind,
+      provider: usage.provider,
+      model: usage.model,
+      inputTokens,
+      outputTokens,
+      estimated: Boolean(usage.estimated),
+      costUsd: costOf(usage.model, inputTokens, outputTokens),
+      latencyMs: usage.latencyMs,
+      ok: usage.ok !== false,
+      error: usage.error,
+      at: new Date(),
+    });
+    spendCache.delete(workspaceId || DEFAULT_WORKSPACE);
+  } catch (error) {
+    console.error('Usage write failed:', error.message);
+  }
+}
+
+/* ---------------- Budgets ---------------- */
+const envNumber = (name) => (process.env[name] ? Number(process.env[name]) : null);
+
+function defaultBudget() {
+  return {
+    dailyUsd: envNumber('USAGE_DAILY_BUDGET_USD'),
+    monthlyUsd: envNumber('USAGE_MONTHLY_BUDGET_USD'),
+    action: process.env.USAGE_BUDGET_ACTION || 'reject',
+    downgradeTo: process.env.USAGE_DOWNGRADE_TO || null,
+    source: 'env',
+  };
+}
+
+async function getBudget(workspaceId = DEFAULT_WORKSPACE) {
+  const stored = isDbConfigured() ? await (await getDb()).collection('usage_budgets').findOne({ _id: workspaceId }) : null;
+  if (!stored) return defaultBudget();
+  const { _id, ...budget } = stored;
+  return { ...budget, source: 'workspace' };
+}
+
+function checkLimit(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) throw badRequest(`"${name}" must be a non-negative amount in USD, or null.`);
+  return amount;
+}
+
+/**
+ * Sets the workspace's budget: { dailyUsd, monthlyUsd, action, downgradeTo } (null limits are
+ * unlimited). `{ reset: true }` removes it, so the USAGE_* defaults apply again.
+ */
+async function setBudget(workspaceId, { dailyUsd, monthlyUsd, action = 'reject', downgradeTo = null, reset = false } = {}, updatedBy = null) {
+  const collection = (await getDb()).collection('usage_budgets');
+  if (reset) {
+    await collection.deleteOne({ _id: workspaceId });
+    return defaultBudget();
+  }
+  if (!BUDGET_ACTIONS.includes(action)) throw badRequest(`"action" must be one of: ${BUDGET_ACTIONS.join(', ')}.`);
+  if (downgradeTo !== null && !/^[\w-]+:\S+$/.test(String(downgradeTo))) throw badRequest('"downgradeTo" must look like "provider:model".');
+  if (action === 'downgrade' && !downgradeTo) throw badRequest('A downgrade budget needs "downgradeTo".');
+  const budget = {
+    dailyUsd: checkLimit(dailyUsd, 'dailyUsd'),
+    monthlyUsd: checkLimit(monthlyUsd, 'monthlyUsd'),
+    action,
+    downgradeTo,
+    updatedAt: new Date(),
+    updatedBy,
+  };
+  await collection.updateOne({ _id: workspaceId }, { $set: budget }, { upsert: true });
+  return { ...budget, source: 'workspace' };
+}
+
+function periodStarts(now = new Date()) {
+  return {
+    day: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    month: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+  };
+}
+
+// Resolves to { dailyUsd, monthlyUsd } spent in the current UTC day and month.
+async function getSpend(workspaceId = DEFAULT_WORKSPACE) {
+  const cached = spendCache.get(workspaceId);
+  if (cached && Date.now() - cached.at < SPEND_CACHE_MS) return cached.spend;
+  const { day, month } = periodStarts();
+  const [totals] = await (await getDb()).collection('usage_events').aggregate([
+    { $match: { ...workspaceFilter(workspaceId), at: { $gte: month } } },
+    {
+      $group: {
+        _id: null,
+        monthlyUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+        dailyUsd: { $sum: { $cond: [{ $gte: ['$at', day] }, { $ifNull: ['$costUsd', 0] }, 0] } },
+      },
+    },
+  ]).toArray();
+  const spend = { dailyUsd: totals?.dailyUsd || 0, monthlyUsd: totals?.monthlyUsd || 0 };
+  spendCache.set(workspaceId, { at: Date.now(), spend });
+  return spend;
+}
+
+const formatUsd = (amount) => `$${Number(amount).toFixed(2)}`;
+
+/**
+ * What the current caller's budget allows for a model call: null (go ahead) or
+ * { period, limitUsd, spentUsd, action, downgradeTo: { provider, model } | null, message }.
+ */
+async function budgetDecision() {
+  if (!isDbConfigured()) return null;
+  const workspaceId = callerStore.getStore()?.workspaceId || DEFAULT_WORKSPACE;
+  const budget = await getBudget(workspaceId);
+  if (budget.dailyUsd === null && budget.monthlyUsd === null) return null;
+  const spend = await getSpend(workspaceId);
+  const period = budget.dailyUsd !== null && spend.dailyUsd >= budget.dailyUsd ? 'daily'
+    : budget.monthlyUsd !== null && spend.monthlyUsd >= budget.monthlyUsd ? 'monthly'
+      : null;
+  if (!period) return null;
+  const limitUsd = period === 'daily' ? budget.dailyUsd : budget.monthlyUsd;
+  const spentUsd = period === 'daily' ? spend.dailyUsd : spend.monthlyUsd;
+  const [provider, ...model] = String(budget.downgradeTo || '').split(':');
+  const downgradeTo = budget.action === 'downgrade' && provider ? { provider, model: model.join(':') } : null;
+  return {
+    period,
+    limitUsd,
+    spentUsd,
+    action: downgradeTo ? 'downgrade' : 'reject',
+    downgradeTo,
+    message: `The ${period} budget of ${formatUsd(limitUsd)} is used up (${formatUsd(spentUsd)} spent).`,
+  };
+}
+
+// The 429 a rejecting budget answers with; generation jobs do not retry it.
+const budgetError = (decision) => httpError(429, decision.message, { budgetExceeded: true, attempts: [] });
+
+/* ---------------- Reporting ---------------- */
+const GROUP_KEYS = {
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$at' } },
+  provider: '$provider',
+  model: '$model',
+  actor: { $ifNull: ['$actor.keyId', '$actor.name'] },
+  route: '$route',
+  kind: '$kind',
+};
+
+/**
+ * Usage of `workspaceId` between `from` (default: start of the month) and `to` (default: now),
+ * optionally narrowed by kind/provider/model, grouped by `groupBy`. Resolves to
+ * { from, to, groupBy, totals, groups: [{ key, ...totals }], budget: { ...budget, spend } }.
+ */
+async function usageReport(workspaceId, { from, to, groupBy = 'day', kind, provider, model } = {}) {
+  if (!GROUPS.includes(groupBy)) throw badRequest(`"groupBy" must be one of: ${GROUPS.join(', ')}.`);
+  const start = parseDate(from, 'from') || periodStarts().month;
+  const end = parseDate(to, 'to') || new Date();
+  const match = { ...workspaceFilter(workspaceId), at: { $gte: start, $lte: end } };
+  if (kind) match.kind = String(kind);
+  if (provider) match.provider = String(provider);
+  if (model) match.model = String(model);
+  const sums = {
+    calls: { $sum: 1 },
+    errors: { $sum: { $cond: ['$ok', 0, 1] } },
+    inputTokens: { $sum: '$inputTokens' },
+    outputTokens: { $sum: '$outputTokens' },
+    costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+    unpriced: { $sum: { $cond: [{ $eq: [{ $ifNull: ['$costUsd', null] }, null] }, 1, 0] } },
+    avgLatencyMs: { $avg: '$latencyMs' },
+  };
+  const events = (await getDb()).collection('usage_events');
+  const [groups, [totals]] = await Promise.all([
+    events.aggregate([
+      { $match: match },
+      { $group: { _id: GROUP_KEYS[groupBy], ...sums, actorName: { $first: '$actor.name' } } },
+      { $sort: { _id: 1 } },
+    ]).toArray(),
+    events.aggregate([{ $match: match }, { $group: { _id: null, ...sums } }]).toArray(),
+  ]);
+  const tidy = ({ _id, actorName, avgLatencyMs, costUsd, ...fields }) => ({
+    ...fields,
+    costUsd: Math.round(costUsd * 1e6) / 1e6,
+    avgLatencyMs: avgLatencyMs === null || avgLatencyMs === undefined ? null : Math.round(avgLatencyMs),
+  });
+  const budget = await getBudget(workspaceId);
+  return {
+    from: start,
+    to: end,
+    groupBy,
+    totals: totals ? tidy(totals) : { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: 0, avgLatencyMs: null },
+    groups: groups.map(group => ({ key: group._id, ...(groupBy === 'actor' && { name: group.actorName }), ...tidy(group) })),
+    budget: { ...budget, spend: await getSpend(workspaceId) },
+  };
+}
+
+module.exports = {
+  runWithCaller,
+  meterRequests,
+  priceTable,
+  costOf,
+  estimateTokens,
+  recordUsage,
+  getBudget,
+  setBudget,
+  budgetDecision,
+  budgetError,
+  usageReport,
+};
@@ -0,0 +1,250 @@
+/* =============================================
+   |     VECTOR STORE & EMBEDDINGS BACKENDS    |
+   ============================================= */
+// The knowledge base only uses this small store interface:
+//   addDocuments(docs, { ids })                      upsert chunks under the given ids
+//   delete({ ids } | { filter })                     remove chunks
+//   similaritySearchWithScore(query, k, filter)      -> [[doc, score]]
+//   maxMarginalRelevanceSearch(query, { k, fetchK, lambda, filter }) -> [doc]
+//   listIds()                                        every stored id (for reconciliation)
+//
+// VECTOR_STORE=pinecone | local    (default: pinecone when PINECONE_API_KEY is set)
+// EMBEDDINGS=openai | local        (default: openai when OPENAI_API_KEY is set)
+// LOCAL_VECTOR_PATH                JSON file for the local store, or ":memory:"
+//
+// "local" + "local" needs no network at all, which is what development and CI use.
+// Every embedding call is metered (usage.cjs) with estimated token counts.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { Embeddings } = require('@langchain/core/embeddings');
+const { Document } = require('@langchain/core/documents');
+const { cosineSimilarity, maximalMarginalRelevance } = require('@langchain/core/utils/math');
+const { OpenAIEmbeddings } = require('@langchain/openai');
+const { PineconeStore } = require('@langchain/pinecone');
+const { recordUsage, estimateTokens } = require('./usage.cjs');
+
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+const vectorBackend = () => process.env.VECTOR_STORE || (process.env.PINECONE_API_KEY ? 'pinecone' : 'local');
+const embeddingsBackend = () => process.env.EMBEDDINGS || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+const embeddingModelName = () => (embeddingsBackend() === 'local'
+  ? `local-hash-${LOCAL_EMBEDDING_DIMENSIONS}`
+  : process.env.EMBEDDING_MODEL || 'text-embedding-3-small');
+
+/* ---------------- Local deterministic embeddings ---------------- */
+// Feature hashing of word unigrams and bigrams into a fixed-size, L2-normalised vector.
+// Not semantic, but stable across runs and machines, and texts sharing words score higher.
+class HashEmbeddings extends Embeddings {
+  constructor(dimensions = LOCAL_EMBEDDING_DIMENSIONS) {
+    super({});
+    this.dimensions = dimensions;
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+    const features = [...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)];
+    features.forEach(feature => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32LE(0) % this.dimensions;
+      vector[bucket] += hash[4] & 1 ? 1 : -1;
+    });
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+/* ---------------- Local vector store ---------------- */
+// Supports the filters the app uses: { field: value }, { field: { $eq } } and { field: { $in } }.
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata[field];
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      if ('$in' in condition) return condition.$in.includes(value);
+      if ('$eq' in condition) return value === condition.$eq;
+      return false;
+    }
+    return value === condition;
+  });
+}
+
+class LocalVectorStore {
+  constructor(embeddings, { filePath } = {}) {
+    this.embeddings = embeddings;
+    this.filePath = filePath && filePath !== ':memory:' ? filePath : null;
+    this.records = new Map();
+    this.writeChain = Promise.resolve();
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).forEach(r => this.records.set(r.id, r));
+    }
+  }
+
+  // Writes go through one promise chain and a temp file, so concurrent uploads cannot interleave.
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+    this.writeChain = this.writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(Array.from(this.records.values())));
+      await fs.promises.rename(tmp, this.filePath);
+    });
+    return this.writeChain;
+  }
+
+  async addDocuments(documents, options = {}) {
+    const ids = (Array.isArray(options) ? options : options.ids) || documents.map(() => crypto.randomUUID());
+    const vectors = await this.embeddings.embedDocuments(documents.map(d => d.pageContent));
+    documents.forEach((doc, i) => {
+      this.records.set(ids[i], { id: ids[i], values: vectors[i], pageContent: doc.pageContent, metadata: { ...doc.metadata } });
+    });
+    await this.persist();
+    return ids;
+  }
+
+  async delete({ ids, filter } = {}) {
+    if (ids) ids.forEach(id => this.records.delete(id));
+    else if (filter) {
+      Array.from(this.records.values())
+        .filter(r => matchesFilter(r.metadata, filter))
+        .forEach(r => this.records.delete(r.id));
+    }
+    await this.persist();
+  }
+
+  scored(queryVector, filter) {
+    const candidates = Array.from(this.records.values()).filter(r => matchesFilter(r.metadata, filter));
+    if (!candidates.length) return [];
+    const scores = cosineSimilarity([queryVector], candidates.map(r => r.values))[0];
+    return candidates
+      .map((record, i) => ({ record, score: scores[i] }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async similaritySearchWithScore(query, k = 4, filter) {
+    const queryVector = await this.embeddings.embedQuery(query);
+    return this.scored(queryVector, filter)
+      .slice(0, k)
+      .map(({ record, score }) => [new Document({ pageContent: record.pageContent, metadata: record.metadata }), score]);
+  }
+
+  async similaritySearch(query, k = 4, filter) {
+    return (await this.similaritySearchWithScore(query, k, filter)).map(([doc]) => doc);
+  }
+
+  async maxMarginalRelevanceSearch(query, { k = 4, fetchK = 20, lambda = 0.5, filter } = {}) {
+    const queryVector = await this.embeddings.embedQuery(query);
+    const candidates = this.scored(queryVector, filter).slice(0, fetchK);
+    if (!candidates.length) return [];
+    const picked = maximalMarginalRelevance(queryVector, candidates.map(c => c.record.values), lambda, k);
+    return picked.map(i => new Document({ pageContent: candidates[i].record.pageContent, metadata: candidates[i].record.metadata }));
+  }
+
+  async listIds() {
+    return Array.from(this.records.keys());
+  }
+}
+
+/* ---------------- Pinecone ---------------- */
+function createPineconeStore(embeddings) {
+  const pineconeIndex = new Pinecone().index(process.env.PINECONE_INDEX_NAME);
+  const store = new PineconeStore(embeddings, { pineconeIndex });
+
+  store.listIds = async () => {
+    const ids = [];
+    let paginationToken;
+    do {
+      const page = await pineconeIndex.listPaginated({ limit: 100, paginationToken });
+      (page.vectors || []).forEach(v => ids.push(v.id));
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
+    return ids;
+  };
+  return store;
+}
+
+/* ---------------- Metering ---------------- */
+// Wraps the backend so each call is recorded for the current caller. LangChain does not pass
+// the vendor's token counts through, so they are estimated from the text.
+class MeteredEmbeddings extends Embeddings {
+  constructor(inner) {
+    super({});
+    this.inner = inner;
+  }
+
+  embedDocuments(texts) {
+    return this.meter(texts, () => this.inner.embedDocuments(texts));
+  }
+
+  embedQuery(text) {
+    return this.meter([text], () => this.inner.embedQuery(text));
+  }
+
+  async meter(texts, call) {
+    const startedAt = Date.now();
+    const usage = {
+      kind: 'embedding',
+      provider: embeddingsBackend(),
+      model: embeddingModelName(),
+      inputTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+      outputTokens: 0,
+      estimated: true,
+    };
+    try {
+      const vectors = await call();
+      await recordUsage({ ...usage, latencyMs: Date.now() - startedAt });
+      return vectors;
+    } catch (error) {
+      await recordUsage({ ...usage, inputTokens: 0, latencyMs: Date.now() - startedAt, ok: false, error: error.message });
+      throw error;
+    }
+  }
+}
+
+/* ---------------- Factory ---------------- */
+let embeddings;
+let vectorStore;
+
+function getEmbeddings() {
+  if (!embeddings) {
+    embeddings = new MeteredEmbeddings(embeddingsBackend() === 'local'
+      ? new HashEmbeddings()
+      : new OpenAIEmbeddings({ modelName: embeddingModelName() }));
+  }
+  return embeddings;
+}
+
+function getVectorStore() {
+  if (!vectorStore) {
+    const backend = vectorBackend();
+    if (backend === 'pinecone') {
+      vectorStore = createPineconeStore(getEmbeddings());
+    } else if (backend === 'local') {
+      const filePath = process.env.LOCAL_VECTOR_PATH || path.join(__dirname, '.data', 'vectors.json');
+      vectorStore = new LocalVectorStore(getEmbeddings(), { filePath });
+    } else {
+      throw new Error(`Unknown VECTOR_STORE "${backend}" (expected "pinecone" or "local").`);
+    }
+    console.log(`Vector store: ${backend}, embeddings: ${embeddingModelName()}`);
+  }
+  return vectorStore;
+}
+
+module.exports = {
+  getVectorStore,
+  getEmbeddings,
+  embeddingModelName,
+  HashEmbeddings,
+  LocalVectorStore,
+};
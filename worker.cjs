@@ -3,339 +3,139 @@
 // =================================================================
 
 const { Worker /*, QueueScheduler*/ } = require('bullmq');
-const playwright = require('playwright');
 const dotenv = require('dotenv');
 const IORedis = require('ioredis'); 
+const { PLAYWRIGHT_VALIDATION_QUEUE, runPlaywrightSpec } = require('./playwright-sandbox.cjs');
+const { getBuiltinFlow, getFlow, resolveParams } = require('./flows.cjs');
+const { runFlowJob } = require('./flow-runner.cjs');
+const { resolveTarget, targetKey, targetParams, applySelectorOverrides } = require('./targets.cjs');
+const { getArtifactStore, cleanupArtifacts, captureOptions } = require('./artifacts.cjs');
+const { createJobReporter } = require('./job-progress.cjs');
+const { SIGNUP_QUEUE, MAX_SIGNUP_COUNT, topUpKey, jobAccounts, isCancelled, summarizeJob, aggregateChunks, createSignupJobs } = require('./signup-jobs.cjs');
+const { createRateLimiter, parseRateLimit } = require('./rate-limit.cjs');
+const { isDbConfigured } = require('./db.cjs');
+const { recordAccounts, poolLevels } = require('./accounts.cjs');
+const { recordJob } = require('./job-history.cjs');
 
 // Load .env only outside production
 if (process.env.NODE_ENV !== 'production') {
   dotenv.config();
 }
 
-// === Overlay Cleaner ===
-async function clearBlockingOverlays(page) {
-  try {
-    // Remove OneTrust cookie banner + large overlays
-    await page.evaluate(() => {
-      const ot = document.getElementById('onetrust-consent-sdk');
-      if (ot) ot.remove();
-
-      document.querySelectorAll('div[tabindex="0"]').forEach(el => {
-        const r = el.getBoundingClientRect();
-        const coversScreen =
-          r.width >= window.innerWidth * 0.8 &&
-          r.height >= window.innerHeight * 0.8 &&
-          (getComputedStyle(el).position === 'fixed' || getComputedStyle(el).position === 'absolute');
-        if (coversScreen) el.remove();
-      });
-
-      document.querySelectorAll('[role="dialog"], .ReactModal__Overlay, .modal, .overlay').forEach(el => {
-        const r = el.getBoundingClientRect();
-        if (r.width * r.height > 100000) el.remove();
-      });
-    });
+// === Main Playwright automation ===
+// The steps live in flows/signup.json (or a registered "signup" flow sent with the job);
+// flow-runner.cjs interprets them. The target (targets.json) supplies the base URL, the gate
+// password secret and any selector overrides.
+async function createSignupAccounts(count, target = resolveTarget(), flow = getBuiltinFlow('signup'), options) {
+  console.log(`WORKER: Starting signup process for ${count} accounts... (target=${targetKey(target)})`);
+  const { successes, failures, runs, cancelled } = await runFlowOnTarget({ flow, count: count || 1 }, target, options);
+  console.log("WORKER: Browser closed. Job finished.");
+  console.log("WORKER: Successful Accounts:", successes);
+  console.log("WORKER: Failed Accounts:", failures);
 
-    // Close any visible close button
-    const closeBtn = page.locator('button[aria-label="Close"]');
-    if (await closeBtn.isVisible().catch(() => false)) {
-      await closeBtn.click({ timeout: 1000 }).catch(() => {});
-      await page.waitForTimeout(300);
-    }
-  } catch {
-    // ignore
-  }
+  // return results for job status API
+  const result = { successes, failures, artifacts: runs.flatMap(run => run.artifacts) };
+  return cancelled ? { ...result, cancelled } : result;
 }
 
-/* ---------------- Env screen helpers ---------------- */
-function norm(s){ return String(s||'').toLowerCase().trim(); }
-function wantedEnv(env){ return norm(env)==='staging' ? 'staging' : 'dev'; }
-function wantedReg(reg){ return norm(reg)==='ca' ? 'ca' : 'us'; }
-
-// Your concrete paths (priority clicks)
-const SELECTOR_STAGING = '#root > div > div > div:nth-child(4) > div.css-175oi2r.r-1awozwy.r-1q9bdsx.r-d045u9.r-1472mwg.r-1777fci.r-lrsllp';
-const SELECTOR_CA      = '#root > div > div > div:nth-child(8) > div.css-175oi2r.r-1awozwy.r-1q9bdsx.r-d045u9.r-1472mwg.r-1777fci.r-lrsllp';
-
-// Fallback select by visible text
-async function selectByText(page, text) {
-  const re = new RegExp(`\\b${text}\\b`, 'i');
-
-  // role=radio by name
-  const byRole = page.getByRole('radio', { name: re });
-  if (await byRole.count()) {
-    try { await byRole.first().check({ timeout: 800 }); }
-    catch { await byRole.first().click({ force: true, timeout: 800 }).catch(()=>{}); }
-    await page.waitForTimeout(150);
-    return true;
-  }
-
-  // label click
-  const byLabel = page.getByLabel(re);
-  if (await byLabel.count()) {
-    try { await byLabel.first().check({ timeout: 800 }); }
-    catch { await byLabel.first().click({ force: true, timeout: 800 }).catch(()=>{}); }
-    await page.waitForTimeout(150);
-    return true;
+// Adds a job's new accounts to the registry (accounts.cjs). Best-effort: the accounts exist
+// either way and are still listed in the job result.
+async function registerAccounts(emails, details) {
+  if (!isDbConfigured() || !emails.length) return null;
+  try {
+    const registered = await recordAccounts(emails, details);
+    if (registered.duplicates.length) console.warn('WORKER: Emails already registered:', registered.duplicates);
+    return registered;
+  } catch (error) {
+    console.error('WORKER: Failed to register accounts:', error.message);
+    return { recorded: 0, duplicates: [], error: error.message };
   }
+}
 
-  // generic label/container
-  const labelEl = page.locator('label, div, li, span').filter({ hasText: re });
-  if (await labelEl.count()) {
-    await labelEl.first().click({ timeout: 800 }).catch(async () => {
-      await labelEl.first().click({ force: true, timeout: 800 }).catch(()=>{});
-    });
-    await page.waitForTimeout(150);
-    return true;
-  }
-  return false;
+// Runs `flow` with the target's parameters under any explicit `params`.
+function runFlowOnTarget({ flow, count, params = {} }, target, options = {}) {
+  const resolved = resolveParams(flow, target ? { ...targetParams(target, flow), ...params } : params);
+  const targeted = target ? applySelectorOverrides(flow, target.selectors) : flow;
+  return runFlowJob({ flow: targeted, count, params: resolved }, { log: (m) => console.log(`WORKER: ${m}`), ...options });
 }
 
-// Verify selected via "(current)" or aria-checked/checked near text
-async function verifySelected(page, text) {
-  const reCurrent = new RegExp(`${text}\\s*\\(current\\)`, 'i');
-  if (await page.getByText(reCurrent).count().catch(()=>0)) return true;
-
-  const ok = await page.evaluate((t) => {
-    const txt = String(t).toLowerCase();
-    const nodes = Array.from(document.querySelectorAll('label, li, div, span'));
-    for (const n of nodes) {
-      if ((n.textContent || '').toLowerCase().includes(txt)) {
-        const r = n.querySelector('[role="radio"][aria-checked="true"]') ||
-                  n.querySelector('input[type="radio"]:checked');
-        if (r) return true;
-      }
-    }
-    return false;
-  }, text);
-  return !!ok;
+// === Parallelism, retries and rate limits ===
+// SIGNUP_WORKER_CONCURRENCY  jobs processed at once by this worker (default 1)
+// SIGNUP_CONTEXTS            browser contexts run in parallel within a job (default 3)
+// SIGNUP_RETRIES             extra attempts for a failed account (default 2), with an
+// SIGNUP_RETRY_BACKOFF_MS    exponential backoff starting here (default 5000)
+// SIGNUP_RATE_LIMIT          accounts started per window across all workers (default 60/min);
+//                            targets.json "rateLimit" adds a per brand/environment limit
+const SIGNUP_WORKER_CONCURRENCY = Number(process.env.SIGNUP_WORKER_CONCURRENCY) || 1;
+const SIGNUP_CONTEXTS = Number(process.env.SIGNUP_CONTEXTS) || 3;
+const SIGNUP_RETRIES = Number(process.env.SIGNUP_RETRIES ?? 2);
+const SIGNUP_RETRY_BACKOFF_MS = Number(process.env.SIGNUP_RETRY_BACKOFF_MS) || 5000;
+const SIGNUP_RATE_LIMIT = parseRateLimit(process.env.SIGNUP_RATE_LIMIT ?? '60/min');
+
+// runFlowJob() options for a job: live progress and log lines (job-progress.cjs), where and
+// what to record (artifacts.cjs), parallelism, retries and rate limits, and cancellation
+// (signup-jobs.cjs). Chunks of a large request store artifacts under their parent's id and
+// keep their account numbers; a retry runs only the numbers in job.data.accounts.
+function jobRunOptions(job, reporter, target, { retries = 0 } = {}) {
+  const store = getArtifactStore();
+  const artifactJobId = job.parent?.id || job.id;
+  return {
+    log: reporter.log,
+    onEvent: reporter.onEvent,
+    artifacts: store ? { store, jobId: artifactJobId, capture: captureOptions(job.data.artifacts) } : undefined,
+    concurrency: SIGNUP_CONTEXTS,
+    retries,
+    backoffMs: SIGNUP_RETRY_BACKOFF_MS,
+    startIndex: job.data.startIndex || 1,
+    accounts: job.data.accounts,
+    shouldStop: () => isCancelled(workerConnection.connection, job),
+    beforeRun: async () => {
+      await acquireSlot('signup:global', SIGNUP_RATE_LIMIT);
+      if (target?.rateLimit) await acquireSlot(`signup:${target.brand}/${target.environment}`, target.rateLimit);
+    },
+  };
 }
 
-// === NEW: only selects radios; uses your ORIGINAL Continue logic afterwards
-async function selectEnvAndRegionRadios(page, { environment = "dev", region = "US" } = {}) {
-  const envTarget = wantedEnv(environment); // 'staging' | 'dev'
-  const regTarget = wantedReg(region);      // 'ca' | 'us'
-
-  // Priority selectors for staging / CA
-  if (envTarget === 'staging') {
-    const st = page.locator(SELECTOR_STAGING);
-    if (await st.count()) {
-      await st.scrollIntoViewIfNeeded().catch(()=>{});
-      await st.click({ timeout: 800 }).catch(async ()=>{ await st.click({ force: true, timeout: 800 }).catch(()=>{}); });
-      await page.waitForTimeout(150);
-    } else {
-      await selectByText(page, 'staging');
-    }
-  } else {
-    await selectByText(page, 'dev');
-  }
+// The result of a job cancelled before it started: every account counts as failed.
+function cancelledResult(job) {
+  const failures = jobAccounts(job.data).map(accountIndex => ({
+    accountIndex,
+    error: `Run #${accountIndex} was cancelled before it started.`,
+    cancelled: true,
+  }));
+  return { successes: [], failures, artifacts: [], cancelled: true };
+}
 
-  if (regTarget === 'ca') {
-    const ca = page.locator(SELECTOR_CA);
-    if (await ca.count()) {
-      await ca.scrollIntoViewIfNeeded().catch(()=>{});
-      await ca.click({ timeout: 800 }).catch(async ()=>{ await ca.click({ force: true, timeout: 800 }).catch(()=>{}); });
-      await page.waitForTimeout(150);
-    } else {
-      await selectByText(page, 'CA');
-    }
-  } else {
-    await selectByText(page, 'US');
+// A "pool-topup" job (see signup-jobs.cjs): queues a signup job when the target's pool has
+// fewer than `minAvailable` free accounts, unless the schedule's last one is still running.
+async function topUpPool(job) {
+  const { scheduleId, workspaceId, brand, environment, region, tags, minAvailable, topUpTo } = job.data;
+  const connection = workerConnection.connection;
+  const lastJobId = await connection.get(topUpKey(workspaceId, scheduleId));
+  const last = lastJobId && await signupQueue.getJob(lastJobId);
+  if (last) {
+    const state = await last.getState();
+    if (state !== 'completed' && state !== 'failed') return { skipped: true, reason: `Top-up job ${last.id} is still ${state}.` };
   }
-
-  // Best-effort verification (non-blocking)
-  await verifySelected(page, envTarget === 'staging' ? 'staging' : 'dev').catch(()=>{});
-  await verifySelected(page, regTarget === 'ca' ? 'CA' : 'US').catch(()=>{});
+  const [level] = await poolLevels({ brand, environment, region, tags }, { workspaceId });
+  const available = level?.available || 0;
+  if (available >= minAvailable) return { available, queued: 0 };
+  const count = Math.min(topUpTo - available, MAX_SIGNUP_COUNT);
+  const { flow } = await getFlow('signup');
+  const created = await signupJobs.enqueue({ countToCreate: count, brand, environment, region, flow, tags, scheduleId, workspaceId });
+  await connection.set(topUpKey(workspaceId, scheduleId), created.id);
+  console.log(`WORKER: Pool ${brand}/${environment}/${region} has ${available} free account(s); queued job ${created.id} for ${count}.`);
+  return { available, queued: count, jobId: created.id };
 }
 
-// === Main Playwright automation ===
-async function createSignupAccounts(count, environment = "dev", region = "US") {
-  console.log(`WORKER: Starting signup process for ${count} accounts... (env=${environment}, region=${region})`);
-  const successes = [];
-  const failures = [];
-
-  const browser = await playwright.chromium.launch({ headless: true });
+// Copies a finished top-level job into job_history (job-history.cjs). Best-effort.
+async function recordHistory(job, state) {
+  if (!isDbConfigured() || !job || job.parent) return;
   try {
-    for (let i = 0; i < (count || 1); i++) {
-      const page = await browser.newPage();
-      page.setDefaultTimeout(45000);
-      page.setDefaultNavigationTimeout(45000);
-
-      let step = 1;
-      try {
-        console.log(`WORKER: --- Creating Account #${i + 1} ---`);
-
-        // 1. Open Dev URL
-        console.log(`WORKER: [Step ${step++}] Opening URL`);
-        await page.goto('https://main-bk-us-web.com.rbi.tools/', { waitUntil: 'load' });
-        
-        // 2. Enter Password (rbi-tech)
-        console.log(`WORKER: [Step ${step++}] Entering password`);
-        await page.fill('input[type="password"]', 'rbi-tech');
-        console.log(`WORKER: [Step ${step++}] Clicking Submit`);
-        await page.getByRole('button', { name: 'Submit' }).click();
-        await page.waitForTimeout(2000);
-
-        // 3. Handle Cookies Modal
-        try {
-          console.log(`WORKER: [Step ${step++}] Trying to close cookie popup (close btn)`);
-          await page.waitForSelector('button[aria-label="Close"]', { timeout: 4000 });
-          await page.click('button[aria-label="Close"]');
-          await page.waitForTimeout(800);
-        } catch {
-          console.log('WORKER: No cookie popup present or already closed.');
-        }
-        await page.evaluate(() => {
-          const ot = document.getElementById('onetrust-consent-sdk');
-          if (ot) ot.remove();
-        });
-
-        // 4. ENV/REGION SCREEN — select radios, then use ORIGINAL Continue logic, accept dialog if it appears
-        try {
-          const radiosExist = await page.getByRole('radio').count().catch(()=>0);
-          const hdrExists = await page.getByText(/select an environment/i).count().catch(()=>0);
-          if (radiosExist || hdrExists) {
-            console.log(`WORKER: [Step ${step++}] Selecting env/region radios`);
-            await selectEnvAndRegionRadios(page, { environment, region });
-
-            console.log(`WORKER: [Step ${step++}] Clicking Continue on env screen (original logic)`);
-            const overlayWithContinue = page.locator('div[tabindex="0"]').filter({ hasText: 'Continue' });
-            const visible = await overlayWithContinue.first().isVisible().catch(()=>false);
-
-            if (visible) {
-              // Arm dialog handler BEFORE clicking Continue
-              const dialogAccepted = new Promise((resolve) => {
-                const handler = async (dialog) => {
-                  try { await dialog.accept(); }
-                  finally { page.off('dialog', handler); resolve('accepted'); }
-                };
-                page.on('dialog', handler);
-                setTimeout(() => resolve('no-dialog'), 7000);
-              });
-
-              await page.getByText('Continue').click();
-              await page.waitForTimeout(1000);
-
-              const res = await dialogAccepted.catch(()=> 'no-dialog');
-              if (res === 'accepted') {
-                await page.waitForLoadState('domcontentloaded', { timeout: 25000 }).catch(()=>{});
-                await page.waitForLoadState('networkidle', { timeout: 12000 }).catch(()=>{});
-                await page.waitForTimeout(500);
-                console.log('WORKER: Confirm accepted; app reloaded with new env/region.');
-              } else {
-                console.log('WORKER: No confirm dialog; continued.');
-              }
-            } else {
-              console.log('WORKER: Original Continue overlay not visible; skipping click.');
-            }
-          }
-        } catch (e) {
-          console.log('WORKER: Env/Region handling encountered an issue:', e?.message || e);
-        }
-
-        // --- Close Cookie Banner AGAIN if still visible (on Royal Perks) ---
-        try {
-          console.log(`WORKER: [Step ${step++}] Double-checking/Closing cookie popup again if still visible...`);
-          await page.waitForSelector('button[aria-label="Close"]', { timeout: 2000 });
-          await page.click('button[aria-label="Close"]');
-          await page.waitForTimeout(800);
-        } catch {
-          console.log('WORKER: Cookie modal did not reappear');
-        }
-        await page.evaluate(() => {
-          const ot = document.getElementById('onetrust-consent-sdk');
-          if (ot) ot.remove();
-        });
-     
-        // 5. Click Profile Icon (unchanged but with overlay clear)
-        console.log(`WORKER: [Step ${step++}] Clicking Profile Icon`);
-        await clearBlockingOverlays(page);
-        const signBtn1 = page.locator('button[aria-label="Sign Up or Sign In"]');
-        await signBtn1.waitFor({ state: 'visible', timeout: 20000 });
-        try { await signBtn1.click({ timeout: 10000 }); }
-        catch (e) {
-          console.warn('Click intercepted (1st). Forcing click...', e.message);
-          await signBtn1.click({ force: true, timeout: 5000 });
-        }
-        await page.waitForTimeout(1000);
-
-        // --- Cookie again if needed ---
-        try {
-          console.log(`WORKER: [Step ${step++}] (Final try) Closing cookie popup if STILL visible`);
-          await page.waitForSelector('button[aria-label="Close"]', { timeout: 2000 });
-          await page.click('button[aria-label="Close"]');
-          await page.waitForTimeout(800);
-        } catch {}
-        await page.evaluate(() => {
-          const ot = document.getElementById('onetrust-consent-sdk');
-          if (ot) ot.remove();
-        });
-    
-        // 6. Click "Continue with Email"
-        await clearBlockingOverlays(page);
-        const signBtn2 = page.locator('button[aria-label="Sign Up or Sign In"]');
-        await signBtn2.waitFor({ state: 'visible', timeout: 20000 });
-        try { await signBtn2.click({ timeout: 10000 }); }
-        catch (e) {
-          console.warn('Click intercepted (2nd). Forcing click...', e.message);
-          await signBtn2.click({ force: true, timeout: 5000 });
-        }
-        await page.waitForTimeout(1000);
-
-        console.log(`WORKER: [Step ${step++}] Clicking Continue with Email`);
-        await page.getByRole('button', { name: 'Continue with Email' }).click();
-        await page.waitForTimeout(1000);
-
-        // 7. Enter unique email
-        const rand = Math.floor(Math.random() * 1e8);
-        const email = `aiqatest${rand}@yopmail.com`;
-        console.log(`WORKER: [Step ${step++}] Entering email: ${email}`);
-        await page.fill('input[type="email"]', email);
-
-        // 8. Click "Sign Up / Sign In"
-        console.log(`WORKER: [Step ${step++}] Clicking Sign Up / Sign In`);
-        await page.click('button[data-testid="signin-button"]');
-        await page.waitForTimeout(1500);
-
-        // 9. Fill Name
-        console.log(`WORKER: [Step ${step++}] Filling name`);
-        await page.fill('input[data-testid="signup-name-input"]', 'RBI DO NOT MAKE');
-
-        // 10. Check "I agree"
-        console.log(`WORKER: [Step ${step++}] Checking Agree To Terms`);
-        await page.click('div[data-testid="signup-agreeToTermsOfService"]');
-        await page.waitForTimeout(500);
-
-        // 11. Click "Create an Account"
-        console.log(`WORKER: [Step ${step++}] Clicking Create an Account`);
-        await page.getByRole('button', { name: 'Create an Account' }).click();
-        await page.waitForTimeout(2000);
-
-        successes.push(email);
-        console.log(`WORKER: [SUCCESS] Account created: ${email}`);
-
-      } catch (err) {
-        const errorMessage = `Failed on account #${i + 1}: ${err.message}`;
-        console.error(`WORKER: [FAILURE] ${errorMessage}`);
-        failures.push({ accountIndex: i + 1, error: errorMessage });
-        try {
-          if (!page.isClosed()) {
-            await page.screenshot({ path: `ERROR-Account-${i + 1}.png` });
-          }
-        } catch (e) {
-          console.error('WORKER: Screenshot error (after failure):', e.message);
-        }
-      } finally {
-        if (!page.isClosed()) await page.close();
-      }
-    }
-  } finally {
-    await browser.close();
-    console.log("WORKER: Browser closed. Job finished.");
-    console.log("WORKER: Successful Accounts:", successes);
-    console.log("WORKER: Failed Accounts:", failures);
+    await recordJob(summarizeJob(job, state), job.returnvalue);
+  } catch (error) {
+    console.error(`WORKER: Failed to record job ${job.id} in the history:`, error.message);
   }
-
-  // return results for job status API
-  return { successes, failures };
 }
 
 
@@ -364,27 +164,91 @@ if (!workerConnection.connection || typeof workerConnection.connection === 'stri
 // const { QueueScheduler } = require('bullmq');
 // new QueueScheduler('signup-jobs', { connection: workerConnection.connection });
 
-const worker = new Worker('signup-jobs', async (job) => {
-  const { countToCreate, environment, region } = {
+const signupJobs = createSignupJobs(workerConnection.connection);
+const signupQueue = signupJobs.queue;
+const acquireSlot = createRateLimiter(workerConnection.connection);
+
+const worker = new Worker(SIGNUP_QUEUE, async (job) => {
+  // Any registered flow, queued by POST /api/flows/:name/run.
+  if (job.name === 'run-flow') {
+    const { flow, count, params } = job.data;
+    const target = job.data.target ? resolveTarget(job.data.target) : null;
+    console.log(`WORKER: Received job ${job.id}. Will run flow "${flow.name}" ${count} time(s)${target ? ` on ${targetKey(target)}` : ''}.`);
+    if (await isCancelled(workerConnection.connection, job)) return cancelledResult(job);
+    const reporter = createJobReporter(job, { accounts: count });
+    try {
+      // No retries: a flow may not be safe to repeat (e.g. placing an order).
+      return await runFlowOnTarget({ flow, count, params }, target, jobRunOptions(job, reporter, target));
+    } finally {
+      await reporter.flush();
+    }
+  }
+
+  // Parent of a chunked request: every chunk has finished, merge their results.
+  if (job.name === 'aggregate-accounts') {
+    console.log(`WORKER: Aggregating ${job.data.chunks} chunk(s) of job ${job.id}.`);
+    return await aggregateChunks(job, signupQueue);
+  }
+
+  if (job.name === 'pool-topup') {
+    return await topUpPool(job);
+  }
+
+  const { countToCreate, brand, environment, region } = {
     countToCreate: Number(job.data.countToCreate ?? job.data.count ?? 1) || 1,
-    environment: job.data.environment || job.data.env || job.data.payload?.environment || 'dev',
-    region: job.data.region || job.data.reg || job.data.payload?.region || 'US',
+    brand: job.data.brand || job.data.payload?.brand,
+    environment: job.data.environment || job.data.env || job.data.payload?.environment,
+    region: job.data.region || job.data.reg || job.data.payload?.region,
   };
+  const target = resolveTarget({ brand, environment, region });
 
-  console.log(`WORKER: Received job ${job.id}. Will create ${countToCreate} accounts (env=${environment}, region=${region}).`);
+  console.log(`WORKER: Received job ${job.id}. Will create ${countToCreate} accounts (target=${targetKey(target)}).`);
+  if (await isCancelled(workerConnection.connection, job)) return cancelledResult(job);
 
-  return await createSignupAccounts(countToCreate, environment, region);
+  const reporter = createJobReporter(job, { accounts: countToCreate });
+  try {
+    const flow = job.data.flow || getBuiltinFlow('signup');
+    const result = await createSignupAccounts(countToCreate, target, flow, jobRunOptions(job, reporter, target, { retries: SIGNUP_RETRIES }));
+    const registered = await registerAccounts(result.successes, {
+      workspaceId: job.data.workspaceId,
+      brand: target.brand,
+      environment: target.environment,
+      region: target.region,
+      flow: flow.name,
+      jobId: job.parent?.id || job.id,
+      tags: job.data.tags,
+    });
+    return registered ? { ...result, registered } : result;
+  } finally {
+    await reporter.flush();
+  }
 
-}, { ...workerConnection, concurrency: 1 });
+}, { ...workerConnection, concurrency: SIGNUP_WORKER_CONCURRENCY });
 
 worker.on('completed', (job, result) => {
   console.log(`WORKER: Job ${job.id} has completed. Result:`, result);
+  recordHistory(job, 'completed');
 });
 
 worker.on('failed', (job, err) => {
-  console.error(`WORKER: Job ${job.id} has failed with error: ${err.message}`);
+  console.error(`WORKER: Job ${job?.id} has failed with error: ${err.message}`);
+  recordHistory(job, 'failed');
 });
 
+// Sandbox runs of generated Playwright specs (see /ai-generate-playwright).
+const validationWorker = new Worker(PLAYWRIGHT_VALIDATION_QUEUE, async (job) => {
+  console.log(`WORKER: Validating generated spec (job ${job.id}).`);
+  return await runPlaywrightSpec(job.data);
+}, { connection: workerConnection.connection, concurrency: 1 });
+
+validationWorker.on('failed', (job, err) => {
+  console.error(`WORKER: Validation job ${job?.id} has failed with error: ${err.message}`);
+});
+
+// Artifact retention (ARTIFACT_RETENTION_DAYS): on start, then hourly.
+cleanupArtifacts();
+setInterval(cleanupArtifacts, 60 * 60 * 1000).unref();
+
 console.log('WORKER: Ready and listening for jobs.');
 
 // graceful shutdown for Redis
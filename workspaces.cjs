@@ -0,0 +1,243 @@
+/* =============================================
+   |   WORKSPACES, API KEYS, ROLES & AUDIT LOG |
+   ============================================= */
+// workspaces  { _id: workspaceId, name, createdAt }
+// api_keys    { _id: keyId, workspaceId, name, role, hash, createdAt, createdBy, lastUsedAt, revokedAt }
+// audit_log   { _id, workspaceId, actor: { keyId, name, role }, action, target: { type, id, name }, details, at }
+//
+// Requests authenticate with "Authorization: Bearer <token>" or "X-API-Key: <token>"; browser
+// links (SSE, artifact downloads) may pass ?access_token=<token>. A token is
+// "tcg_<keyId>_<secret>" and only its SHA-256 is stored, so it is shown once, when created.
+// Roles are cumulative: viewer reads, editor also uploads, generates and runs jobs, admin also
+// deletes documents and flows, manages keys and reads the audit log.
+//
+// AUTH_MODE=required | off   default "required" once AUTH_ADMIN_TOKEN is set, else "off"
+// AUTH_ADMIN_TOKEN            root token: admin of every workspace (picked with X-Workspace,
+//                             default "default") and the only one that can create workspaces
+//
+// With auth off every caller is an admin of the "default" workspace, as before workspaces
+// existed. Data written before workspaces (no workspaceId) belongs to "default".
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, registerIndexes, isDbConfigured } = require('./db.cjs');
+const { badRequest, notFound, httpError, sendError } = require('./errors.cjs');
+
+registerIndexes('api_keys', [{ key: { workspaceId: 1, createdAt: -1 } }]);
+registerIndexes('audit_log', [{ key: { workspaceId: 1, at: -1 } }, { key: { workspaceId: 1, action: 1, at: -1 } }]);
+
+const DEFAULT_WORKSPACE = 'default';
+const ROLES = ['viewer', 'editor', 'admin'];
+const TOKEN_PREFIX = 'tcg';
+
+const authMode = () => process.env.AUTH_MODE || (process.env.AUTH_ADMIN_TOKEN ? 'required' : 'off');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Mongo filter for documents in `workspaceId`. Documents written before workspaces existed
+ * have no workspaceId and belong to the default workspace.
+ */
+function workspaceFilter(workspaceId) {
+  return workspaceId === DEFAULT_WORKSPACE ? { workspaceId: { $in: [DEFAULT_WORKSPACE, null] } } : { workspaceId };
+}
+
+const inWorkspace = (doc, workspaceId) => (doc?.workspaceId || DEFAULT_WORKSPACE) === workspaceId;
+
+/* ---------------- Workspaces ---------------- */
+function checkWorkspaceId(workspaceId) {
+  if (!/^[a-z0-9][a-z0-9-]{0,39}$/.test(String(workspaceId))) {
+    throw badRequest('A workspace id may only contain lowercase letters, digits and "-" (at most 40).');
+  }
+  return String(workspaceId);
+}
+
+async function createWorkspace({ id, name }) {
+  const workspace = { _id: checkWorkspaceId(id), name: String(name || id).trim(), createdAt: new Date() };
+  try {
+    await (await getDb()).collection('workspaces').insertOne(workspace);
+  } catch (error) {
+    if (error.code === 11000) throw httpError(409, `Workspace "${workspace._id}" already exists.`);
+    throw error;
+  }
+  return workspace;
+}
+
+async function listWorkspaces() {
+  return (await getDb()).collection('workspaces').find().sort({ _id: 1 }).toArray();
+}
+
+// The default workspace always exists, so installs without any setup keep working.
+async function getWorkspace(workspaceId) {
+  const workspace = isDbConfigured() ? await (await getDb()).collection('workspaces').findOne({ _id: workspaceId }) : null;
+  if (workspace) return workspace;
+  if (workspaceId === DEFAULT_WORKSPACE) return { _id: DEFAULT_WORKSPACE, name: 'Default' };
+  throw notFound(`Workspace "${workspaceId}" not found.`);
+}
+
+/* ---------------- API keys ---------------- */
+const publicKey = ({ hash, ...key }) => key;
+
+/**
+ * Creates a key in `workspaceId`. Resolves to { key, token }; the token is not stored and
+ * cannot be shown again.
+ */
+async function createApiKey(workspaceId, { name, role = 'viewer' } = {}, createdBy = null) {
+  if (!ROLES.includes(role)) throw badRequest(`"role" must be one of: ${ROLES.join(', ')}.`);
+  if (!String(name || '').trim()) throw badRequest('A key "name" is required.');
+  await getWorkspace(workspaceId);
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const token = `${TOKEN_PREFIX}_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+  const key = {
+    _id: keyId,
+    workspaceId,
+    name: String(name).trim(),
+    role,
+    hash: hashToken(token),
+    createdAt: new Date(),
+    createdBy,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  await (await getDb()).collection('api_keys').insertOne(key);
+  return { key: publicKey(key), token };
+}
+
+async function listApiKeys(workspaceId) {
+  const keys = await (await getDb()).collection('api_keys').find({ workspaceId }).sort({ createdAt: -1 }).toArray();
+  return keys.map(publicKey);
+}
+
+async function revokeApiKey(workspaceId, keyId) {
+  const key = await (await getDb()).collection('api_keys').findOneAndUpdate(
+    { _id: keyId, workspaceId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!key) throw notFound('API key not found.');
+  return publicKey(key);
+}
+
+/**
+ * Resolves a token to the caller: { workspaceId, role, actor: { keyId, name, role } },
+ * or null when it is not a valid, unrevoked key.
+ */
+async function verifyToken(token, requestedWorkspace) {
+  const root = process.env.AUTH_ADMIN_TOKEN;
+  if (root && token.length === root.length && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(root))) {
+    const workspaceId = checkWorkspaceId(requestedWorkspace || DEFAULT_WORKSPACE);
+    return { workspaceId, role: 'admin', root: true, actor: { keyId: 'root', name: 'root', role: 'admin' } };
+  }
+  const match = new RegExp(`^${TOKEN_PREFIX}_([0-9a-f]{12})_[\\w-]+$`).exec(token);
+  if (!match || !isDbConfigured()) return null;
+  const keys = (await getDb()).collection('api_keys');
+  const key = await keys.findOne({ _id: match[1], revokedAt: null });
+  if (!key || !crypto.timingSafeEqual(Buffer.from(key.hash), Buffer.from(hashToken(token)))) return null;
+  keys.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+  return { workspaceId: key.workspaceId, role: key.role, actor: { keyId: key._id, name: key.name, role: key.role } };
+}
+
+function tokenFrom(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  return req.get('x-api-key') || (typeof req.query.access_token === 'string' ? req.query.access_token : null);
+}
+
+/* ---------------- Express middleware ---------------- */
+/**
+ * Sets req.auth = { workspaceId, role, actor } and enforces the baseline role: viewer for
+ * reads (GET/HEAD and the `readOnly` POST paths), editor for everything else. Routes that
+ * need more add requireRole('admin'). `publicPaths` skip authentication entirely.
+ */
+function authenticate({ publicPaths = [], readOnly = [] } = {}) {
+  return async (req, res, next) => {
+    if (req.method === 'OPTIONS' || publicPaths.includes(req.path)) return next();
+    try {
+      if (authMode() === 'off') {
+        req.auth = { workspaceId: DEFAULT_WORKSPACE, role: 'admin', actor: { keyId: null, name: 'anonymous', role: 'admin' } };
+      } else {
+        const token = tokenFrom(req);
+        if (!token) throw httpError(401, 'An API key is required (Authorization: Bearer <token> or X-API-Key).');
+        const auth = await verifyToken(token, req.get('x-workspace'));
+        if (!auth) throw httpError(401, 'Invalid or revoked API key.');
+        req.auth = auth;
+      }
+      const reading = req.method === 'GET' || req.method === 'HEAD' || readOnly.includes(req.path);
+      if (!hasRole(req.auth.role, reading ? 'viewer' : 'editor')) {
+        throw httpError(403, `This needs the ${reading ? 'viewer' : 'editor'} role; the key has "${req.auth.role}".`);
+      }
+      next();
+    } catch (error) {
+      sendError(res, error, 'Auth Error', 'Failed to authenticate.');
+    }
+  };
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.auth && hasRole(req.auth.role, role)) return next();
+    res.status(403).json({ error: `This needs the ${role} role.` });
+  };
+}
+
+// Only the AUTH_ADMIN_TOKEN holder manages workspaces themselves.
+function requireRoot(req, res, next) {
+  if (req.auth?.root) return next();
+  res.status(403).json({ error: 'Only the AUTH_ADMIN_TOKEN can manage workspaces.' });
+}
+
+/* ---------------- Audit log ---------------- */
+/**
+ * Records that the caller of `req` did `action` (e.g. "document.delete") to `target`
+ * ({ type, id, name }). Best-effort: a failed write is logged, never thrown.
+ */
+async function audit(req, action, target = {}, details = undefined) {
+  if (!isDbConfigured() || !req.auth) return;
+  try {
+    await (await getDb()).collection('audit_log').insertOne({
+      _id: uuidv4(),
+      workspaceId: req.auth.workspaceId,
+      actor: req.auth.actor,
+      action,
+      target,
+      details,
+      at: new Date(),
+    });
+  } catch (error) {
+    console.error(`Audit log write failed (${action}):`, error.message);
+  }
+}
+
+async function listAuditLog(workspaceId, { action, actor, since, limit = 100 } = {}) {
+  const filter = { workspaceId };
+  if (action) filter.action = String(action);
+  if (actor) filter['actor.keyId'] = String(actor);
+  if (since) {
+    const date = new Date(since);
+    if (Number.isNaN(date.getTime())) throw badRequest('"since" must be a date.');
+    filter.at = { $gte: date };
+  }
+  return (await getDb()).collection('audit_log')
+    .find(filter)
+    .sort({ at: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 1000))
+    .toArray();
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  ROLES,
+  authMode,
+  workspaceFilter,
+  inWorkspace,
+  createWorkspace,
+  listWorkspaces,
+  getWorkspace,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticate,
+  requireRole,
+  requireRoot,
+  audit,
+  listAuditLog,
+};